@@ -24,92 +24,846 @@ export interface Translation {
   examples: TranslationExample[];
 }
 
+/** Kind of a WordReference section, stable across interface languages */
+export type SectionType = 'principal' | 'additional' | 'phrasal-verb' | 'compound' | 'idiom';
+
 export interface TranslationSection {
+  /** Title as shown on the site (depends on the interface language) */
   title: string;
+  type: SectionType;
   translations: Translation[];
 }
 
+/** Phonetic transcription of the headword */
+export interface Pronunciation {
+  /** IPA without the enclosing slashes or brackets, e.g. 'haʊs' */
+  ipa: string;
+  /** Region label shown by the dictionary ('UK', 'US', ...), null when unlabelled */
+  region: string | null;
+}
+
+/** Pronunciation recording with the accent it was recorded in */
+export interface AudioEntry {
+  /** Absolute URL */
+  url: string;
+  /** Region code ('US', 'UK', 'IE', ...), null when the dictionary does not say */
+  region: string | null;
+  /** Accent label ('American', 'British (RP)', 'Scottish', ...) */
+  accent: string | null;
+  /** File format from the extension or MIME type ('mp3', 'ogg', ...) */
+  format: string | null;
+}
+
+export interface AudioDownloadOptions {
+  /** Target directory (Node.js); without it each file's bytes are returned in data */
+  dir?: string;
+  /** 'word' (default, e.g. house_british.mp3), 'original' (URL file name) or a custom name */
+  naming?: 'word' | 'original' | ((recording: AudioRecording & { index: number }) => string);
+  /** Download files that already exist (default false) */
+  overwrite?: boolean;
+  /** Downloads in flight (default 4); per-host rate limits still apply */
+  concurrency?: number;
+  timeout?: number;
+  retries?: number;
+  retryDelay?: number;
+  signal?: AbortSignal;
+}
+
+export interface AudioRecording extends AudioEntry {
+  /** Word the recording pronounces */
+  word: string;
+  /** Dictionary the recording comes from */
+  source: string | null;
+}
+
+export interface DownloadedAudio extends AudioRecording {
+  /** Local file, null when failed or when no dir was given */
+  path: string | null;
+  status: 'downloaded' | 'skipped' | 'failed';
+  bytes?: number;
+  /** File contents when no dir was given */
+  data?: ArrayBuffer | Uint8Array;
+  error?: string;
+  code?: DictionaryErrorCode;
+  retryable?: boolean;
+}
+
+export interface AudioManifest {
+  dir: string | null;
+  files: DownloadedAudio[];
+  /** word -> region ('US', 'UK', ... or 'default') -> local path of the first recording for that region */
+  words: Record<string, Record<string, string | null>>;
+}
+
 export interface DictionaryResult {
   inputWord: string;
   sections: TranslationSection[];
+  /** Absolute audio URLs (same order as audio) */
   audioLinks: string[];
+  /** Audio recordings with region and accent (WordReference and Linguee) */
+  audio?: AudioEntry[];
+  /** IPA transcriptions from the WordReference header or the Linguee lemma headers */
+  pronunciations?: Pronunciation[];
+  /** Linguee only: sentence pairs from the bilingual corpus of external sites */
+  corpusExamples?: CorpusExample[];
   source?: string;
   timestamp?: string;
+  /** True when the result was served from the cache */
+  fromCache?: boolean;
+  requestStats?: RequestStats;
+  /** Present when called with from: 'auto' */
+  detectedLanguage?: LanguageDetection;
   error?: string;
+  /** Error code when error is set (see DictionaryErrorCode) */
+  code?: DictionaryErrorCode;
+  /** True if retrying may succeed when error is set */
+  retryable?: boolean;
+  /** Localized message for end users when error is set */
+  userMessage?: string;
+  /** NOT_FOUND only: similar words offered by the dictionary ("did you mean") */
+  suggestions?: string[];
+  /** Present when autoCorrect replaced a word that was not found */
+  autoCorrected?: AutoCorrection;
   fromLang?: string;
   toLang?: string;
 }
 
+/** Real-world sentence pair from Linguee's bilingual corpus, with the site it comes from */
+export interface CorpusExample {
+  source: string;
+  target: string;
+  /** Site shown by Linguee (e.g. 'europarl.europa.eu'), or the URL's host name */
+  sourceDomain: string | null;
+  url: string | null;
+}
+
+export interface AutoCorrection {
+  /** Word that was looked up first */
+  original: string;
+  /** Suggestion that was translated instead */
+  corrected: string;
+  suggestions: string[];
+}
+
+/** One conjugated form; irregular forms are flagged by the conjugator */
+export interface ConjugatedForm {
+  form: string;
+  irregular: boolean;
+  /** Other accepted forms for the same person (e.g. 'tuviese' next to 'tuviera') */
+  alternatives?: string[];
+}
+
+export interface ConjugationResult {
+  inputWord: string;
+  /** Normalized language code */
+  language: string;
+  /** mood -> tense -> person -> form, labelled as on the site (impersonal tables use '0', '1'... as person) */
+  moods: Record<string, Record<string, Record<string, ConjugatedForm>>>;
+  /** True if any form is irregular */
+  irregular: boolean;
+  source: string;
+  url?: string;
+  timestamp: string;
+  fromCache?: boolean;
+  requestStats?: RequestStats;
+  error?: string;
+  code?: DictionaryErrorCode;
+  retryable?: boolean;
+  userMessage?: string;
+  /** NOT_FOUND only: verbs offered by the conjugator */
+  suggestions?: string[];
+}
+
+/** One numbered sense of a monolingual entry */
+export interface DefinitionSense {
+  /** Number shown on the site ('1', '2'...); sub-senses use '1a', '1b'... */
+  number: string;
+  definition: string;
+  /** Usage labels such as 'informal' or 'Amér.' */
+  labels: string[];
+  examples: string[];
+  subsenses: DefinitionSense[];
+}
+
+/** Synonyms (and antonyms, when listed) of one sense */
+export interface SynonymGroup {
+  /** Sense the group belongs to, e.g. 'building'; null when the page lists no senses */
+  sense: string | null;
+  /** Normalized part of speech of the sense */
+  pos: string | null;
+  synonyms: string[];
+  antonyms: string[];
+}
+
+export interface SynonymsResult {
+  inputWord: string;
+  /** Normalized language code */
+  language: string;
+  groups: SynonymGroup[];
+  source: string;
+  url?: string;
+  timestamp: string;
+  fromCache?: boolean;
+  requestStats?: RequestStats;
+  error?: string;
+  code?: DictionaryErrorCode;
+  retryable?: boolean;
+  userMessage?: string;
+  /** NOT_FOUND only: words offered by the thesaurus */
+  suggestions?: string[];
+}
+
+/** One headword and part of speech of a definition page */
+export interface DefinitionEntry {
+  headword: string;
+  /** Normalized part of speech */
+  pos: string;
+  /** Part of speech as shown on the site */
+  posRaw: string;
+  pronunciations: Pronunciation[];
+  senses: DefinitionSense[];
+}
+
+export interface DefinitionResult {
+  inputWord: string;
+  /** Normalized language code */
+  language: string;
+  entries: DefinitionEntry[];
+  source: string;
+  url?: string;
+  timestamp: string;
+  fromCache?: boolean;
+  requestStats?: RequestStats;
+  error?: string;
+  code?: DictionaryErrorCode;
+  retryable?: boolean;
+  userMessage?: string;
+  /** NOT_FOUND only: words offered by the dictionary */
+  suggestions?: string[];
+}
+
 export interface MultiDictionaryResult {
   inputWord: string;
   fromLang: string;
   toLang: string;
   fromName: string;
   toName: string;
-  dictionaries: Record<string, DictionaryResult | { error: string }>;
+  /** Present when the source/target language had script or region subtags */
+  fromTag?: LanguageTag;
+  toTag?: LanguageTag;
+  /** Dictionaries that answered; with priority/race/quorum, cancelled or skipped ones are left out */
+  dictionaries: Record<string, DictionaryResult | NormalizedResult>;
   timestamp: string;
+  strategy?: TranslateStrategy;
+  /** Present when called with from: 'auto' */
+  detectedLanguage?: LanguageDetection;
+  /** Present when the pair was reached through a hub language; legs are the first- and second-leg translate() results */
+  pivot?: { via: string; path: string[]; legs: MultiDictionaryResult[] };
+  /** Present with { merge: true }: deduplicated translations sorted by confidence */
+  merged?: MergedTranslation[];
+  /** 'result' error mode only: why the whole call failed */
+  error?: string;
+  code?: DictionaryErrorCode;
+  retryable?: boolean;
+  userMessage?: string;
+}
+
+export interface LanguageDetection {
+  /** Detected language code, or null if the text has no letters */
+  language: string | null;
+  /** 0-1; short Latin-script words score low unless a dictionary confirmed them */
+  confidence: number;
+  /** 'script' (unique writing system), 'ngram' (letters and n-grams) or 'probe' (confirmed by a lookup) */
+  method: 'script' | 'ngram' | 'probe' | null;
+  script: 'latin' | 'cyrillic' | 'greek' | 'arabic' | 'hebrew' | 'cjk' | 'hangul' | 'thai' | 'devanagari' | null;
+  /**
+   * False when the confidence is low, a runner-up is close (e.g. 'casa': Spanish, Italian or Portuguese)
+   * or no common word or distinctive letter backs the guess (e.g. 'computer')
+   */
+  reliable: boolean;
+  /** Candidate languages, best first */
+  candidates: Array<{ language: string; confidence: number }>;
+}
+
+export interface MergedTranslation {
+  text: string;
+  pos: string;
+  /** 0-1: agreement between dictionaries, listing position and frequency/verified flags */
+  confidence: number;
+  /** Dictionaries that list this translation */
+  sources: string[];
+  provenance: Array<{
+    dictionary: string;
+    /** Zero-based position in that dictionary's list */
+    rank: number;
+    headword: string;
+    pos: string;
+    sense: string;
+    frequency: 'high' | 'medium' | 'low' | 'unknown';
+    verified: boolean;
+    /** Pivot candidates only: 1 = from -> via, 2 = via -> to */
+    leg?: 1 | 2;
+  }>;
+  /** Pivot candidates only; through lists the intermediate words */
+  pivot?: { via: string; path: string[]; through: string[] };
 }
 
 export interface DictionaryInfo {
   name: string;
+  aliases?: string[];
   languages: string[];
   features: string[];
   priority: number;
+  /** Supported directions, for dictionaries with a pair matrix or pair list */
+  pairs?: LanguagePair[];
 }
 
+export interface LanguagePair {
+  from: string;
+  to: string;
+  /** Features available in this direction (e.g., 'audio', 'examples', 'contexts') */
+  features: string[];
+}
+
+/** Capability matrix keyed by 'from-to'; extra fields (URL path, slug...) are provider-specific */
+export type PairMatrix = Record<string, { features?: string[]; [key: string]: any }>;
+
 export interface LanguageSupport {
   supported: boolean;
   supportedBy: string[];
+  /** Features each supporting dictionary offers for this direction */
+  features?: Record<string, string[]>;
   normalizedFrom: string;
   normalizedTo: string;
+  fromTag?: LanguageTag;
+  toTag?: LanguageTag;
+  /** No direct dictionary, but reachable with translate(..., { pivot }) */
+  pivotOnly?: boolean;
+  pivot?: PivotRoute;
   error?: string;
+  /** Close language codes when a language was not recognized */
+  suggestions?: string[];
+}
+
+export interface LanguageTag {
+  /** ISO 639-1 code */
+  code: string;
+  /** Script subtag (e.g., 'Hant') */
+  script: string | null;
+  /** Region subtag (e.g., 'BR', '419') */
+  region: string | null;
+  /** Canonical tag (e.g., 'pt-BR') */
+  tag: string;
+}
+
+export interface PivotRoute {
+  /** Hub language */
+  via: string;
+  /** [from, via, to] */
+  path: string[];
+  /** Dictionaries for from -> via */
+  firstLeg: string[];
+  /** Dictionaries for via -> to */
+  secondLeg: string[];
 }
 
 export interface TranslateOptions {
+  /** Request timeout in milliseconds (default 10000) */
   timeout?: number;
+  /** Retry attempts for timeouts, server errors and rate limits (default 0); 404s are never retried */
   retries?: number;
+  /** Base exponential backoff delay in milliseconds (default 500); Retry-After is honored on 429 */
+  retryDelay?: number;
+  /** 'normalized' maps every dictionary into the shared NormalizedResult schema */
+  format?: 'raw' | 'normalized';
+  /** false bypasses the cache for this call; an object overrides the global cache settings */
+  cache?: boolean | Partial<CacheOptions>;
+  /** translate(): only query these dictionaries (identifiers or aliases) */
+  dictionaries?: string[];
+  /** 'throw' rejects on every failure, 'result' resolves with { error, code, retryable } (default from configure()) */
+  errors?: ErrorMode;
+  /** Locale of userMessage on error results (default from configure()) */
+  locale?: string;
+  /** translate(): add a merged, ranked list of translations across dictionaries */
+  merge?: boolean;
+  /** translate(): which dictionaries to wait for (default 'all') */
+  strategy?: TranslateStrategy;
+  /** translate(): agreeing dictionaries needed by the 'quorum' strategy (default 2) */
+  quorum?: number;
+  /** Cancels pending requests (error code 'CANCELLED') */
+  signal?: AbortSignal;
+  /** translate(): chain through a hub language when no dictionary supports the pair (true = 'en') */
+  pivot?: boolean | string;
+  /** translate(): intermediate translations followed through the hub (default 3) */
+  pivotCandidates?: number;
+  /**
+   * from: 'auto': probe confirms the guess by looking the word up in the best candidate languages.
+   * By default only unreliable guesses are probed (and fail with UNSUPPORTED_LANGUAGE if none is confirmed, or with the
+   * probes' own error such as NOT_CACHED when every probe failed); false never probes
+   */
+  detect?: { probe?: boolean; candidates?: number };
+  /** When a word is not found, retry once with the dictionary's top spelling suggestion */
+  autoCorrect?: boolean;
+  /** Keep only these WordReference sections (applied after the cache) */
+  sectionTypes?: SectionType[];
+  /** Keep at most this many Linguee corpusExamples (applied after the cache) */
+  maxExamples?: number;
+}
+
+/**
+ * - all: query every dictionary and wait for all of them
+ * - priority: one at a time in priority order, stop at the first result with translations
+ * - race: all in parallel, the first result with translations wins and the rest are cancelled
+ * - quorum: all in parallel until `quorum` dictionaries agree on a translation
+ */
+export type TranslateStrategy = 'all' | 'priority' | 'race' | 'quorum';
+
+export interface BatchProgress {
+  completed: number;
+  total: number;
+  index: number;
+  word: string;
+  success: boolean;
+}
+
+export interface BatchOptions extends TranslateOptions {
+  /** Words translated in parallel (default 4) */
+  concurrency?: number;
+  onProgress?: (progress: BatchProgress) => void;
+}
+
+export interface BatchItem {
+  word: string;
+  index: number;
+  success: boolean;
+  result?: MultiDictionaryResult;
+  error?: string;
+  code?: DictionaryErrorCode;
+  retryable?: boolean;
+  userMessage?: string;
+}
+
+export interface CacheStore {
+  get(key: string): Promise<any> | any;
+  set(key: string, value: any): Promise<void> | void;
+  delete(key: string): Promise<boolean | void> | boolean | void;
+}
+
+export interface CacheOptions {
+  /** Default true */
+  enabled: boolean;
+  /** Default: in-memory LRU store */
+  store: CacheStore;
+  /** Time to live in milliseconds (default 1 hour, 0 = never expires) */
+  ttl: number;
+}
+
+export declare class MemoryStore implements CacheStore {
+  constructor(options?: { maxEntries?: number });
+  readonly size: number;
+  get(key: string): Promise<any>;
+  set(key: string, value: any): Promise<void>;
+  delete(key: string): Promise<boolean>;
+  clear(): Promise<void>;
+}
+
+/** JSON-on-disk store (Node.js only) */
+export declare class FileStore implements CacheStore {
+  constructor(options?: { dir?: string });
+  get(key: string): Promise<any>;
+  set(key: string, value: any): Promise<void>;
+  delete(key: string): Promise<boolean>;
+  clear(): Promise<void>;
+}
+
+export interface NormalizedTranslation {
+  text: string;
+  /** Short grammatical tag (n, v, adj...) */
+  pos: string;
+  /** Grammatical type as shown by the dictionary */
+  posRaw: string;
+  sense: string;
+  frequency: 'high' | 'medium' | 'low' | 'unknown';
+  verified: boolean;
+}
+
+export interface NormalizedExample {
+  text: string;
+  translations: string[];
+  verified: boolean;
+  external: boolean;
+}
+
+export interface NormalizedSense {
+  gloss: string;
+  context: string;
+  translations: NormalizedTranslation[];
+  examples: NormalizedExample[];
+}
+
+export interface NormalizedEntry {
+  headword: string;
+  pos: string;
+  posRaw: string;
+  section: string | null;
+  sectionType: SectionType | null;
+  /** Audio URLs (same order as audioEntries) */
+  audio: string[];
+  /** Recordings with their region, accent and format */
+  audioEntries: AudioEntry[];
+  senses: NormalizedSense[];
+}
+
+export interface NormalizedResult {
+  format: 'normalized';
+  source: string;
+  inputWord: string;
+  fromLang: string;
+  toLang: string;
+  entries: NormalizedEntry[];
+  /** Audio URLs of every entry (same order as audioEntries) */
+  audio: string[];
+  /** Recordings of every entry with their region, accent and format */
+  audioEntries: AudioEntry[];
+  pronunciations: Pronunciation[];
+  /** Linguee only: sentence pairs from the bilingual corpus */
+  corpusExamples?: CorpusExample[];
+  timestamp: string;
+  /** Present when called with from: 'auto' */
+  detectedLanguage?: LanguageDetection;
+  /** NOT_FOUND only: similar words offered by the dictionary */
+  suggestions?: string[];
+  autoCorrected?: AutoCorrection;
+  fromCache?: boolean;
+  error?: string;
+}
+
+export interface DictionaryProvider {
+  /** Display name (e.g., 'WordReference') */
+  name: string;
+  /** Short identifiers accepted by translateWith (e.g., 'wr') */
+  aliases?: string[];
+  /** Supported language codes (derived from a pair matrix if omitted) */
+  languages?: string[];
+  /** Pair matrix, supported 'from-to' pairs, or a predicate receiving normalized codes */
+  pairs?: PairMatrix | string[] | ((from: string, to: string) => boolean);
+  features?: string[];
+  /** Lower number = higher priority */
+  priority?: number;
+  scrape(word: string, from: string, to: string, options?: TranslateOptions): Promise<Record<string, any>>;
+  /** Maps a raw result to the normalized schema (enables format: 'normalized') */
+  normalize?(result: Record<string, any>): Omit<NormalizedResult, 'timestamp'>;
 }
 
 // Direct function exports - no class instantiation needed
 
+/**
+ * Registers a dictionary provider used by every translation entry point
+ * @param id Dictionary identifier
+ * @param provider Provider definition
+ * @returns Registered dictionary information
+ */
+export function registerDictionary(id: string, provider: DictionaryProvider): DictionaryInfo;
+
+/**
+ * Removes a registered dictionary provider
+ * @param id Dictionary identifier or alias
+ * @returns True if the dictionary was removed
+ */
+export function unregisterDictionary(id: string): boolean;
+
+export interface RateLimit {
+  /** Sustained request rate (token refill rate) */
+  requestsPerSecond: number;
+  /** Requests allowed back-to-back before throttling */
+  burst: number;
+  /** Maximum requests in flight */
+  maxConcurrent: number;
+}
+
+export interface Settings {
+  /** Serve results only from the cache, never make network requests */
+  offline: boolean;
+  cache: CacheOptions;
+  /** Per-host limits keyed by host name, plus 'default'; false = unlimited */
+  rateLimits: Record<string, RateLimit | false>;
+  /** Default error mode; null = invalid arguments throw, lookup failures are returned */
+  errors: ErrorMode | null;
+  /** Locale of user-facing error messages */
+  locale: string;
+}
+
+export interface SettingsOptions {
+  offline?: boolean;
+  cache?: Partial<CacheOptions>;
+  rateLimits?: Record<string, Partial<RateLimit> | false>;
+  errors?: ErrorMode | null;
+  locale?: string;
+}
+
+export interface RequestStats {
+  /** HTTP requests sent (including retries and alternative URLs) */
+  requests: number;
+  retries: number;
+  /** Total time spent waiting for the per-host rate limiter */
+  rateLimitWaitMs: number;
+}
+
+export declare class DictionaryError extends Error {
+  constructor(message: string, details?: { code?: string; source?: string | null; word?: string | null; retryable?: boolean; cause?: unknown });
+  /** Machine-readable error code */
+  code: string;
+  /** Dictionary identifier */
+  source: string | null;
+  word: string | null;
+  /** True if retrying the same call may succeed */
+  retryable: boolean;
+}
+
+/** Offline mode is enabled and the result is not cached (code 'NOT_CACHED') */
+export declare class NotCachedError extends DictionaryError {}
+
+/** Language code no dictionary recognizes (code 'UNSUPPORTED_LANGUAGE') */
+export declare class UnsupportedLanguageError extends DictionaryError {
+  language: string | null;
+  /** Close supported language codes ("did you mean"), closest first */
+  suggestions: string[];
+}
+
+/** No dictionary (or not the requested one) handles the pair (code 'UNSUPPORTED_PAIR') */
+export declare class UnsupportedPairError extends DictionaryError {
+  from: string | null;
+  to: string | null;
+}
+
+/** The dictionary has no entry for the word (code 'NOT_FOUND') */
+export declare class WordNotFoundError extends DictionaryError {
+  /** Similar words offered by the dictionary ("did you mean") */
+  suggestions: string[];
+}
+
+/** HTTP 429 from the dictionary (code 'RATE_LIMITED', retryable) */
+export declare class RateLimitedError extends DictionaryError {
+  /** Milliseconds from the Retry-After header, if sent */
+  retryAfter: number | null;
+}
+
+/** Connection failure ('NETWORK_ERROR'), timeout ('TIMEOUT') or 5xx response ('SERVER_ERROR'); retryable */
+export declare class NetworkError extends DictionaryError {
+  status: number | null;
+}
+
+/** The page could not be parsed (code 'PARSE_ERROR') */
+export declare class ParseError extends DictionaryError {}
+
+/** Browser request blocked by CORS and every proxy failed (code 'CORS_BLOCKED') */
+export declare class CorsBlockedError extends DictionaryError {}
+
+/** An option has an invalid value (code 'INVALID_OPTION'), e.g. an unknown section type */
+export declare class InvalidOptionError extends DictionaryError {
+  /** Name of the invalid option */
+  option: string | null;
+}
+
+export type DictionaryErrorCode =
+  | 'DICTIONARY_ERROR'
+  | 'UNKNOWN_DICTIONARY'
+  | 'NOT_CACHED'
+  | 'UNSUPPORTED_LANGUAGE'
+  | 'UNSUPPORTED_PAIR'
+  | 'NOT_FOUND'
+  | 'RATE_LIMITED'
+  | 'NETWORK_ERROR'
+  | 'TIMEOUT'
+  | 'SERVER_ERROR'
+  | 'PARSE_ERROR'
+  | 'CORS_BLOCKED'
+  | 'CANCELLED'
+  | 'INVALID_OPTION';
+
+/** Keys of the error message catalog */
+export type ErrorMessageType =
+  | 'network'
+  | 'not-found'
+  | 'rate-limit'
+  | 'server-error'
+  | 'timeout'
+  | 'cors'
+  | 'parse-error'
+  | 'unsupported-language'
+  | 'unsupported-pair'
+  | 'unknown-dictionary'
+  | 'not-cached'
+  | 'cancelled'
+  | 'invalid-option'
+  | 'unknown';
+
+/**
+ * Adds or overrides user-facing error messages for a locale ('en' and 'es' are built in)
+ * @param locale Locale such as 'fr' or 'pt-BR'
+ * @param messages Messages per error type; missing types fall back to English
+ * @returns Messages registered for the locale
+ */
+export function registerErrorMessages(locale: string, messages: Partial<Record<ErrorMessageType, string>>): Partial<Record<ErrorMessageType, string>>;
+
+/**
+ * Gets the localized user-facing message for an error
+ * @param error Error, failed result with a code, error type or error code
+ * @param options locale (default: the configured locale)
+ */
+export function getErrorMessage(error: Error | { code?: string } | ErrorMessageType | DictionaryErrorCode, options?: { locale?: string }): string;
+
+/** How failures are reported: 'throw' rejects with a DictionaryError, 'result' resolves with { error, code, retryable } */
+export type ErrorMode = 'throw' | 'result';
+
+/**
+ * Updates global settings shared by every translate function and the legacy class
+ * @param options Settings to change
+ * @returns Current settings
+ */
+export function configure(options?: SettingsOptions): Settings;
+
+/**
+ * Configures the global result cache
+ * @param options Cache options to change
+ * @returns Current cache configuration
+ */
+export function configureCache(options?: Partial<CacheOptions>): CacheOptions;
+
 /**
  * Translates a word using WordReference dictionary
  * @param word Word to translate
  * @param from Source language (supports both 'en' and 'english' formats)
  * @param to Target language (supports both 'es' and 'spanish' formats)
+ * @param options Optional configuration
  * @returns Promise with translation result
  */
-export function translateWithWordReference(word: string, from: string, to: string): Promise<DictionaryResult>;
+export function translateWithWordReference(word: string, from: string, to: string, options: TranslateOptions & { format: 'normalized' }): Promise<NormalizedResult>;
+export function translateWithWordReference(word: string, from: string, to: string, options?: TranslateOptions): Promise<DictionaryResult>;
 
 /**
  * Translates a word using Linguee dictionary
  * @param word Word to translate
  * @param from Source language (supports both 'en' and 'english' formats)
  * @param to Target language (supports both 'es' and 'spanish' formats)
+ * @param options Optional configuration
  * @returns Promise with translation result
  */
-export function translateWithLinguee(word: string, from: string, to: string): Promise<DictionaryResult>;
+export function translateWithLinguee(word: string, from: string, to: string, options: TranslateOptions & { format: 'normalized' }): Promise<NormalizedResult>;
+export function translateWithLinguee(word: string, from: string, to: string, options?: TranslateOptions): Promise<DictionaryResult>;
 
 /**
  * Translates a word using a specific dictionary
- * @param dictionary Dictionary to use ('wordreference', 'wr', 'linguee', 'lg')
+ * @param dictionary Registered dictionary identifier or alias ('wordreference', 'wr', 'linguee', 'lg', ...)
  * @param word Word to translate
- * @param from Source language
+ * @param from Source language, or 'auto' to detect it
  * @param to Target language
+ * @param options Optional configuration
  * @returns Promise with translation result
  */
-export function translateWith(dictionary: string, word: string, from: string, to: string): Promise<DictionaryResult>;
+export function translateWith(dictionary: string, word: string, from: string, to: string, options: TranslateOptions & { format: 'normalized' }): Promise<NormalizedResult>;
+export function translateWith(dictionary: string, word: string, from: string, to: string, options?: TranslateOptions): Promise<DictionaryResult>;
 
 /**
  * Translates a word using multiple dictionaries with fallback
  * @param word Word to translate
- * @param from Source language
+ * @param from Source language, or 'auto' to detect it (see detectedLanguage)
  * @param to Target language
  * @param options Optional configuration
  * @returns Promise with combined results from multiple dictionaries
  */
 export function translate(word: string, from: string, to: string, options?: TranslateOptions): Promise<MultiDictionaryResult>;
 
+/**
+ * Translates a list of words with bounded concurrency; failures are isolated per word
+ * @param words Words to translate
+ * @param from Source language
+ * @param to Target language
+ * @param options translate() options plus concurrency and onProgress
+ * @returns Promise with one item per word, in input order
+ */
+export function translateMany(words: string[], from: string, to: string, options?: BatchOptions): Promise<BatchItem[]>;
+
+/**
+ * Streams translations, yielding each word's result as soon as it completes (with backpressure)
+ * @param words Iterable or async iterable of words
+ * @param from Source language
+ * @param to Target language
+ * @param options translate() options plus concurrency
+ * @returns Async generator of per-word items (completion order; use index for input order)
+ */
+export function translateStream(
+  words: Iterable<string> | AsyncIterable<string>,
+  from: string,
+  to: string,
+  options?: Omit<BatchOptions, 'onProgress'>
+): AsyncGenerator<BatchItem, void, undefined>;
+
+/**
+ * Node.js Readable stream (object mode) of per-word translation items
+ * @param words Iterable or async iterable of words
+ * @param from Source language
+ * @param to Target language
+ * @param options translateStream() options plus highWaterMark (default 1)
+ */
+export function createTranslateStream(
+  words: Iterable<string> | AsyncIterable<string>,
+  from: string,
+  to: string,
+  options?: Omit<BatchOptions, 'onProgress'> & { highWaterMark?: number }
+): Promise<import('stream').Readable>;
+
+/**
+ * Conjugates a verb with the WordReference conjugator ('es', 'fr', 'it', 'en')
+ * @param verb Verb in the infinitive
+ * @param lang Language of the verb (code, tag or name)
+ * @param options timeout, retries, retryDelay, cache, errors and locale
+ * @returns Promise with mood -> tense -> person tables
+ */
+export function conjugate(
+  verb: string,
+  lang: string,
+  options?: Pick<TranslateOptions, 'timeout' | 'retries' | 'retryDelay' | 'cache' | 'errors' | 'locale' | 'signal'>
+): Promise<ConjugationResult>;
+
+/**
+ * Defines a word with the WordReference monolingual dictionaries ('en', 'es')
+ * @param word Word to define
+ * @param lang Language of the word (code, tag or name)
+ * @param options timeout, retries, retryDelay, cache, errors and locale
+ * @returns Promise with the entries and their numbered senses
+ */
+export function define(
+  word: string,
+  lang: string,
+  options?: Pick<TranslateOptions, 'timeout' | 'retries' | 'retryDelay' | 'cache' | 'errors' | 'locale' | 'signal'>
+): Promise<DefinitionResult>;
+
+/**
+ * Looks up synonyms and antonyms in the WordReference thesaurus ('en', 'es')
+ * Supported languages are advertised by the 'synonyms' pair feature in getAvailableDictionaries()
+ * @param word Word to look up
+ * @param lang Language of the word (code, tag or name)
+ * @param options timeout, retries, retryDelay, cache, errors and locale
+ * @returns Promise with one synonym group per sense
+ */
+export function synonyms(
+  word: string,
+  lang: string,
+  options?: Pick<TranslateOptions, 'timeout' | 'retries' | 'retryDelay' | 'cache' | 'errors' | 'locale' | 'signal'>
+): Promise<SynonymsResult>;
+
+/**
+ * Downloads every audio recording of a result through the shared request layer
+ * @param result Result of translateWith(), translate() or a scraper
+ * @param options dir, naming, overwrite, concurrency and request options
+ * @returns Promise with the manifest of local files
+ */
+export function downloadAudio(
+  result: DictionaryResult | NormalizedResult | MultiDictionaryResult | Record<string, any>,
+  options?: AudioDownloadOptions
+): Promise<AudioManifest>;
+
 /**
  * Gets information about available dictionaries
  * @returns Dictionary information object
@@ -129,13 +883,28 @@ export function getSupportedLanguages(): string[];
  */
 export function normalizeLanguageCode(code: string): string | null;
 
+/**
+ * Parses a language code, BCP-47 tag or name, keeping script and region subtags
+ * @param tag Language code, tag or name (e.g., 'zh-Hant-TW', 'pt_BR', 'Deutsch')
+ * @returns Parsed tag or null if the language is not supported
+ */
+export function parseLanguageTag(tag: string): LanguageTag | null;
+
+/**
+ * Guesses the language of a word or short phrase from its script and letters (no requests)
+ * @param text Word or phrase
+ * @param options languages: only consider these codes
+ * @returns Detected language, confidence and candidates
+ */
+export function detectLanguage(text: string, options?: { languages?: string[] }): LanguageDetection;
+
 /**
  * Checks if a language pair is supported by any dictionary
  * @param from Source language
  * @param to Target language
  * @returns Support information
  */
-export function checkLanguageSupport(from: string, to: string): LanguageSupport;
+export function checkLanguageSupport(from: string, to: string, options?: { pivot?: string }): LanguageSupport;
 
 /**
  * Legacy main function for backward compatibility
@@ -164,7 +933,7 @@ export declare class MultiDictionaryScraper {
    * @param from - Source language code
    * @param to - Target language code
    */
-  translate(dictionaryKey: string, word: string, from: string, to: string): Promise<DictionaryResult>;
+  translate(dictionaryKey: string, word: string, from: string, to: string, options?: TranslateOptions): Promise<DictionaryResult>;
   
   /**
    * Translates a word using multiple dictionaries
@@ -173,7 +942,7 @@ export declare class MultiDictionaryScraper {
    * @param to - Target language
    * @param dictionaries - List of dictionaries to use
    */
-  translateMultiple(word: string, from: string, to: string, dictionaries?: string[]): Promise<MultiDictionaryResult>;
+  translateMultiple(word: string, from: string, to: string, dictionaries?: string[] | null, options?: TranslateOptions): Promise<MultiDictionaryResult>;
   
   /**
    * Translates a word using the best available dictionary
@@ -181,7 +950,7 @@ export declare class MultiDictionaryScraper {
    * @param from - Source language
    * @param to - Target language
    */
-  translateAuto(word: string, from: string, to: string): Promise<DictionaryResult>;
+  translateAuto(word: string, from: string, to: string, options?: TranslateOptions): Promise<DictionaryResult>;
   
   /**
    * Gets compatible dictionaries for a language pair
@@ -205,5 +974,5 @@ export declare class MultiDictionaryScraper {
 
 export declare const scraper: MultiDictionaryScraper;
 
-export declare function scrapeWordReference(word: string, from?: string, to?: string): Promise<DictionaryResult>;
-export declare function scrapeLinguee(word: string, from?: string, to?: string): Promise<DictionaryResult>;
+export declare function scrapeWordReference(word: string, from?: string, to?: string, options?: TranslateOptions): Promise<DictionaryResult>;
+export declare function scrapeLinguee(word: string, from?: string, to?: string, options?: TranslateOptions): Promise<DictionaryResult>;
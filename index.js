@@ -1,25 +1,148 @@
 // Multi-Dictionary Scraper - Direct Function Exports
 // No class instantiation required - import and use functions directly
 
-import { scrapeWordReference } from './scrapers/wordreference.js';
-import { scrapeLinguee, isLanguagePairSupported as isLingueeSupported } from './scrapers/linguee.js';
-import { LanguageCodes, LanguageValidator, RequestHandler } from './utils/common.js';
-
-// Dictionary metadata
-const DICTIONARIES = {
-    wordreference: {
-        name: 'WordReference',
-        languages: ['en', 'es', 'fr', 'de', 'it', 'pt', 'ru', 'ar', 'zh', 'ja', 'ko', 'nl', 'sv', 'no', 'da', 'pl', 'cs', 'ro', 'tr', 'he', 'hi', 'th', 'vi'],
-        features: ['audio', 'pronunciation', 'examples', 'grammatical-types'],
-        priority: 1
-    },
-    linguee: {
-        name: 'Linguee',
-        languages: ['en', 'es', 'fr', 'de', 'pt', 'it', 'ru', 'nl', 'pl', 'sv', 'da', 'fi', 'el', 'hu', 'sl', 'lv', 'lt', 'et', 'mt', 'sk', 'bg', 'ro', 'hr', 'cs', 'tr'],
-        features: ['contexts', 'frequency', 'verified-translations'],
-        priority: 2
-    }
-};
+import { DictionaryRegistry } from './scrapers/registry.js';
+import { ErrorHandler, LanguageCodes, LanguageValidator, RequestHandler } from './utils/common.js';
+import { ErrorMessages } from './utils/messages.js';
+import { ResultCache } from './utils/cache.js';
+import {
+    DictionaryError,
+    InvalidOptionError,
+    NotCachedError,
+    UnsupportedLanguageError,
+    UnsupportedPairError,
+    WordNotFoundError,
+    ErrorMode,
+    toDictionaryError,
+    errorFields
+} from './utils/errors.js';
+import { mapWithConcurrency, normalizeConcurrency, streamWithConcurrency } from './utils/batch.js';
+import { ResultMerger } from './utils/merge.js';
+import { DictionaryStrategy } from './utils/strategy.js';
+import { LanguageDetector } from './utils/detect.js';
+import { AudioDownloader } from './utils/audio.js';
+import { CONJUGATION_LOOKUP } from './scrapers/wordreference-conjugation.js';
+import { DEFINITION_LOOKUP } from './scrapers/wordreference-definition.js';
+import { scrapeMonolingual, validateMonolingualLanguage } from './scrapers/wordreference-monolingual.js';
+import { SYNONYMS_LOOKUP } from './scrapers/wordreference-synonyms.js';
+import { SECTION_TYPES } from './scrapers/wordreference.js';
+
+export { MemoryStore, FileStore } from './utils/cache.js';
+export {
+    DictionaryError,
+    NotCachedError,
+    UnsupportedLanguageError,
+    UnsupportedPairError,
+    WordNotFoundError,
+    RateLimitedError,
+    NetworkError,
+    ParseError,
+    CorsBlockedError,
+    InvalidOptionError
+} from './utils/errors.js';
+
+/**
+ * Updates global settings shared by every translate function and the legacy class
+ *
+ * @param {Object} options - Settings to change
+ * @param {boolean} options.offline - Serve results only from the cache and never make network requests
+ * @param {Object} options.cache - Cache settings (see configureCache)
+ * @param {Object} options.rateLimits - Per-host limits, e.g. { 'www.linguee.com': { requestsPerSecond: 0.5, burst: 1, maxConcurrent: 1 }, default: {...} }; false disables a host's limit
+ * @param {string|null} options.errors - Default error mode: 'throw', 'result' or null (see translateWith)
+ * @param {string} options.locale - Locale of userMessage in error results (default 'en')
+ * @returns {Object} Current settings
+ */
+export function configure(options = {}) {
+    if (options.offline !== undefined) {
+        RequestHandler.offline = Boolean(options.offline);
+    }
+    if (options.cache !== undefined) {
+        ResultCache.configure(options.cache);
+    }
+    if (options.rateLimits !== undefined) {
+        RequestHandler.configureRateLimits(options.rateLimits);
+    }
+    if (options.errors !== undefined) {
+        ErrorMode.configure(options.errors);
+    }
+    if (options.locale !== undefined) {
+        ErrorMessages.setLocale(options.locale);
+    }
+
+    return {
+        offline: RequestHandler.offline,
+        errors: ErrorMode.mode,
+        locale: ErrorMessages.locale,
+        cache: { ...ResultCache.settings },
+        rateLimits: { ...RequestHandler.rateLimits }
+    };
+}
+
+/**
+ * Registers a dictionary provider so every entry point (translate, translateWith,
+ * checkLanguageSupport, getAvailableDictionaries and the legacy class) can use it
+ *
+ * @param {string} id - Dictionary identifier (e.g., 'mydict')
+ * @param {Object} provider - Provider definition ({ name, aliases, languages, pairs, features, priority, scrape })
+ * @returns {Object} Registered provider information
+ */
+export function registerDictionary(id, provider) {
+    const entry = DictionaryRegistry.register(id, provider);
+    return describeDictionary(entry);
+}
+
+/**
+ * Removes a previously registered dictionary provider
+ * @param {string} id - Dictionary identifier or alias
+ * @returns {boolean} True if the dictionary was removed
+ */
+export function unregisterDictionary(id) {
+    return DictionaryRegistry.unregister(id);
+}
+
+/**
+ * Adds or overrides user-facing error messages for a locale
+ * Types: network, not-found, rate-limit, server-error, timeout, cors, parse-error,
+ * unsupported-language, unsupported-pair, unknown-dictionary, not-cached, cancelled, invalid-option, unknown
+ *
+ * @param {string} locale - Locale (e.g., 'fr', 'pt-BR')
+ * @param {Object} messages - Error type => message; missing types fall back to English
+ * @returns {Object} Messages registered for the locale
+ */
+export function registerErrorMessages(locale, messages) {
+    return ErrorMessages.register(locale, messages);
+}
+
+/**
+ * Gets the user-facing message for an error
+ *
+ * @param {Error|Object|string} error - DictionaryError (or any Error), failed result with a code, or error type
+ * @param {Object} options - Options
+ * @param {string} options.locale - Locale (default: the configured locale)
+ * @returns {string} Localized message
+ */
+export function getErrorMessage(error, options = {}) {
+    if (typeof error === 'string') {
+        return ErrorMessages.get(error, options.locale);
+    }
+    if (error instanceof Error) {
+        return ErrorHandler.handleScrapingError(error, null, null, options).message;
+    }
+    return ErrorMessages.get(error?.code || 'unknown', options.locale);
+}
+
+/**
+ * Configures the global result cache used by every translate function
+ *
+ * @param {Object} options - Cache options
+ * @param {boolean} options.enabled - Enable or disable caching (default true)
+ * @param {Object} options.store - Store with get/set/delete (default in-memory LRU, or a FileStore)
+ * @param {number} options.ttl - Time to live in milliseconds (default 1 hour, 0 = never expires)
+ * @returns {Object} Current cache configuration
+ */
+export function configureCache(options = {}) {
+    return ResultCache.configure(options);
+}
 
 /**
  * Translates a word using WordReference dictionary
@@ -29,31 +152,11 @@ const DICTIONARIES = {
  * @param {string} word - Word to translate
  * @param {string} from - Source language (e.g., 'en', 'english')
  * @param {string} to - Target language (e.g., 'es', 'spanish')
+ * @param {Object} options - Configuration options (see translateWith)
  * @returns {Promise<Object>} Translation result
  */
-export async function translateWithWordReference(word, from, to) {
-    const validation = LanguageValidator.validatePair(from, to);
-    if (validation.error) {
-        throw new Error(validation.error);
-    }
-
-    try {
-        const result = await scrapeWordReference(word, validation.from, validation.to);
-        return {
-            ...result,
-            source: 'wordreference',
-            timestamp: new Date().toISOString()
-        };
-    } catch (error) {
-        return {
-            source: 'wordreference',
-            inputWord: word,
-            fromLang: validation.from,
-            toLang: validation.to,
-            error: error.message,
-            timestamp: new Date().toISOString()
-        };
-    }
+export async function translateWithWordReference(word, from, to, options = {}) {
+    return await translateWith('wordreference', word, from, to, options);
 }
 
 /**
@@ -64,136 +167,395 @@ export async function translateWithWordReference(word, from, to) {
  * @param {string} word - Word to translate
  * @param {string} from - Source language (e.g., 'en', 'english')
  * @param {string} to - Target language (e.g., 'es', 'spanish')
+ * @param {Object} options - Configuration options (see translateWith)
  * @returns {Promise<Object>} Translation result
  */
-export async function translateWithLinguee(word, from, to) {
-    const validation = LanguageValidator.validatePair(from, to);
-    if (validation.error) {
-        throw new Error(validation.error);
-    }
+export async function translateWithLinguee(word, from, to, options = {}) {
+    return await translateWith('linguee', word, from, to, options);
+}
 
-    // Check if language pair is supported by Linguee
-    if (!isLingueeSupported(validation.from, validation.to)) {
-        throw new Error(`Language pair ${validation.from}-${validation.to} not supported by Linguee`);
-    }
+/**
+ * Translates a word using a specific dictionary
+ * Failures are DictionaryError subclasses. With options.errors = 'throw' every failure
+ * rejects; with 'result' every failure resolves to { error, code, retryable }; by default
+ * invalid arguments (dictionary, language, pair) throw and lookup failures are returned
+ * 
+ * @param {string} dictionary - Registered dictionary identifier or alias (e.g., 'wordreference', 'wr', 'linguee', 'lg')
+ * @param {string} word - Word to translate
+ * @param {string} from - Source language, or 'auto' to detect it (reported in detectedLanguage)
+ * @param {string} to - Target language
+ * @param {Object} options - Configuration options
+ * @param {Object} options.detect - For from: 'auto': { probe, candidates } (see translate)
+ * @param {number} options.timeout - Request timeout in milliseconds (default 10000)
+ * @param {number} options.retries - Retry attempts for timeouts, server errors and rate limits (default 0)
+ * @param {number} options.retryDelay - Base exponential backoff delay in milliseconds (default 500)
+ * @param {string} options.format - 'raw' (default) or 'normalized' for the shared entry/sense schema
+ * @param {boolean|Object} options.cache - false to bypass the cache, or { store, ttl } to override it for this call
+ * @param {string} options.errors - 'throw' or 'result' (default set with configure, see above)
+ * @param {string} options.locale - Locale of userMessage when the result has an error
+ * @param {boolean} options.autoCorrect - When the word is not found, retry once with the dictionary's top
+ *   spelling suggestion; the result then carries autoCorrected { original, corrected, suggestions }
+ * @param {Array<string>} options.sectionTypes - Keep only these WordReference sections ('principal', 'additional',
+ *   'phrasal-verb', 'compound', 'idiom'); every section carries its type
+ * @param {number} options.maxExamples - Keep at most this many Linguee corpusExamples (sentence pairs from
+ *   external sites, with sourceDomain and url for attribution)
+ * @returns {Promise<Object>} Translation result (not-found results carry the dictionary's suggestions)
+ */
+export async function translateWith(dictionary, word, from, to, options = {}) {
+    const mode = ErrorMode.resolve(options.errors);
 
     try {
-        const result = await scrapeLinguee(word, validation.from, validation.to);
-        console.log('Linguee result:', result);
-        return {
-            ...result,
-            source: 'linguee',
-            timestamp: new Date().toISOString()
-        };
+        const resolved = resolveDictionary(dictionary, word);
+        validateSectionTypes(options.sectionTypes);
+        validateMaxExamples(options.maxExamples);
+        let validation = LanguageValidator.assertPair(from, to, { source: resolved.id, word }, { allowAuto: true });
+        const { provider } = resolved;
+
+        let detection = null;
+        if (validation.from === 'auto') {
+            detection = await detectSource(word, validation.to, options, [resolved.id]);
+            validation = LanguageValidator.assertPair(detection.language, validation.to, { source: resolved.id, word });
+        }
+
+        // Check if language pair is supported by the dictionary
+        if (!DictionaryRegistry.supportsPair(provider, validation.from, validation.to)) {
+            throw new UnsupportedPairError(`Language pair ${validation.from}-${validation.to} not supported by ${provider.name}`, {
+                source: resolved.id,
+                word,
+                from: validation.from,
+                to: validation.to
+            });
+        }
+
+        const result = await DictionaryRegistry.lookup(resolved, word, validation.from, validation.to, options);
+        if (result.error && mode === 'throw') {
+            throw toDictionaryError(result);
+        }
+
+        const formatted = formatResult(provider, result, options);
+        return detection ? { ...formatted, detectedLanguage: detection } : formatted;
     } catch (error) {
-        return {
-            source: 'linguee',
+        if (mode !== 'result') {
+            throw error;
+        }
+        return failedResult(error, {
+            inputWord: word,
+            source: DictionaryRegistry.resolve(dictionary)?.id ?? dictionary,
+            fromLang: from,
+            toLang: to
+        }, options.locale);
+    }
+}
+
+/**
+ * Translates a word using multiple dictionaries with fallback
+ * By default returns results from all available dictionaries for the language pair
+ * (see options.strategy to trade completeness for latency).
+ * A failing dictionary is reported in its own entry ({ error, code, retryable });
+ * in 'throw' mode the call rejects only when every dictionary failed
+ * 
+ * @param {string} word - Word to translate
+ * @param {string} from - Source language (code, BCP-47 tag or name), or 'auto' to detect it from the word's script and letters;
+ *   the guess is reported in detectedLanguage { language, confidence, method, script, candidates }
+ * @param {string} to - Target language
+ * @param {Object} options - Configuration options (passed to every dictionary, see translateWith)
+ * @param {Object} options.detect - For from: 'auto': probe (true to confirm the guess by looking the word up
+ *   in the best candidate languages until one has translations; by default only unreliable guesses are probed,
+ *   and the call fails with UNSUPPORTED_LANGUAGE when none is confirmed, or with the probes' error when they all
+ *   failed, e.g. NOT_CACHED; false never probes) and candidates
+ *   (languages probed, default 3)
+ * @param {Array<string>} options.dictionaries - Only query these dictionaries (identifiers or aliases)
+ * @param {string} options.errors - 'throw' or 'result' (see translateWith)
+ * @param {boolean} options.merge - Add a merged list of deduplicated translations ranked by confidence
+ * @param {string} options.strategy - 'all' (default), 'priority' (first usable result in priority order),
+ *   'race' (first usable response wins, the rest are cancelled) or 'quorum' (stop once options.quorum dictionaries agree)
+ * @param {number} options.quorum - Agreeing dictionaries needed by the 'quorum' strategy (default 2)
+ * @param {AbortSignal} options.signal - Cancels the pending requests
+ * @param {boolean|string} options.pivot - When no dictionary supports the pair, translate through a hub
+ *   language (true = 'en', or a language code); results come back in merged with a pivot path and lower confidence
+ * @param {number} options.pivotCandidates - Intermediate translations followed through the hub (default 3)
+ * @param {Array<string>} options.sectionTypes - Keep only these WordReference section types (see translateWith)
+ * @param {number} options.maxExamples - Keep at most this many Linguee corpus examples (see translateWith)
+ * @returns {Promise<Object>} Combined results from the dictionaries that answered
+ */
+export async function translate(word, from, to, options = {}) {
+    const mode = ErrorMode.resolve(options.errors);
+    let results = { inputWord: word, fromLang: from, toLang: to, dictionaries: {} };
+
+    try {
+        validateSectionTypes(options.sectionTypes);
+        validateMaxExamples(options.maxExamples);
+        let validation = LanguageValidator.assertPair(from, to, { word }, { allowAuto: true });
+
+        let detection = null;
+        if (validation.from === 'auto') {
+            detection = await detectSource(word, validation.to, options, options.dictionaries);
+            validation = { ...LanguageValidator.assertPair(detection.language, validation.to, { word }), toTag: validation.toTag };
+        }
+
+        results = {
             inputWord: word,
             fromLang: validation.from,
             toLang: validation.to,
-            error: error.message,
+            fromName: validation.fromName,
+            toName: validation.toName,
+            ...languageTags(validation),
+            ...(detection && { detectedLanguage: detection }),
+            dictionaries: {},
             timestamp: new Date().toISOString()
         };
+
+        const selected = selectDictionaries(validation.from, validation.to, options.dictionaries);
+        if (selected.length === 0) {
+            const pivot = options.pivot ? findPivot(validation.from, validation.to, options.pivot, options.dictionaries) : null;
+            if (pivot) {
+                return await translateViaPivot(word, results, pivot, options, mode);
+            }
+            throw new UnsupportedPairError(`No dictionaries support the language pair ${validation.from}-${validation.to}`, {
+                word,
+                from: validation.from,
+                to: validation.to
+            });
+        }
+
+        const strategy = DictionaryStrategy.validate(options.strategy);
+        results.strategy = strategy;
+
+        const responses = await DictionaryStrategy.run(strategy, selected,
+            (dictionary, signal) => translateWith(dictionary, word, validation.from, validation.to, { ...options, errors: 'result', signal }),
+            {
+                quorum: options.quorum,
+                signal: options.signal,
+                isUsable: hasTranslations,
+                agreement: entries => Math.max(0, ...mergeDictionaries(Object.fromEntries(entries)).map(candidate => candidate.sources.length))
+            }
+        );
+
+        // Offline mode: fail fast when no dictionary had the word cached
+        if (responses.every(([, result]) => result.code === 'NOT_CACHED')) {
+            throw new NotCachedError(`"${word}" (${validation.from}-${validation.to}) is not cached by any dictionary and offline mode is enabled`, { word });
+        }
+
+        const failed = responses.filter(([, result]) => result.error);
+        if (mode === 'throw' && failed.length === responses.length) {
+            throw toDictionaryError(failed[0][1]);
+        }
+
+        results.dictionaries = Object.fromEntries(responses);
+        if (options.merge) {
+            results.merged = mergeDictionaries(results.dictionaries);
+        }
+        return results;
+    } catch (error) {
+        if (mode !== 'result') {
+            throw error;
+        }
+        return failedResult(error, results, options.locale);
     }
 }
 
 /**
- * Translates a word using a specific dictionary
+ * Translates a list of words with bounded concurrency
+ * Each word goes through translate(), so dictionary fan-out, caching and rate limits apply.
+ * A failing word never rejects the batch: it is reported with success: false and its
+ * error code. Invalid languages or concurrency throw InvalidOptionError/UnsupportedLanguageError,
+ * or fail every word in 'result' mode; a words argument that is not an array always throws
  * 
- * @param {string} dictionary - Dictionary to use ('wordreference' or 'linguee')
- * @param {string} word - Word to translate
- * @param {string} from - Source language
+ * @param {Array<string>} words - Words to translate
+ * @param {string} from - Source language, or 'auto' to detect it per word
  * @param {string} to - Target language
- * @returns {Promise<Object>} Translation result
+ * @param {Object} options - translate() options plus batch settings
+ * @param {number} options.concurrency - Words translated in parallel (default 4)
+ * @param {Array<string>} options.dictionaries - Only query these dictionaries
+ * @param {Function} options.onProgress - Called after each word with { completed, total, index, word, success }
+ * @returns {Promise<Array<Object>>} { word, index, success, result, error, code, retryable } per word, in input order
  */
-export async function translateWith(dictionary, word, from, to) {
-    switch (dictionary.toLowerCase()) {
-        case 'wordreference':
-        case 'wr':
-            return await translateWithWordReference(word, from, to);
-        case 'linguee':
-        case 'lg':
-            return await translateWithLinguee(word, from, to);
-        default:
-            throw new Error(`Dictionary "${dictionary}" not supported. Available: wordreference, linguee`);
+export async function translateMany(words, from, to, options = {}) {
+    if (!Array.isArray(words)) {
+        throw new InvalidOptionError('translateMany expects an array of words', { option: 'words' });
+    }
+
+    // Fail early (before any request) if the pair or the batch settings are invalid
+    let validation;
+    try {
+        validation = LanguageValidator.assertPair(from, to, {}, { allowAuto: true });
+        normalizeConcurrency(options.concurrency);
+    } catch (error) {
+        if (ErrorMode.resolve(options.errors) !== 'result') {
+            throw error;
+        }
+        return words.map((word, index) => failedItem(word, index, error, options.locale));
     }
+
+    const { concurrency, onProgress, ...translateOptions } = options;
+    let completed = 0;
+
+    return await mapWithConcurrency(words, concurrency, async (word, index) => {
+        const item = await translateBatchItem(word, index, validation.from, validation.to, translateOptions);
+
+        completed++;
+        if (typeof onProgress === 'function') {
+            try {
+                onProgress({ completed, total: words.length, index, word, success: item.success });
+            } catch (error) {
+                console.warn('onProgress callback failed:', error.message);
+            }
+        }
+
+        return item;
+    });
 }
 
 /**
- * Translates a word using multiple dictionaries with fallback
- * Returns results from all available dictionaries for the language pair
+ * Streams translations for a (possibly huge or lazy) list of words
+ * Yields { word, index, success, result, error } as soon as each word completes
+ * (completion order, use index to restore input order). Words are pulled from the
+ * source only when a concurrency slot is free and the consumer is reading.
+ * Invalid languages or concurrency throw, or fail every word in 'result' mode
  * 
- * @param {string} word - Word to translate
- * @param {string} from - Source language
+ * @param {Iterable<string>|AsyncIterable<string>} words - Words to translate
+ * @param {string} from - Source language, or 'auto' to detect it per word
  * @param {string} to - Target language
- * @param {Object} options - Configuration options
- * @returns {Promise<Object>} Combined results from multiple dictionaries
+ * @param {Object} options - translate() options plus concurrency (default 4)
+ * @returns {AsyncGenerator<Object>} Per-word results
  */
-export async function translate(word, from, to, options = {}) {
-    const validation = LanguageValidator.validatePair(from, to);
-    if (validation.error) {
-        throw new Error(validation.error);
+export function translateStream(words, from, to, options = {}) {
+    if (!words || (typeof words[Symbol.iterator] !== 'function' && typeof words[Symbol.asyncIterator] !== 'function')) {
+        throw new InvalidOptionError('translateStream expects an iterable or async iterable of words', { option: 'words' });
     }
 
-    const results = {
-        inputWord: word,
-        fromLang: validation.from,
-        toLang: validation.to,
-        fromName: validation.fromName,
-        toName: validation.toName,
-        dictionaries: {},
-        timestamp: new Date().toISOString()
-    };
+    // Validated eagerly so an invalid pair or concurrency throws before anything is read
+    let validation;
+    try {
+        validation = LanguageValidator.assertPair(from, to, {}, { allowAuto: true });
+        normalizeConcurrency(options.concurrency);
+    } catch (error) {
+        if (ErrorMode.resolve(options.errors) !== 'result') {
+            throw error;
+        }
+        return failEvery(words, error, options.locale);
+    }
 
-    const promises = [];
+    const { concurrency, ...translateOptions } = options;
+    return streamWithConcurrency(words, concurrency, (word, index) =>
+        translateBatchItem(word, index, validation.from, validation.to, translateOptions)
+    );
+}
 
-    // Try WordReference
-    if (DICTIONARIES.wordreference.languages.includes(validation.from) && 
-        DICTIONARIES.wordreference.languages.includes(validation.to)) {
-        promises.push(
-            translateWithWordReference(word, validation.from, validation.to)
-                .then(result => ({ dictionary: 'wordreference', result }))
-                .catch(error => ({ dictionary: 'wordreference', error: error.message }))
-        );
-    }
+/**
+ * Node.js Readable (object mode) version of translateStream, for piping into files or databases
+ * 
+ * @param {Iterable<string>|AsyncIterable<string>} words - Words to translate
+ * @param {string} from - Source language
+ * @param {string} to - Target language
+ * @param {Object} options - translateStream() options plus highWaterMark (default 1)
+ * @returns {Promise<Readable>} Readable stream of per-word results
+ */
+export async function createTranslateStream(words, from, to, options = {}) {
+    const { highWaterMark = 1, ...streamOptions } = options;
+    const iterator = translateStream(words, from, to, streamOptions);
+    const { Readable } = await import('stream');
+    return Readable.from(iterator, { objectMode: true, highWaterMark });
+}
 
-    // Try Linguee
-    if (isLingueeSupported(validation.from, validation.to)) {
-        promises.push(
-            translateWithLinguee(word, validation.from, validation.to)
-                .then(result => ({ dictionary: 'linguee', result }))
-                .catch(error => ({ dictionary: 'linguee', error: error.message }))
-        );
-    }
+/**
+ * Conjugates a verb with the WordReference conjugator (Spanish, French, Italian and English)
+ * Validation, caching and error modes work as in translateWith: an unsupported language throws
+ * UnsupportedLanguageError, an unknown verb resolves to a NOT_FOUND result (with suggestions)
+ *
+ * @param {string} verb - Verb in the infinitive (e.g., 'tener', 'être')
+ * @param {string} lang - Language of the verb (code, tag or name)
+ * @param {Object} options - timeout, retries, retryDelay, cache, errors and locale (see translateWith)
+ * @returns {Promise<Object>} { inputWord, language, moods, irregular, source, timestamp, fromCache };
+ *   moods maps mood -> tense -> person -> { form, irregular, alternatives? } using the site's labels
+ */
+export async function conjugate(verb, lang, options = {}) {
+    return await lookupMonolingual(CONJUGATION_LOOKUP, verb, lang, options);
+}
 
-    if (promises.length === 0) {
-        throw new Error(`No dictionaries support the language pair ${validation.from}-${validation.to}`);
-    }
+/**
+ * Defines a word with the WordReference monolingual dictionaries (English and Spanish)
+ * Validation, caching and error modes work as in conjugate()
+ *
+ * @param {string} word - Word to define (e.g., 'run', 'casa')
+ * @param {string} lang - Language of the word (code, tag or name)
+ * @param {Object} options - timeout, retries, retryDelay, cache, errors and locale (see translateWith)
+ * @returns {Promise<Object>} { inputWord, language, entries, source, timestamp, fromCache }; each entry is
+ *   { headword, pos, posRaw, pronunciations, senses } and each sense { number, definition, labels, examples, subsenses }
+ */
+export async function define(word, lang, options = {}) {
+    return await lookupMonolingual(DEFINITION_LOOKUP, word, lang, options);
+}
+
+// Validation, cache, offline mode and error modes shared by the WordReference monolingual lookups
+async function lookupMonolingual(lookup, word, lang, options) {
+    const mode = ErrorMode.resolve(options.errors);
+
+    try {
+        const validation = validateMonolingualLanguage(lookup, word, lang);
+        const key = { dictionary: lookup.dictionary, from: validation.code, to: validation.code, word };
+        const result = await ResultCache.fetch(key, options.cache, async () => {
+            if (RequestHandler.offline) {
+                throw new NotCachedError(`"${word}" (${validation.code}) is not cached for the WordReference ${lookup.name} and offline mode is enabled`, { source: 'wordreference', word });
+            }
+            return await scrapeMonolingual(lookup, word, validation.code, options);
+        });
 
-    const responses = await Promise.allSettled(promises);
-    
-    responses.forEach(response => {
-        if (response.status === 'fulfilled') {
-            const { dictionary, result, error } = response.value;
-            results.dictionaries[dictionary] = error ? { error } : result;
+        if (result.error && mode === 'throw') {
+            throw toDictionaryError(result);
         }
-    });
+        return result;
+    } catch (error) {
+        if (mode !== 'result') {
+            throw error;
+        }
+        return { ...failedResult(error, { inputWord: word, source: 'wordreference', language: lang }, options.locale), ...lookup.empty() };
+    }
+}
+
+/**
+ * Looks up synonyms and antonyms in the WordReference thesaurus (English and Spanish)
+ * The languages are advertised as the 'synonyms' feature of the WordReference pairs in getAvailableDictionaries().
+ * Validation, caching and error modes work as in conjugate()
+ *
+ * @param {string} word - Word to look up (e.g., 'happy', 'feliz')
+ * @param {string} lang - Language of the word (code, tag or name)
+ * @param {Object} options - timeout, retries, retryDelay, cache, errors and locale (see translateWith)
+ * @returns {Promise<Object>} { inputWord, language, groups, source, timestamp, fromCache };
+ *   one group per sense: { sense, pos, synonyms, antonyms } (sense and pos are null when the page has no sense line)
+ */
+export async function synonyms(word, lang, options = {}) {
+    return await lookupMonolingual(SYNONYMS_LOOKUP, word, lang, options);
+}
 
-    return results;
+/**
+ * Downloads the pronunciation recordings of a result (e.g. for offline flashcards)
+ * Uses the same request layer as the scrapers: per-host rate limits, retries, and the CORS proxy in browsers.
+ * Existing files are skipped without a request; a failed file never rejects the call
+ *
+ * @param {Object} result - Result of translateWith(), translate() or a scraper (raw or normalized)
+ * @param {Object} options - Download options
+ * @param {string} options.dir - Target directory (Node.js); without it each file's bytes are returned in data
+ * @param {string|Function} options.naming - 'word' (default, e.g. house_british.mp3), 'original' (URL file name)
+ *   or ({ word, region, accent, url, format, index }) => file name
+ * @param {boolean} options.overwrite - Download files that already exist (default false)
+ * @param {number} options.concurrency - Downloads in flight (default 4)
+ * @param {number} options.timeout - Request timeout in milliseconds; retries and retryDelay work as in translateWith
+ * @returns {Promise<Object>} Manifest { dir, files, words } where words maps word -> region -> local path
+ *   and files lists every recording with its status ('downloaded', 'skipped' or 'failed')
+ */
+export async function downloadAudio(result, options = {}) {
+    return await AudioDownloader.download(result, options);
 }
 
 /**
  * Gets information about available dictionaries
+ * Dictionaries with a pair matrix also list pairs: [{ from, to, features }]
  * @returns {Object} Dictionary information
  */
 export function getAvailableDictionaries() {
-    return Object.entries(DICTIONARIES).reduce((acc, [key, dict]) => {
-        acc[key] = {
-            name: dict.name,
-            languages: dict.languages,
-            features: dict.features,
-            priority: dict.priority
-        };
+    return DictionaryRegistry.ids().reduce((acc, id) => {
+        acc[id] = describeDictionary(DictionaryRegistry.providers.get(id));
         return acc;
     }, {});
 }
@@ -208,6 +570,7 @@ export function getSupportedLanguages() {
 
 /**
  * Normalizes language code (supports both short and long forms)
+ * Also accepts ISO 639-2/3 codes ('spa', 'deu'), BCP-47 tags ('pt-BR', 'en_GB') and native names ('español')
  * @param {string} code - Language code to normalize
  * @returns {string|null} Normalized short code or null if not supported
  */
@@ -215,33 +578,337 @@ export function normalizeLanguageCode(code) {
     return LanguageCodes.normalize(code);
 }
 
+/**
+ * Parses a language code, tag or name, keeping script and region subtags
+ * @param {string} tag - Language code, BCP-47 tag or name (e.g., 'zh-Hant-TW', 'pt_BR', 'Deutsch')
+ * @returns {Object|null} { code, script, region, tag } or null if the language is not supported
+ */
+export function parseLanguageTag(tag) {
+    return LanguageCodes.parse(tag);
+}
+
+/**
+ * Guesses the language of a word or short phrase (no network requests)
+ * Uses the writing system first (Cyrillic, Arabic, Hebrew, CJK, Hangul, Thai, Devanagari, Greek),
+ * then letters and character n-grams typical of each Latin-script language
+ * @param {string} text - Word or phrase
+ * @param {Object} options - Options
+ * @param {Array<string>} options.languages - Only consider these language codes
+ * @returns {Object} { language, confidence, method, script, candidates } (language is null if the text has no letters)
+ */
+export function detectLanguage(text, options = {}) {
+    const languages = options.languages?.map(code => LanguageCodes.normalize(code)).filter(Boolean);
+    return LanguageDetector.detect(text, { languages });
+}
+
 /**
  * Checks if a language pair is supported by any dictionary
+ * Support comes from each dictionary's pair matrix; features lists what each one offers for this direction.
+ * Pairs no dictionary supports directly report pivotOnly: true (and the pivot route)
+ * when translate(..., { pivot }) can reach them through the hub language
  * @param {string} from - Source language
  * @param {string} to - Target language
+ * @param {Object} options - Options
+ * @param {string} options.pivot - Hub language to check (default 'en')
  * @returns {Object} Support information
  */
-export function checkLanguageSupport(from, to) {
+export function checkLanguageSupport(from, to, options = {}) {
     const validation = LanguageValidator.validatePair(from, to);
     if (validation.error) {
-        return { supported: false, error: validation.error };
+        return { supported: false, error: validation.error, suggestions: validation.suggestions };
     }
 
-    const supportedBy = [];
-    
-    if (DICTIONARIES.wordreference.languages.includes(validation.from) && 
-        DICTIONARIES.wordreference.languages.includes(validation.to)) {
-        supportedBy.push('wordreference');
-    }
+    const supportedBy = DictionaryRegistry.getCompatible(validation.from, validation.to);
 
-    if (isLingueeSupported(validation.from, validation.to)) {
-        supportedBy.push('linguee');
-    }
+    const pivot = supportedBy.length === 0 ? findPivot(validation.from, validation.to, options.pivot ?? true) : null;
 
     return {
         supported: supportedBy.length > 0,
         supportedBy,
+        features: Object.fromEntries(supportedBy.map(id => [
+            id,
+            DictionaryRegistry.getPair(DictionaryRegistry.providers.get(id), validation.from, validation.to).features
+        ])),
         normalizedFrom: validation.from,
-        normalizedTo: validation.to
+        normalizedTo: validation.to,
+        fromTag: validation.fromTag,
+        toTag: validation.toTag,
+        pivotOnly: Boolean(pivot),
+        ...(pivot && { pivot })
+    };
+}
+
+// Registered dictionary for an identifier or alias
+function resolveDictionary(name, word) {
+    const resolved = DictionaryRegistry.resolve(name);
+    if (!resolved) {
+        throw new DictionaryError(`Dictionary "${name}" not supported. Available: ${DictionaryRegistry.ids().join(', ')}`, {
+            code: 'UNKNOWN_DICTIONARY',
+            source: name,
+            word
+        });
+    }
+    return resolved;
+}
+
+// Compatible dictionaries, optionally restricted to the ones the caller asked for
+function selectDictionaries(from, to, requested) {
+    const compatible = DictionaryRegistry.getCompatible(from, to);
+    if (!requested) {
+        return compatible;
+    }
+
+    const wanted = requested.map(name => resolveDictionary(name).id);
+    return compatible.filter(id => wanted.includes(id));
+}
+
+// Result-mode value for a failed call
+function failedResult(error, base, locale) {
+    const typed = toDictionaryError(error, { source: base.source, word: base.inputWord });
+    return { ...base, ...errorFields(typed, locale), timestamp: new Date().toISOString() };
+}
+
+// Translates one batch word, turning failures into a result entry
+async function translateBatchItem(word, index, from, to, options) {
+    try {
+        const result = await translate(word, from, to, options);
+        if (result.error) {
+            throw toDictionaryError(result, { word });
+        }
+        return { word, index, success: true, result };
+    } catch (error) {
+        return failedItem(word, index, error, options.locale);
+    }
+}
+
+function failedItem(word, index, error, locale) {
+    return { word, index, success: false, ...errorFields(toDictionaryError(error, { word }), locale) };
+}
+
+// Reports the same failure for every word of a stream source
+async function* failEvery(words, error, locale) {
+    let index = 0;
+    for await (const word of words) {
+        yield failedItem(word, index++, error, locale);
+    }
+}
+
+// Script/region subtags of the requested languages ('pt-BR' -> fromTag), when there were any
+function languageTags({ fromTag, toTag }) {
+    return {
+        ...(fromTag && fromTag.tag !== fromTag.code && { fromTag }),
+        ...(toTag.tag !== toTag.code && { toTag })
+    };
+}
+
+// Resolves from: 'auto' to the detected language, confirmed by probing dictionaries when options.detect.probe is set
+async function detectSource(word, to, options, requested) {
+    const { probe, candidates = 3 } = options.detect || {};
+
+    // Only languages that can actually be translated into the target are worth guessing
+    const reachable = LanguageCodes.getAllCodes().filter(code => code !== to && (
+        selectDictionaries(code, to, requested).length > 0 ||
+        (options.pivot && findPivot(code, to, options.pivot, requested))
+    ));
+
+    const detection = LanguageDetector.detect(word, { languages: reachable });
+    if (!detection.language) {
+        throw new UnsupportedLanguageError(`Could not detect the language of "${word}"`, { word, language: 'auto' });
+    }
+    // Unreliable guesses (e.g. 'casa': Spanish, Italian or Portuguese) are confirmed unless probing was turned off
+    if (probe === false || (!probe && detection.reliable)) {
+        return detection;
+    }
+
+    const probed = detection.candidates.filter(candidate => reachable.includes(candidate.language)).slice(0, candidates);
+    const failures = [];
+    for (const candidate of probed) {
+        const result = await translate(word, candidate.language, to, {
+            ...options,
+            dictionaries: requested,
+            strategy: 'priority',
+            merge: false,
+            errors: 'result'
+        });
+
+        const confirmed = Object.entries(result.dictionaries || {}).some(([id, entry]) => hasTranslations(id, entry)) ||
+            result.merged?.length > 0;
+        if (confirmed) {
+            return {
+                ...detection,
+                language: candidate.language,
+                confidence: Math.max(candidate.confidence, LanguageDetector.PROBE_CONFIDENCE),
+                method: 'probe',
+                reliable: true
+            };
+        }
+
+        const failure = probeFailure(result);
+        if (failure) {
+            failures.push(failure);
+        }
+    }
+
+    if (!detection.reliable) {
+        // Probes that could not look the word up (offline, network, rate limits) say nothing about the language
+        if (failures.length > 0 && failures.length === probed.length) {
+            throw failures[0];
+        }
+        throw new UnsupportedLanguageError(
+            `Could not reliably detect the language of "${word}" (best guess ${detection.language}, confidence ${detection.confidence}); pass the source language`,
+            { word, language: 'auto', suggestions: detection.candidates.slice(0, candidates).map(candidate => candidate.language) }
+        );
+    }
+    return detection;
+}
+
+// Typed error of a probe no dictionary answered, or null when one did (even without translations)
+function probeFailure(result) {
+    if (result.error) {
+        return toDictionaryError(result);
+    }
+
+    const entries = Object.values(result.dictionaries || {});
+    if (entries.length === 0 || entries.some(entry => !entry.error || entry.code === 'NOT_FOUND')) {
+        return null;
+    }
+    return toDictionaryError(entries[0]);
+}
+
+// Route from -> hub -> to when both legs have dictionaries, or null
+function findPivot(from, to, option, requested) {
+    const via = LanguageCodes.normalize(option === true ? 'en' : option);
+    if (!via || via === from || via === to) {
+        return null;
+    }
+
+    const firstLeg = selectDictionaries(from, via, requested);
+    const secondLeg = selectDictionaries(via, to, requested);
+    if (firstLeg.length === 0 || secondLeg.length === 0) {
+        return null;
+    }
+
+    return { via, path: [from, via, to], firstLeg, secondLeg };
+}
+
+// Translates word -> hub language -> target through the best intermediate candidates
+async function translateViaPivot(word, results, pivot, options, mode) {
+    const legOptions = { ...options, pivot: false, merge: true, errors: 'result' };
+    const first = await translate(word, results.fromLang, pivot.via, legOptions);
+    if (first.error) {
+        throw toDictionaryError(first);
+    }
+
+    const intermediates = first.merged.slice(0, options.pivotCandidates ?? 3);
+    const second = await Promise.all(intermediates.map(candidate =>
+        translate(candidate.text, pivot.via, results.toLang, legOptions)
+    ));
+
+    const merged = ResultMerger.chain(intermediates, second.map(leg => leg.merged || []), pivot);
+    if (merged.length === 0 && mode === 'throw') {
+        const failure = [first, ...second].flatMap(leg => leg.error ? [leg] : Object.values(leg.dictionaries)).find(result => result.error);
+        throw failure
+            ? toDictionaryError(failure)
+            : new WordNotFoundError(`No translations found for "${word}" via ${pivot.via}`, { word });
+    }
+
+    return {
+        ...results,
+        strategy: DictionaryStrategy.validate(options.strategy),
+        pivot: { via: pivot.via, path: pivot.path, legs: [first, ...second] },
+        merged
+    };
+}
+
+// True if a dictionary result has at least one translation
+function hasTranslations(id, result) {
+    if (result.error) {
+        return false;
+    }
+
+    const provider = DictionaryRegistry.resolve(id)?.provider;
+    if (result.format === 'normalized') {
+        return result.entries.length > 0;
+    }
+    return provider?.normalize ? provider.normalize(result).entries.length > 0 : true;
+}
+
+// Ranked consensus over every dictionary that can produce the normalized schema
+function mergeDictionaries(dictionaries) {
+    const normalized = {};
+    for (const [id, result] of Object.entries(dictionaries)) {
+        const provider = DictionaryRegistry.resolve(id)?.provider;
+        if (result.format === 'normalized') {
+            normalized[id] = result;
+        } else if (provider?.normalize && !result.error) {
+            normalized[id] = provider.normalize(result);
+        }
+    }
+    return ResultMerger.merge(normalized);
+}
+
+// Applies the requested output format to a dictionary result
+function formatResult(provider, unfiltered, options) {
+    const result = limitCorpusExamples(filterSections(unfiltered, options.sectionTypes), options.maxExamples);
+    if (options.format !== 'normalized' || !provider.normalize) {
+        return result;
+    }
+
+    const normalized = provider.normalize(result);
+    return {
+        ...normalized,
+        ...(result.error && { code: result.code, retryable: result.retryable, userMessage: result.userMessage }),
+        ...(result.suggestions && { suggestions: result.suggestions }),
+        ...(result.autoCorrected && { autoCorrected: result.autoCorrected }),
+        source: result.source,
+        fromLang: normalized.fromLang || result.fromLang,
+        toLang: normalized.toLang || result.toLang,
+        fromCache: result.fromCache,
+        timestamp: result.timestamp
+    };
+}
+
+// Drops sections whose type was not requested (cached results keep every section)
+function filterSections(result, types) {
+    if (!types || !Array.isArray(result.sections)) {
+        return result;
+    }
+    return { ...result, sections: result.sections.filter(section => types.includes(section.type)) };
+}
+
+function validateSectionTypes(types) {
+    if (types === undefined) {
+        return;
+    }
+    const unknown = Array.isArray(types) ? types.filter(type => !SECTION_TYPES.includes(type)) : [types];
+    if (unknown.length > 0) {
+        throw new InvalidOptionError(`Section types must be among ${SECTION_TYPES.join(', ')}, got ${unknown.join(', ')}`, { option: 'sectionTypes' });
+    }
+}
+
+// Trims Linguee corpus examples to the requested count (cached results keep every example)
+function limitCorpusExamples(result, max) {
+    if (max === undefined || !Array.isArray(result.corpusExamples)) {
+        return result;
+    }
+    return { ...result, corpusExamples: result.corpusExamples.slice(0, max) };
+}
+
+function validateMaxExamples(max) {
+    if (max !== undefined && !(Number.isInteger(max) && max >= 0)) {
+        throw new InvalidOptionError(`maxExamples must be a non-negative integer, got ${max}`, { option: 'maxExamples' });
+    }
+}
+
+// Public view of a registered provider
+function describeDictionary(provider) {
+    const pairs = DictionaryRegistry.listPairs(provider);
+    return {
+        name: provider.name,
+        aliases: provider.aliases,
+        languages: provider.languages,
+        features: provider.features,
+        priority: provider.priority,
+        ...(pairs && { pairs })
     };
 }
@@ -1,38 +1,35 @@
 // Main class for the multi-dictionary module
-import { scrapeWordReference } from './scrapers/wordreference.js';
-import { scrapeLinguee, isLanguagePairSupported as isLingueeSupported } from './scrapers/linguee.js';
+import { DictionaryRegistry } from './scrapers/registry.js';
+import {
+  DictionaryError,
+  NotCachedError,
+  UnsupportedPairError,
+  ErrorMode,
+  createError,
+  toDictionaryError,
+  errorFields
+} from './utils/errors.js';
 
 export class MultiDictionaryScraper {
-  constructor() {
-    this.dictionaries = {
-      wordreference: {
-        name: 'WordReference',
-        scraper: this.wrapWordReference.bind(this),
-        languages: ['en', 'es', 'fr', 'de', 'it', 'pt', 'ru', 'ar', 'zh', 'ja', 'ko', 'nl', 'sv', 'no', 'da', 'pl', 'cs', 'ro', 'tr', 'he', 'hi', 'th', 'vi'],
-        features: ['audio', 'pronunciation', 'examples', 'grammatical-types'],
-        priority: 1
-      },
-      linguee: {
-        name: 'Linguee',
-        scraper: scrapeLinguee,
-        languages: ['en', 'es', 'fr', 'de', 'pt', 'it', 'nl', 'pl', 'sv', 'da', 'fi', 'el', 'hu', 'sl', 'lv', 'lt', 'et', 'mt', 'sk', 'bg', 'ro', 'hr', 'cs'],
-        features: ['contexts', 'frequency', 'verified-translations'],
-        priority: 2,
-        validator: isLingueeSupported
-      }
-    };
-  }
-
   /**
-   * Wrapper for WordReference - returns original format for direct calls
-   * @param {string} word - Word to translate
-   * @param {string} from - Source language
-   * @param {string} to - Target language
-   * @returns {Object} WordReference result in original format
+   * Registered dictionaries, read from the shared dictionary registry
+   * @returns {Object} Dictionaries keyed by identifier
    */
-  async wrapWordReference(word, from, to) {
-    // For direct WordReference calls, return the original format
-    return await scrapeWordReference(word, from, to);
+  get dictionaries() {
+    const result = {};
+    for (const id of DictionaryRegistry.ids()) {
+      const dict = DictionaryRegistry.providers.get(id);
+      result[id] = {
+        name: dict.name,
+        scraper: dict.scrape,
+        languages: dict.languages,
+        features: dict.features,
+        priority: dict.priority,
+        pairs: DictionaryRegistry.listPairs(dict),
+        validator: (from, to) => DictionaryRegistry.supportsPair(dict, from, to)
+      };
+    }
+    return result;
   }
 
   /**
@@ -54,42 +51,49 @@ export class MultiDictionaryScraper {
 
   /**
    * Translates a word using a specific dictionary
-   * @param {string} dictionaryKey - Dictionary identifier ('wordreference' or 'linguee')
+   * Follows the same error modes as translateWith() in the main module
+   * @param {string} dictionaryKey - Registered dictionary identifier or alias
    * @param {string} word - Word to translate
    * @param {string} from - Source language code
    * @param {string} to - Target language code
+   * @param {Object} options - Request options (timeout, retries, retryDelay, cache, errors)
    * @returns {Promise<Object>} Translation result in standardized format
    */
-  async translate(dictionaryKey, word, from, to) {
-    if (!this.dictionaries[dictionaryKey]) {
-      throw new Error(`Dictionary "${dictionaryKey}" not available. Available: ${Object.keys(this.dictionaries).join(', ')}`);
-    }
+  async translate(dictionaryKey, word, from, to, options = {}) {
+    const mode = ErrorMode.resolve(options.errors);
 
-    const dict = this.dictionaries[dictionaryKey];
-    
-    // Validate language support
-    if (dict.validator && !dict.validator(from, to)) {
-      throw new Error(`Language pair ${from}-${to} not supported by ${dict.name}`);
-    }
+    try {
+      const resolved = DictionaryRegistry.resolve(dictionaryKey);
+      if (!resolved) {
+        throw new DictionaryError(`Dictionary "${dictionaryKey}" not available. Available: ${DictionaryRegistry.ids().join(', ')}`, {
+          code: 'UNKNOWN_DICTIONARY',
+          source: dictionaryKey,
+          word
+        });
+      }
 
-    if (!dict.languages.includes(from) || !dict.languages.includes(to)) {
-      throw new Error(`Language pair ${from}-${to} not supported by ${dict.name}`);
-    }
+      const { provider: dict } = resolved;
 
-    try {
-      const result = await dict.scraper(word, from, to);
-      return {
-        ...result,
-        source: dictionaryKey,
-        timestamp: new Date().toISOString()
-      };
+      // Validate language support
+      if (!DictionaryRegistry.supportsPair(dict, from, to)) {
+        throw new UnsupportedPairError(`Language pair ${from}-${to} not supported by ${dict.name}`, { source: resolved.id, word, from, to });
+      }
+
+      const result = await DictionaryRegistry.lookup(resolved, word, from, to, options);
+      if (result.error && mode === 'throw') {
+        throw toDictionaryError(result);
+      }
+      return result;
     } catch (error) {
+      if (mode !== 'result') {
+        throw error;
+      }
       return {
         source: dictionaryKey,
         inputWord: word,
         fromLang: from,
         toLang: to,
-        error: error.message,
+        ...errorFields(toDictionaryError(error, { source: dictionaryKey, word }), options.locale),
         timestamp: new Date().toISOString()
       };
     }
@@ -101,31 +105,26 @@ export class MultiDictionaryScraper {
    * @param {string} from - Source language
    * @param {string} to - Target language
    * @param {Array<string>} dictionaries - List of dictionaries to use
+   * @param {Object} options - Request options (timeout, retries, retryDelay, cache, errors)
    * @returns {Promise<Object>} Results from multiple dictionaries
    */
-  async translateMultiple(word, from, to, dictionaries = null) {
+  async translateMultiple(word, from, to, dictionaries = null, options = {}) {
     if (!dictionaries) {
       dictionaries = this.getCompatibleDictionaries(from, to);
     }
 
+    // Each dictionary reports its own failure in its entry
     const results = {};
     const promises = dictionaries.map(async (dict) => {
-      try {
-        const result = await this.translate(dict, word, from, to);
-        results[dict] = result;
-      } catch (error) {
-        results[dict] = {
-          source: dict,
-          inputWord: word,
-          fromLang: from,
-          toLang: to,
-          error: error.message,
-          timestamp: new Date().toISOString()
-        };
-      }
+      results[dict] = await this.translate(dict, word, from, to, { ...options, errors: 'result' });
     });
 
     await Promise.all(promises);
+
+    const failed = Object.values(results).filter(result => result.error);
+    if (ErrorMode.resolve(options.errors) === 'throw' && failed.length > 0 && failed.length === dictionaries.length) {
+      throw toDictionaryError(failed[0]);
+    }
     
     return {
       inputWord: word,
@@ -141,28 +140,47 @@ export class MultiDictionaryScraper {
    * @param {string} word - Word to translate
    * @param {string} from - Source language
    * @param {string} to - Target language
+   * @param {Object} options - Request options (timeout, retries, retryDelay, cache, errors)
    * @returns {Promise<Object>} Result from the best available translation
    */
-  async translateAuto(word, from, to) {
+  async translateAuto(word, from, to, options = {}) {
+    const mode = ErrorMode.resolve(options.errors);
     const compatibleDicts = this.getCompatibleDictionaries(from, to);
-    
+    let failure;
+
     if (compatibleDicts.length === 0) {
-      throw new Error(`No compatible dictionaries found for ${from}-${to}`);
-    }
+      failure = new UnsupportedPairError(`No compatible dictionaries found for ${from}-${to}`, { word, from, to });
+    } else {
+      const failed = [];
 
-    // Try in priority order
-    for (const dictName of compatibleDicts) {
-      try {
-        const result = await this.translate(dictName, word, from, to);
+      // Try in priority order
+      for (const dictName of compatibleDicts) {
+        const result = await this.translate(dictName, word, from, to, { ...options, errors: 'result' });
         if (!result.error) {
           return result;
         }
-      } catch (error) {
-        console.warn(`Failed to translate with ${dictName}:`, error.message);
+
+        failed.push(result);
+        if (result.code !== 'NOT_CACHED') {
+          console.warn(`Failed to translate with ${dictName}:`, result.error);
+        }
       }
+
+      failure = failed.every(result => result.code === 'NOT_CACHED')
+        ? new NotCachedError(`"${word}" (${from}-${to}) is not cached by any dictionary and offline mode is enabled`, { word })
+        : createError(failed[0].code, `All dictionaries failed to translate "${word}" from ${from} to ${to}`, { word, cause: toDictionaryError(failed[0]) });
     }
 
-    throw new Error(`All dictionaries failed to translate "${word}" from ${from} to ${to}`);
+    if (mode !== 'result') {
+      throw failure;
+    }
+    return {
+      inputWord: word,
+      fromLang: from,
+      toLang: to,
+      ...errorFields(failure, options.locale),
+      timestamp: new Date().toISOString()
+    };
   }
 
   /**
@@ -172,21 +190,7 @@ export class MultiDictionaryScraper {
    * @returns {Array<string>} List of compatible dictionaries ordered by priority
    */
   getCompatibleDictionaries(from, to) {
-    const compatible = [];
-    
-    for (const [key, dict] of Object.entries(this.dictionaries)) {
-      const isLanguageSupported = dict.languages.includes(from) && dict.languages.includes(to);
-      const isValidatorPassed = !dict.validator || dict.validator(from, to);
-      
-      if (isLanguageSupported && isValidatorPassed) {
-        compatible.push({ name: key, priority: dict.priority });
-      }
-    }
-
-    // Sort by priority (lower number = higher priority)
-    return compatible
-      .sort((a, b) => a.priority - b.priority)
-      .map(item => item.name);
+    return DictionaryRegistry.getCompatible(from, to);
   }
 
   /**
@@ -209,7 +213,8 @@ export class MultiDictionaryScraper {
 
     for (const dict of Object.values(this.dictionaries)) {
       dict.languages.forEach(lang => totalLanguages.add(lang));
-      totalPairs += dict.languages.length * (dict.languages.length - 1); // Combinations without repetition
+      // Exact count from the pair matrix, otherwise every combination without repetition
+      totalPairs += dict.pairs ? dict.pairs.length : dict.languages.length * (dict.languages.length - 1);
     }
 
     return {
@@ -1,6 +1,7 @@
 import axios from 'axios';
 import * as cheerio from 'cheerio';
-import { LanguageValidator, RequestHandler } from '../utils/common.js';
+import { AudioExtractor, ErrorHandler, LanguageCodes, LanguageValidator, PronunciationExtractor, RequestHandler, SuggestionExtractor, TextProcessor } from '../utils/common.js';
+import { UnsupportedLanguageError, UnsupportedPairError, WordNotFoundError, ParseError, errorFields } from '../utils/errors.js';
 
 /**
  * Linguee scraper - Extracts translations with real-world contexts
@@ -8,9 +9,10 @@ import { LanguageValidator, RequestHandler } from '../utils/common.js';
  * @param {string} word - Word to translate
  * @param {string} from - Source language (e.g., 'en')
  * @param {string} to - Target language (e.g., 'es')
- * @returns {Object} JSON object with translations and contexts
+ * @param {Object} options - Request options (timeout, retries, retryDelay)
+ * @returns {Object} JSON object with translations, contexts and corpusExamples [{ source, target, sourceDomain, url }]
  */
-export async function scrapeLinguee(word, from = 'en', to = 'es') {
+export async function scrapeLinguee(word, from = 'en', to = 'es', options = {}) {
     // Validate and normalize language codes
     const validation = LanguageValidator.validatePair(from, to);
     if (validation.error) {
@@ -20,66 +22,86 @@ export async function scrapeLinguee(word, from = 'en', to = 'es') {
             fromLang: from,
             toLang: to,
             translations: [],
-            error: validation.error,
+            audio: [],
+            corpusExamples: [],
+            ...errorFields(new UnsupportedLanguageError(validation.error, { source: 'linguee', word, language: validation.language, suggestions: validation.suggestions }), options.locale),
             timestamp: new Date().toISOString()
         };
     }
 
     const normalizedFrom = validation.from;
     const normalizedTo = validation.to;
+    const languagePair = `${normalizedFrom}-${normalizedTo}`;
+    const isBrowserEnv = typeof window !== 'undefined' && typeof window.document !== 'undefined';
 
-    // Try multiple language code formats (Linguee uses long names)
-    const fromAlternatives = LanguageValidator.getAlternatives(from);
-    const toAlternatives = LanguageValidator.getAlternatives(to);
-    
-    let lastError = null;
+    const url = buildLingueeURL(word, normalizedFrom, normalizedTo);
+    if (!url) {
+        return {
+            source: 'linguee',
+            inputWord: word,
+            fromLang: normalizedFrom,
+            toLang: normalizedTo,
+            translations: [],
+            audio: [],
+            corpusExamples: [],
+            ...errorFields(new UnsupportedPairError(`Linguee has no ${validation.fromName} to ${validation.toName} dictionary`, { source: 'linguee', word, from: normalizedFrom, to: normalizedTo }), options.locale),
+            attemptedLanguagePairs: [],
+            timestamp: new Date().toISOString()
+        };
+    }
 
-    // Try different combinations of language codes
-    for (const fromCode of fromAlternatives) {
-        for (const toCode of toAlternatives) {
-            try {
-                const url = buildLingueeURL(word, fromCode, toCode);
-                
-                const html = await RequestHandler.makeRequest(url);
-                const result = processLingueeHTML(html, word, normalizedFrom, normalizedTo);
-                
-                // Check if we got valid results
-                if (result.translations && result.translations.length > 0) {
-                    const isBrowserEnv = typeof window !== 'undefined' && typeof window.document !== 'undefined';
-                    return {
-                        ...result,
-                        languagePair: `${fromCode}-${toCode}`,
-                        normalizedFrom,
-                        normalizedTo,
-                        url: url, // Include the successful URL for debugging
-                        environment: isBrowserEnv ? 'browser' : 'node'
-                    };
-                }
-            } catch (error) {
-                lastError = error;
-                
-                // Provide specific error message for different types of errors
-                if (error.message.includes('CORS') || error.message.includes('cross-origin') || error.message.includes('Network Error')) {
-                    console.warn(`🚫 Linguee CORS blocked for ${fromCode}-${toCode}: ${error.message}`);
-                } else if (error.message.includes('520') || error.message.includes('502') || error.message.includes('503')) {
-                    console.warn(`⚠️ Linguee server error for ${fromCode}-${toCode}: ${error.message}`);
-                } else if (error.message.includes('timeout')) {
-                    console.warn(`⏰ Linguee timeout for ${fromCode}-${toCode}: ${error.message}`);
-                } else {
-                    console.warn(`❌ Linguee failed with ${fromCode}-${toCode}: ${error.message}`);
-                }
-                continue;
-            }
+    const requestStats = { requests: 0, retries: 0, rateLimitWaitMs: 0 };
+    let failure;
+    let corpusExamples = [];
+
+    try {
+        const html = await RequestHandler.makeRequest(url, { ...RequestHandler.pickOptions(options), stats: requestStats });
+        let result;
+        try {
+            result = processLingueeHTML(html, word, normalizedFrom, normalizedTo);
+        } catch (error) {
+            throw new ParseError(`Could not parse Linguee page ${url}: ${error.message}`, { source: 'linguee', word, cause: error });
+        }
+
+        // Check if we got valid results
+        if (result.translations && result.translations.length > 0) {
+            return {
+                ...result,
+                languagePair,
+                normalizedFrom,
+                normalizedTo,
+                url: url, // Include the URL for debugging
+                environment: isBrowserEnv ? 'browser' : 'node',
+                requestStats
+            };
+        }
+
+        // Páginas sin lemas pueden traer igualmente ejemplos del corpus
+        corpusExamples = result.corpusExamples || [];
+        failure = new WordNotFoundError(notFoundMessage(word, validation, result.suggestions), { source: 'linguee', word, suggestions: result.suggestions });
+    } catch (error) {
+        // Provide specific error message for different types of errors
+        if (error.message.includes('CORS') || error.message.includes('cross-origin') || error.message.includes('Network Error')) {
+            console.warn(`🚫 Linguee CORS blocked for ${languagePair}: ${error.message}`);
+        } else if (error.message.includes('520') || error.message.includes('502') || error.message.includes('503')) {
+            console.warn(`⚠️ Linguee server error for ${languagePair}: ${error.message}`);
+        } else if (error.message.includes('timeout')) {
+            console.warn(`⏰ Linguee timeout for ${languagePair}: ${error.message}`);
+        } else {
+            console.warn(`❌ Linguee failed with ${languagePair}: ${error.message}`);
+        }
+        failure = ErrorHandler.toDictionaryError(error, 'linguee', word);
+
+        // A 404 page can still carry suggestions
+        if (failure.code === 'NOT_FOUND' && typeof error.response?.data === 'string') {
+            failure.suggestions = SuggestionExtractor.extract(cheerio.load(error.response.data), SUGGESTION_SELECTORS, word);
         }
     }
 
-    // If all attempts failed, return error result with helpful message
-    const isBrowserEnv = typeof window !== 'undefined' && typeof window.document !== 'undefined';
-    const errorMessage = lastError?.message || `No translations found for "${word}" from ${validation.fromName} to ${validation.toName}`;
-    
-    let helpfulError = errorMessage;
-    if (lastError?.message.includes('CORS') && isBrowserEnv) {
-        helpfulError = `${errorMessage}. Note: Running in browser environment. Some language pairs may not work due to CORS restrictions. Try using Node.js for better compatibility.`;
+    // Return error result with helpful message
+    let helpfulError = failure.message;
+    if (failure.code === 'CORS_BLOCKED' && isBrowserEnv) {
+        helpfulError = `${failure.message}. Note: Running in browser environment. Some language pairs may not work due to CORS restrictions. Try using Node.js for better compatibility.`;
     }
 
     return {
@@ -88,30 +110,85 @@ export async function scrapeLinguee(word, from = 'en', to = 'es') {
         fromLang: normalizedFrom,
         toLang: normalizedTo,
         translations: [],
+        audio: [],
+        corpusExamples,
+        ...errorFields(failure, options.locale),
         error: helpfulError,
-        attemptedLanguagePairs: fromAlternatives.flatMap(f => toAlternatives.map(t => `${f}-${t}`)),
+        ...(failure.code === 'NOT_FOUND' && { suggestions: failure.suggestions }),
+        attemptedLanguagePairs: [languagePair],
         timestamp: new Date().toISOString(),
-        environment: isBrowserEnv ? 'browser' : 'node'
+        environment: isBrowserEnv ? 'browser' : 'node',
+        requestStats
     };
 }
 
-function buildLingueeURL(word, from, to) {
-    // Language name mapping for Linguee URLs
-    const langNames = {
-        'en': 'english',
-        'es': 'spanish', 
-        'fr': 'french',
-        'de': 'german',
-        'pt': 'portuguese',
-        'it': 'italian',
-        'ru': 'russian',
+function notFoundMessage(word, validation, suggestions) {
+    const message = `No translations found for "${word}" from ${validation.fromName} to ${validation.toName}`;
+    return suggestions.length > 0 ? `${message}. Did you mean "${suggestions[0]}"?` : message;
+}
+
+const FEATURES = ['contexts', 'frequency', 'verified-translations', 'audio', 'pronunciation'];
+
+// Phonetic transcriptions in a lemma header (.lemma_desc)
+const PRONUNCIATION_SELECTORS = ['.tag_pron', '.pron', '.phonetic'];
+
+// "Did you mean" links on the no-result page
+const SUGGESTION_SELECTORS = ['.didyoumean a', '.corrected a', '#didyoumean a'];
+
+// Bilingual corpus ("External sources"): one row per sentence pair, each side carrying the site it was taken from
+const CORPUS_SELECTORS = {
+    row: '#result_table tr, .result_table tr',
+    source: 'td.sentence.left, td.left',
+    target: 'td.sentence.right2, td.sentence.right, td.right2',
+    link: '.source_url a',
+    domain: '.source_url_spacer',
+    noise: '.source_url, .source_url_spacer, .behind_link'
+};
+
+// Linguee pairs English with each of these; a few non-English pairs also exist
+const ENGLISH_PAIRS = ['es', 'fr', 'de', 'pt', 'it', 'ru', 'nl', 'pl', 'sv', 'da', 'fi', 'el', 'hu', 'sl', 'lv', 'lt', 'et', 'mt', 'sk', 'bg', 'ro', 'cs', 'ja', 'zh'];
+const OTHER_PAIRS = [['fr', 'es'], ['de', 'es'], ['de', 'fr']];
+
+function buildPairs() {
+    const pairs = {};
+    const add = (from, to) => {
+        // Linguee URLs use the long language names (english-spanish)
+        pairs[`${from}-${to}`] = {
+            slug: `${LanguageCodes.codes[from].long}-${LanguageCodes.codes[to].long}`,
+            features: FEATURES
+        };
     };
 
-    const fromName = langNames[from] || from;
-    const toName = langNames[to] || to;
-    
+    for (const lang of ENGLISH_PAIRS) {
+        add('en', lang);
+        add(lang, 'en');
+    }
+    for (const [a, b] of OTHER_PAIRS) {
+        add(a, b);
+        add(b, a);
+    }
+    return pairs;
+}
+
+/**
+ * Linguee capability matrix - 'from-to' => { slug, features }
+ * Only listed directions exist on the site; anything else is rejected before a request is made
+ */
+export const LINGUEE_PAIRS = buildPairs();
+
+/**
+ * Builds the Linguee search URL for a supported pair
+ * @param {string} word - Word to translate
+ * @param {string} from - Normalized source language
+ * @param {string} to - Normalized target language
+ * @returns {string|null} URL or null if Linguee has no such dictionary
+ */
+export function buildLingueeURL(word, from, to) {
+    const pair = LINGUEE_PAIRS[`${from}-${to}`];
+    if (!pair) return null;
+
     // Always use .com domain to avoid regional redirects
-    return `https://www.linguee.com/${fromName}-${toName}/search?source=auto&query=${encodeURIComponent(word)}`;
+    return `https://www.linguee.com/${pair.slug}/search?source=auto&query=${encodeURIComponent(word)}`;
 }
 
 function processLingueeHTML(html, inputWord, fromLang, toLang) {
@@ -121,7 +198,10 @@ function processLingueeHTML(html, inputWord, fromLang, toLang) {
         inputWord,
         fromLang,
         toLang,
-        translations: []
+        translations: [],
+        audio: [],
+        pronunciations: [],
+        corpusExamples: extractCorpusExamples($)
     };
 
     // Buscar dentro del div dictionary o usar toda la página como fallback
@@ -134,30 +214,24 @@ function processLingueeHTML(html, inputWord, fromLang, toLang) {
         const sourceWord = $lemma.find('.tag_lemma .dictLink').first().text().trim();
         if (!sourceWord) return;
 
-        // Extraer URL de audio - buscar el elemento audio o el atributo onclick
-        let audioUrl = null;
-        const $audioElement = $lemma.find('audio source[type="audio/mpeg"]');
-        if ($audioElement.length > 0) {
-            audioUrl = $audioElement.attr('src');
-        } else {
-            // Buscar en el onclick del elemento audio
-            const $audioLink = $lemma.find('.audio[onclick]');
-            if ($audioLink.length > 0) {
-                const onclickContent = $audioLink.attr('onclick');
-                const match = onclickContent.match(/playSound\([^,]+,\s*"([^"]+)"/);
-                if (match) {
-                    audioUrl = match[1];
-                }
-            }
-        }
+        // Cabecera del lema: la palabra de origen, sin las traducciones (que tienen su propio audio)
+        const $header = $lemma.find('.lemma_desc').first();
+
+        // Extraer audios (elemento audio o playSound en onclick) con su variante
+        const audio = AudioExtractor.extractLingueeAudioEntries($, $header.length > 0 ? $header : $lemma);
 
         // Extraer tipo de palabra directamente sin mapeo
         const wordType = $lemma.find('.tag_wordtype').first().text().trim();
 
+        // Transcripción fonética de la cabecera del lema
+        const pronunciations = $header.length > 0 ? PronunciationExtractor.extract($, $header, PRONUNCIATION_SELECTORS) : [];
+
         const translation = {
             from: sourceWord,
             fromType: wordType,
-            audio: audioUrl ? (audioUrl.startsWith('http') ? audioUrl : `https://www.linguee.com${audioUrl}`) : null,
+            audio: audio[0]?.url ?? null,
+            audioEntries: audio,
+            pronunciations,
             translations: [],
             contexts: []
         };
@@ -199,6 +273,12 @@ function processLingueeHTML(html, inputWord, fromLang, toLang) {
 
         if (translation.translations.length > 0 || translation.contexts.length > 0) {
             result.translations.push(translation);
+            result.audio.push(...audio.filter(entry => !result.audio.some(existing => existing.url === entry.url)));
+            for (const pronunciation of pronunciations) {
+                if (!result.pronunciations.some(p => p.ipa === pronunciation.ipa && p.region === pronunciation.region)) {
+                    result.pronunciations.push(pronunciation);
+                }
+            }
         }
     });
 
@@ -219,7 +299,10 @@ function tryFallbackProcessing($, inputWord, fromLang, toLang) {
         inputWord,
         fromLang,
         toLang,
-        translations: []
+        translations: [],
+        audio: [],
+        pronunciations: [],
+        corpusExamples: extractCorpusExamples($)
     };
 
     // Intentar buscar cualquier elemento con .dictLink que contenga traducciones
@@ -236,6 +319,8 @@ function tryFallbackProcessing($, inputWord, fromLang, toLang) {
                     from: text,
                     fromType: 'unknown',
                     audio: null,
+                    audioEntries: [],
+                    pronunciations: [],
                     translations: [],
                     contexts: []
                 };
@@ -262,9 +347,58 @@ function tryFallbackProcessing($, inputWord, fromLang, toLang) {
         }
     });
 
+    if (result.translations.length === 0) {
+        result.suggestions = SuggestionExtractor.extract($, SUGGESTION_SELECTORS, inputWord);
+    }
+
     return result;
 }
 
+// Pares de frases del corpus con su procedencia (dominio y URL de la página original)
+function extractCorpusExamples($) {
+    const examples = [];
+
+    $(CORPUS_SELECTORS.row).each((_, row) => {
+        const $row = $(row);
+        const $source = $row.find(CORPUS_SELECTORS.source).first();
+        const $target = $row.find(CORPUS_SELECTORS.target).first();
+        const source = corpusText($source);
+        const target = corpusText($target);
+        if (!source || !target) return;
+
+        // El enlace de la frase de origen primero; la traducción suele repetir el mismo sitio
+        const $link = $source.find(CORPUS_SELECTORS.link).first().length > 0
+            ? $source.find(CORPUS_SELECTORS.link).first()
+            : $row.find(CORPUS_SELECTORS.link).first();
+        const url = toAbsoluteURL($link.attr('href'));
+        const domain = $link.text().trim() || $row.find(CORPUS_SELECTORS.domain).first().text().trim();
+
+        examples.push({
+            source,
+            target,
+            sourceDomain: domain || (url ? new URL(url).hostname : null),
+            url
+        });
+    });
+
+    return examples;
+}
+
+function corpusText($cell) {
+    const $text = $cell.clone();
+    $text.find(CORPUS_SELECTORS.noise).remove();
+    return $text.text().replace(/\s+/g, ' ').trim();
+}
+
+function toAbsoluteURL(href) {
+    if (!href) return null;
+    try {
+        return new URL(href, 'https://www.linguee.com').href;
+    } catch (error) {
+        return null;
+    }
+}
+
 function extractWordType(typeText) {
     if (!typeText) return '';
     
@@ -285,13 +419,68 @@ function extractFrequency(element) {
     return 'unknown';
 }
 
-// Helper function to validate supported language pairs
+// Helper function to validate supported language pairs (normalized codes)
 export function isLanguagePairSupported(from, to) {
-    const supportedPairs = [
-        'en-es', 'es-en', 'en-fr', 'fr-en', 'en-de', 'de-en',
-        'en-pt', 'pt-en', 'en-it', 'it-en', 'fr-es', 'es-fr',
-        'de-es', 'es-de', 'de-fr', 'fr-de', 'en-ru', 'ru-en',
-    ];
+    return Object.hasOwn(LINGUEE_PAIRS, `${from}-${to}`);
+}
+
+/**
+ * Maps a Linguee result into the normalized entry/sense/translation/example schema
+ * @param {Object} result - Result from scrapeLinguee
+ * @returns {Object} Normalized result
+ */
+export function normalizeLingueeResult(result) {
+    const entries = (result.translations || []).map(lemma => ({
+        headword: lemma.from,
+        pos: TextProcessor.extractGrammaticalType(lemma.fromType),
+        posRaw: lemma.fromType,
+        section: null,
+        sectionType: null,
+        audio: lemma.audio ? [lemma.audio] : [],
+        audioEntries: lemma.audioEntries
+            || (lemma.audio ? [{ url: lemma.audio, region: null, accent: null, format: AudioExtractor.getFormat(lemma.audio) }] : []),
+        senses: [{
+            gloss: '',
+            context: '',
+            translations: lemma.translations.map(translation => ({
+                text: translation.text,
+                pos: TextProcessor.extractGrammaticalType(translation.type),
+                posRaw: translation.type,
+                sense: '',
+                frequency: translation.frequency,
+                verified: translation.verified
+            })),
+            examples: lemma.contexts.map(context => ({
+                text: context.source,
+                translations: [context.target],
+                verified: context.verified,
+                external: context.external
+            }))
+        }]
+    }));
 
-    return supportedPairs.includes(`${from}-${to}`);
+    return {
+        format: 'normalized',
+        source: 'linguee',
+        inputWord: result.inputWord,
+        fromLang: result.fromLang,
+        toLang: result.toLang,
+        entries,
+        audio: entries.flatMap(entry => entry.audio),
+        audioEntries: entries.flatMap(entry => entry.audioEntries),
+        pronunciations: result.pronunciations || [],
+        corpusExamples: result.corpusExamples || [],
+        ...(result.error && { error: result.error })
+    };
 }
+
+// Provider definition used by the dictionary registry
+export const lingueeProvider = {
+    name: 'Linguee',
+    aliases: ['lg'],
+    pairs: LINGUEE_PAIRS,
+    features: FEATURES,
+    priority: 2,
+    scrape: scrapeLinguee,
+    normalize: normalizeLingueeResult
+};
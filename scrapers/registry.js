@@ -0,0 +1,253 @@
+// Dictionary provider registry - single source of truth for every dictionary
+// the function API (index.js) and the legacy class (multi-scraper.js) can use
+import { wordReferenceProvider } from './wordreference.js';
+import { lingueeProvider } from './linguee.js';
+import { ErrorHandler, RequestHandler } from '../utils/common.js';
+import { ResultCache } from '../utils/cache.js';
+import { NotCachedError, errorFields } from '../utils/errors.js';
+
+export class DictionaryRegistry {
+    static providers = new Map();
+
+    /**
+     * Registers (or replaces) a dictionary provider
+     * @param {string} id - Dictionary identifier (e.g., 'wordreference')
+     * @param {Object} provider - Provider definition
+     * @param {string} provider.name - Display name
+     * @param {Function} provider.scrape - async (word, from, to, options) => result
+     * @param {Array<string>} [provider.aliases] - Short identifiers (e.g., 'wr')
+     * @param {Array<string>} [provider.languages] - Supported language codes (derived from a pair matrix if omitted)
+     * @param {Object|Array<string>|Function} [provider.pairs] - Pair matrix ({ 'from-to': { features, ... } }),
+     *   supported 'from-to' pairs, or predicate (from, to) => boolean
+     * @param {Array<string>} [provider.features] - Advertised features
+     * @param {number} [provider.priority] - Lower number = higher priority
+     * @param {Function} [provider.normalize] - Maps a raw result to the normalized schema (format: 'normalized')
+     * @returns {Object} Registered provider
+     */
+    static register(id, provider) {
+        if (typeof id !== 'string' || !id.trim()) {
+            throw new Error('Dictionary id must be a non-empty string');
+        }
+        if (!provider || typeof provider.scrape !== 'function') {
+            throw new Error(`Dictionary "${id}" must provide a scrape(word, from, to, options) function`);
+        }
+
+        const key = id.toLowerCase();
+        const aliases = (provider.aliases || []).map(alias => alias.toLowerCase());
+
+        for (const alias of aliases) {
+            const owner = this.resolve(alias);
+            if (owner && owner.id !== key) {
+                throw new Error(`Alias "${alias}" is already used by dictionary "${owner.id}"`);
+            }
+        }
+
+        const priorities = [...this.providers.values()].map(p => p.priority);
+        const entry = {
+            name: provider.name || id,
+            aliases,
+            languages: provider.languages || this.matrixLanguages(provider.pairs),
+            pairs: provider.pairs || null,
+            features: provider.features || [],
+            priority: provider.priority ?? (priorities.length > 0 ? Math.max(...priorities) + 1 : 1),
+            scrape: provider.scrape,
+            normalize: typeof provider.normalize === 'function' ? provider.normalize : null
+        };
+
+        this.providers.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * Removes a dictionary provider
+     * @param {string} id - Dictionary identifier or alias
+     * @returns {boolean} True if a provider was removed
+     */
+    static unregister(id) {
+        const resolved = this.resolve(id);
+        return resolved ? this.providers.delete(resolved.id) : false;
+    }
+
+    /**
+     * Finds a provider by identifier or alias
+     * @param {string} idOrAlias - Dictionary identifier or alias
+     * @returns {Object|null} { id, provider } or null if not registered
+     */
+    static resolve(idOrAlias) {
+        if (typeof idOrAlias !== 'string') return null;
+
+        const key = idOrAlias.toLowerCase();
+        if (this.providers.has(key)) {
+            return { id: key, provider: this.providers.get(key) };
+        }
+
+        for (const [id, provider] of this.providers) {
+            if (provider.aliases.includes(key)) {
+                return { id, provider };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Gets all registered dictionary identifiers ordered by priority
+     * @returns {Array<string>} Dictionary identifiers
+     */
+    static ids() {
+        return [...this.providers.entries()]
+            .sort(([, a], [, b]) => a.priority - b.priority)
+            .map(([id]) => id);
+    }
+
+    /**
+     * Checks if a provider supports a normalized language pair
+     * @param {Object} provider - Registered provider
+     * @param {string} from - Normalized source language
+     * @param {string} to - Normalized target language
+     * @returns {boolean} True if supported
+     */
+    static supportsPair(provider, from, to) {
+        if (provider.languages.length > 0 &&
+            (!provider.languages.includes(from) || !provider.languages.includes(to))) {
+            return false;
+        }
+
+        if (typeof provider.pairs === 'function') {
+            return Boolean(provider.pairs(from, to));
+        }
+
+        if (Array.isArray(provider.pairs)) {
+            return provider.pairs.includes(`${from}-${to}`);
+        }
+
+        if (provider.pairs) {
+            return Object.hasOwn(provider.pairs, `${from}-${to}`);
+        }
+
+        return provider.languages.length > 0;
+    }
+
+    /**
+     * Gets the capabilities of a provider for one direction
+     * @param {Object} provider - Registered provider
+     * @param {string} from - Normalized source language
+     * @param {string} to - Normalized target language
+     * @returns {Object|null} { from, to, features } or null if the pair is not supported
+     */
+    static getPair(provider, from, to) {
+        if (!this.supportsPair(provider, from, to)) {
+            return null;
+        }
+
+        const entry = this.isMatrix(provider.pairs) ? provider.pairs[`${from}-${to}`] : null;
+        return { from, to, features: entry?.features || provider.features };
+    }
+
+    /**
+     * Lists every direction a provider supports, when it can be enumerated
+     * @param {Object} provider - Registered provider
+     * @returns {Array<Object>|null} [{ from, to, features }] or null for predicate-based providers
+     */
+    static listPairs(provider) {
+        if (this.isMatrix(provider.pairs)) {
+            return Object.entries(provider.pairs).map(([pair, entry]) => {
+                const [from, to] = pair.split('-');
+                return { from, to, features: entry.features || provider.features };
+            });
+        }
+
+        if (Array.isArray(provider.pairs)) {
+            return provider.pairs.map(pair => {
+                const [from, to] = pair.split('-');
+                return { from, to, features: provider.features };
+            });
+        }
+
+        return null;
+    }
+
+    static isMatrix(pairs) {
+        return Boolean(pairs) && typeof pairs === 'object' && !Array.isArray(pairs);
+    }
+
+    // Languages appearing on either side of a pair matrix
+    static matrixLanguages(pairs) {
+        if (!this.isMatrix(pairs)) {
+            return [];
+        }
+        return [...new Set(Object.keys(pairs).flatMap(pair => pair.split('-')))];
+    }
+
+    /**
+     * Gets dictionaries compatible with a normalized language pair
+     * @param {string} from - Normalized source language
+     * @param {string} to - Normalized target language
+     * @returns {Array<string>} Dictionary identifiers ordered by priority
+     */
+    static getCompatible(from, to) {
+        return this.ids().filter(id => this.supportsPair(this.providers.get(id), from, to));
+    }
+
+    /**
+     * Looks up a word with a provider through the result cache
+     * Scrape failures become { error, code, retryable } results; in offline mode a cache miss
+     * throws NotCachedError without touching the network.
+     * With options.autoCorrect, a NOT_FOUND result with suggestions is retried once with the
+     * top suggestion; a successful retry is returned with autoCorrected { original, corrected, suggestions }
+     * @param {Object} resolved - { id, provider } from resolve()
+     * @param {string} word - Word to translate
+     * @param {string} from - Source language
+     * @param {string} to - Target language
+     * @param {Object} options - Translate options (cache, timeout, retries, autoCorrect...)
+     * @returns {Promise<Object>} Result with source, timestamp and fromCache
+     */
+    static async lookup(resolved, word, from, to, options = {}) {
+        const result = await this.fetch(resolved, word, from, to, options);
+        if (!options.autoCorrect || result.code !== 'NOT_FOUND' || !result.suggestions?.length) {
+            return result;
+        }
+
+        const [suggestion] = result.suggestions;
+        let corrected;
+        try {
+            corrected = await this.fetch(resolved, suggestion, from, to, options);
+        } catch (error) {
+            // Offline and the suggestion is not cached: keep the original answer
+            return result;
+        }
+
+        if (corrected.error) {
+            return result;
+        }
+        return { ...corrected, autoCorrected: { original: word, corrected: suggestion, suggestions: result.suggestions } };
+    }
+
+    // One cached lookup (see lookup)
+    static async fetch({ id, provider }, word, from, to, options) {
+        return await ResultCache.fetch({ dictionary: id, from, to, word }, options.cache, async () => {
+            if (RequestHandler.offline) {
+                throw new NotCachedError(`"${word}" (${from}-${to}) is not cached for ${provider.name} and offline mode is enabled`, { source: id, word });
+            }
+
+            let scraped;
+            try {
+                scraped = await provider.scrape(word, from, to, options);
+            } catch (error) {
+                scraped = { inputWord: word, ...errorFields(ErrorHandler.toDictionaryError(error, id, word), options.locale) };
+            }
+
+            return {
+                ...scraped,
+                source: id,
+                fromLang: scraped.fromLang || from,
+                toLang: scraped.toLang || to,
+                timestamp: new Date().toISOString()
+            };
+        });
+    }
+}
+
+// Built-in providers
+DictionaryRegistry.register('wordreference', wordReferenceProvider);
+DictionaryRegistry.register('linguee', lingueeProvider);
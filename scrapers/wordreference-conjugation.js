@@ -0,0 +1,94 @@
+import { TextProcessor } from '../utils/common.js';
+import { SUGGESTION_SELECTORS, scrapeMonolingual } from './wordreference-monolingual.js';
+
+// Conjugator page for each language WordReference conjugates
+export const CONJUGATION_PAGES = {
+  es: 'esverbs.aspx',
+  fr: 'frverbs.aspx',
+  it: 'itverbs.aspx',
+  en: 'enverbs.aspx'
+};
+
+// Irregular forms are highlighted inside the table cells
+const IRREGULAR_SELECTOR = '.irreg, i';
+
+/**
+ * Builds the WordReference conjugator URL
+ * @param {string} verb - Verb (infinitive)
+ * @param {string} language - Normalized language code
+ * @returns {string|null} URL or null if WordReference has no conjugator for the language
+ */
+export function buildConjugationURL(verb, language) {
+  const page = CONJUGATION_PAGES[language];
+  if (!page) return null;
+
+  return `https://www.wordreference.com/conj/${page}?v=${encodeURIComponent(verb)}`;
+}
+
+// Conjugation lookup for the shared monolingual scraper
+export const CONJUGATION_LOOKUP = {
+  name: 'conjugator',
+  dictionary: 'wordreference-conjugation',
+  pages: CONJUGATION_PAGES,
+  buildURL: buildConjugationURL,
+  parse: parseConjugationPage,
+  empty: () => ({ moods: {}, irregular: false }),
+  notFound: (verb, languageName) => `No conjugation found for "${verb}" in ${languageName}`,
+  suggestionSelectors: ['#conjtable a.suggestion', ...SUGGESTION_SELECTORS]
+};
+
+/**
+ * Scrapes the WordReference conjugator
+ * @param {string} verb - Verb (infinitive)
+ * @param {string} language - Language code (short or long form, or tag)
+ * @param {Object} options - Request options (timeout, retries, retryDelay)
+ * @returns {Promise<Object>} { inputWord, language, moods: { mood: { tense: { person: { form, irregular, alternatives? } } } }, irregular }
+ */
+export async function scrapeWordReferenceConjugation(verb, language = 'es', options = {}) {
+  return await scrapeMonolingual(CONJUGATION_LOOKUP, verb, language, options);
+}
+
+// Mood headings (h4) are followed by one table per tense: a header row, then person/form rows
+function parseConjugationPage($) {
+  const moods = {};
+  let irregular = false;
+  let mood = '';
+
+  $('h4, table.neoConj').each((_, element) => {
+    const $element = $(element);
+    if (element.tagName === 'h4') {
+      mood = TextProcessor.cleanText($element.text(), { keepPunctuation: true });
+      return;
+    }
+
+    const rows = $element.find('tr').toArray();
+    const tense = TextProcessor.cleanText($(rows[0]).text(), { keepPunctuation: true });
+    const persons = {};
+
+    rows.slice(1).forEach((row, index) => {
+      const $cell = $(row).find('td').first();
+      if ($cell.length === 0) return;
+
+      const cellIrregular = $cell.find(IRREGULAR_SELECTOR).length > 0;
+      $cell.find('br').replaceWith('\n');
+      const forms = $cell.text().split('\n').map(form => TextProcessor.cleanText(form, { keepPunctuation: true })).filter(Boolean);
+      if (forms.length === 0) return;
+
+      // Impersonal tables (infinitive, participles) have no pronoun column
+      const person = TextProcessor.cleanText($(row).find('th').first().text(), { keepPunctuation: true }) || String(index);
+      persons[person] = {
+        form: forms[0],
+        irregular: cellIrregular,
+        ...(forms.length > 1 && { alternatives: forms.slice(1) })
+      };
+      irregular = irregular || cellIrregular;
+    });
+
+    if (tense && Object.keys(persons).length > 0) {
+      const moodName = mood || 'general';
+      moods[moodName] = { ...moods[moodName], [tense]: persons };
+    }
+  });
+
+  return Object.keys(moods).length > 0 ? { moods, irregular } : null;
+}
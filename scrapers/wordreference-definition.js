@@ -0,0 +1,112 @@
+import { PronunciationExtractor, TextProcessor } from '../utils/common.js';
+import { scrapeMonolingual } from './wordreference-monolingual.js';
+
+// Monolingual dictionary page for each language WordReference defines
+export const DEFINITION_PAGES = {
+  en: 'definition',
+  es: 'definicion'
+};
+
+// Markup of the definition articles: Random House (English) and Espasa (Spanish)
+const SELECTORS = {
+  entry: '.rh_me, .entry',
+  headword: '.rh_hw, .hw',
+  posBlock: '.rh_empos, .pos_block',
+  pos: '.rh_pos, .pos',
+  senses: 'ol',
+  label: '.rh_lab, .rh_label, .label',
+  example: '.rh_ex, .ex, .example',
+  pronunciation: ['.rh_pron', '.pron']
+};
+
+/**
+ * Builds the WordReference definition URL
+ * @param {string} word - Word to define
+ * @param {string} language - Normalized language code
+ * @returns {string|null} URL or null if WordReference has no definition dictionary for the language
+ */
+export function buildDefinitionURL(word, language) {
+  const page = DEFINITION_PAGES[language];
+  if (!page) return null;
+
+  return `https://www.wordreference.com/${page}/${encodeURIComponent(word)}`;
+}
+
+// Definition lookup for the shared monolingual scraper
+export const DEFINITION_LOOKUP = {
+  name: 'definition dictionary',
+  dictionary: 'wordreference-definition',
+  pages: DEFINITION_PAGES,
+  buildURL: buildDefinitionURL,
+  parse: parseDefinitionPage,
+  empty: () => ({ entries: [] }),
+  notFound: (word, languageName) => `No ${languageName} definition found for "${word}"`
+};
+
+/**
+ * Scrapes a WordReference monolingual definition page
+ * @param {string} word - Word to define
+ * @param {string} language - Language code (short or long form, or tag)
+ * @param {Object} options - Request options (timeout, retries, retryDelay)
+ * @returns {Promise<Object>} { inputWord, language, entries: [{ headword, pos, posRaw, pronunciations, senses }] }
+ *   where senses are { number, definition, labels, examples, subsenses }
+ */
+export async function scrapeWordReferenceDefinition(word, language = 'en', options = {}) {
+  return await scrapeMonolingual(DEFINITION_LOOKUP, word, language, options);
+}
+
+// One entry per headword and part of speech; each POS block holds a numbered list of senses
+function parseDefinitionPage($, word) {
+  const entries = [];
+
+  $(SELECTORS.entry).each((_, element) => {
+    const $entry = $(element);
+    const headword = TextProcessor.cleanText($entry.find(SELECTORS.headword).first().text(), { keepPunctuation: true }) || word;
+    const pronunciations = PronunciationExtractor.extract($, $entry, SELECTORS.pronunciation);
+
+    // Entries without POS blocks list their senses directly
+    const $blocks = $entry.find(SELECTORS.posBlock);
+    const blocks = $blocks.length > 0 ? $blocks.toArray() : [element];
+
+    for (const block of blocks) {
+      const $block = $(block);
+      const posRaw = TextProcessor.cleanText($block.find(SELECTORS.pos).first().text(), { keepPunctuation: true });
+      const $list = $block.find(SELECTORS.senses).first();
+      const senses = $list.children('li').toArray().map((item, index) => parseSense($, $(item), String(index + 1)));
+
+      if (senses.length > 0) {
+        entries.push({
+          headword,
+          pos: TextProcessor.extractGrammaticalType(posRaw),
+          posRaw,
+          pronunciations,
+          senses
+        });
+      }
+    }
+  });
+
+  return entries.length > 0 ? { entries } : null;
+}
+
+// A numbered sense; nested lists are its sub-senses (1a, 1b...)
+function parseSense($, $item, number) {
+  const $sense = $item.clone();
+  const $sublist = $sense.children('ol').first();
+  const subsenses = $sublist.children('li').toArray().map((item, index) =>
+    parseSense($, $(item), `${number}${String.fromCharCode(97 + index)}`)
+  );
+  $sense.children('ol').remove();
+
+  const labels = $sense.find(SELECTORS.label).toArray().map(label => TextProcessor.cleanText($(label).text(), { keepPunctuation: true }).replace(/^[[(]|[\])]$/g, '')).filter(Boolean);
+  const examples = $sense.find(SELECTORS.example).toArray().map(example => TextProcessor.cleanText($(example).text(), { keepPunctuation: true })).filter(Boolean);
+  $sense.find(`${SELECTORS.label}, ${SELECTORS.example}`).remove();
+
+  return {
+    number,
+    definition: TextProcessor.cleanText($sense.text(), { keepPunctuation: true }).replace(/\s*[:;]$/, ''),
+    labels,
+    examples,
+    subsenses
+  };
+}
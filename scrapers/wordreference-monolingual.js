@@ -0,0 +1,107 @@
+import * as cheerio from 'cheerio';
+import { ErrorHandler, LanguageValidator, RequestHandler, SuggestionExtractor } from '../utils/common.js';
+import { UnsupportedLanguageError, WordNotFoundError, ParseError, errorFields } from '../utils/errors.js';
+
+// "Did you mean" links of WordReference pages without an entry
+export const SUGGESTION_SELECTORS = ['#noEntryFound a', '.spellcheck a'];
+
+/**
+ * Checks that WordReference has a page of the lookup for the language
+ * @param {Object} lookup - Monolingual lookup (see scrapeMonolingual)
+ * @param {string} word - Word to look up
+ * @param {string} language - Language code (short or long form, or tag)
+ * @returns {Object} Language validation ({ code, name, ... })
+ * @throws {UnsupportedLanguageError} Unknown language, or no page for it
+ */
+export function validateMonolingualLanguage(lookup, word, language) {
+  const validation = LanguageValidator.validateLanguage(language);
+  if (validation.error) {
+    throw new UnsupportedLanguageError(validation.error, { source: 'wordreference', word, language: validation.language, suggestions: validation.suggestions });
+  }
+  if (!lookup.pages[validation.code]) {
+    throw new UnsupportedLanguageError(`WordReference has no ${validation.name} ${lookup.name}. Available: ${Object.keys(lookup.pages).join(', ')}`, {
+      source: 'wordreference',
+      word,
+      language
+    });
+  }
+  return validation;
+}
+
+/**
+ * Scrapes a WordReference monolingual page (conjugator, definitions, thesaurus)
+ * @param {Object} lookup - What the page module supplies:
+ *   { name, dictionary, pages, buildURL(word, code), parse($, word), empty(), notFound(word, languageName), suggestionSelectors? }
+ *   parse returns the result fields, or null when the page has no entry
+ * @param {string} word - Word to look up
+ * @param {string} language - Language code (short or long form, or tag)
+ * @param {Object} options - Request options (timeout, retries, retryDelay, signal) and locale
+ * @returns {Promise<Object>} { inputWord, language, ...fields, source, url, timestamp, requestStats },
+ *   or the empty fields with the error on failure
+ */
+export async function scrapeMonolingual(lookup, word, language, options = {}) {
+  let validation;
+  try {
+    validation = validateMonolingualLanguage(lookup, word, language);
+  } catch (error) {
+    return failedMonolingual(lookup, word, language, error, options);
+  }
+
+  const url = lookup.buildURL(word, validation.code);
+  const requestStats = { requests: 0, retries: 0, rateLimitWaitMs: 0 };
+  let failure;
+
+  try {
+    const html = await RequestHandler.makeRequest(url, { ...RequestHandler.pickOptions(options), stats: requestStats });
+
+    let $;
+    let fields;
+    try {
+      $ = cheerio.load(html);
+      fields = lookup.parse($, word);
+    } catch (error) {
+      throw new ParseError(`Could not parse WordReference ${lookup.name} page ${url}: ${error.message}`, { source: 'wordreference', word, cause: error });
+    }
+
+    if (fields) {
+      return {
+        inputWord: word,
+        language: validation.code,
+        ...fields,
+        source: 'wordreference',
+        url,
+        timestamp: new Date().toISOString(),
+        requestStats
+      };
+    }
+
+    const suggestions = SuggestionExtractor.extract($, lookup.suggestionSelectors || SUGGESTION_SELECTORS, word);
+    const message = lookup.notFound(word, validation.name);
+    failure = new WordNotFoundError(suggestions.length > 0 ? `${message}. Did you mean "${suggestions[0]}"?` : message, {
+      source: 'wordreference',
+      word,
+      suggestions
+    });
+  } catch (error) {
+    console.warn(`WordReference ${lookup.name} lookup failed for ${word}:`, error.message);
+    failure = ErrorHandler.toDictionaryError(error, 'wordreference', word);
+  }
+
+  return {
+    ...failedMonolingual(lookup, word, validation.code, failure, options),
+    ...(failure.code === 'NOT_FOUND' && { suggestions: failure.suggestions || [] }),
+    requestStats
+  };
+}
+
+// The lookup's empty fields plus the error fields
+function failedMonolingual(lookup, word, language, error, options) {
+  return {
+    inputWord: word,
+    language,
+    ...lookup.empty(),
+    source: 'wordreference',
+    timestamp: new Date().toISOString(),
+    ...errorFields(error, options.locale)
+  };
+}
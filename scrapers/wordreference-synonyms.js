@@ -0,0 +1,103 @@
+import { TextProcessor } from '../utils/common.js';
+import { scrapeMonolingual } from './wordreference-monolingual.js';
+
+// Thesaurus page for each language WordReference publishes synonyms for
+export const THESAURUS_PAGES = {
+  en: 'synonyms',
+  es: 'sinonimos'
+};
+
+// One list per sense: the English thesaurus labels its lines ("Sense:", "Synonyms:", "Antonyms:"),
+// the Spanish one lists the synonyms unlabelled and the antonyms after "Antónimos:"
+const GROUP_SELECTOR = '.engthes ul, .trans ul, .thesaurus ul';
+const ANTONYM_SELECTOR = '.antonyms, .antonimos';
+
+const LINE_LABELS = [
+  ['sense', /^(sense|sentido)\s*:\s*/i],
+  ['synonyms', /^(synonyms?|sin[oó]nimos?)\s*:\s*/i],
+  ['antonyms', /^(antonyms?|ant[oó]nimos?)\s*:\s*/i]
+];
+
+/**
+ * Builds the WordReference thesaurus URL
+ * @param {string} word - Word to look up
+ * @param {string} language - Normalized language code
+ * @returns {string|null} URL or null if WordReference has no thesaurus for the language
+ */
+export function buildSynonymsURL(word, language) {
+  const page = THESAURUS_PAGES[language];
+  if (!page) return null;
+
+  return `https://www.wordreference.com/${page}/${encodeURIComponent(word)}`;
+}
+
+// Thesaurus lookup for the shared monolingual scraper
+export const SYNONYMS_LOOKUP = {
+  name: 'thesaurus',
+  dictionary: 'wordreference-synonyms',
+  pages: THESAURUS_PAGES,
+  buildURL: buildSynonymsURL,
+  parse: parseSynonymsPage,
+  empty: () => ({ groups: [] }),
+  notFound: (word, languageName) => `No ${languageName} synonyms found for "${word}"`
+};
+
+/**
+ * Scrapes a WordReference thesaurus page
+ * @param {string} word - Word to look up
+ * @param {string} language - Language code (short or long form, or tag)
+ * @param {Object} options - Request options (timeout, retries, retryDelay)
+ * @returns {Promise<Object>} { inputWord, language, groups: [{ sense, pos, synonyms, antonyms }] }
+ */
+export async function scrapeWordReferenceSynonyms(word, language = 'en', options = {}) {
+  return await scrapeMonolingual(SYNONYMS_LOOKUP, word, language, options);
+}
+
+function parseSynonymsPage($) {
+  const groups = [];
+
+  $(GROUP_SELECTOR).each((_, element) => {
+    const group = { sense: null, pos: null, synonyms: [], antonyms: [] };
+
+    $(element).children('li').each((_, item) => {
+      const $item = $(item).clone();
+
+      // Antonyms marked up inside a synonym line
+      $item.find(ANTONYM_SELECTOR).each((_, antonyms) => {
+        group.antonyms.push(...splitWords(stripLabel(TextProcessor.cleanText($(antonyms).text(), { keepPunctuation: true })).text));
+      });
+      $item.find(ANTONYM_SELECTOR).remove();
+
+      const { label, text } = stripLabel(TextProcessor.cleanText($item.text(), { keepPunctuation: true }));
+      if (label === 'sense') {
+        // "Noun: building, dwelling" - the part of speech leads when present
+        const match = text.match(/^([^:]+):\s*(.+)$/);
+        group.pos = match ? TextProcessor.extractGrammaticalType(match[1]) : null;
+        group.sense = match ? match[2] : text || null;
+      } else if (label === 'antonyms') {
+        group.antonyms.push(...splitWords(text));
+      } else {
+        group.synonyms.push(...splitWords(text));
+      }
+    });
+
+    if (group.synonyms.length > 0 || group.antonyms.length > 0) {
+      groups.push(group);
+    }
+  });
+
+  return groups.length > 0 ? { groups } : null;
+}
+
+function stripLabel(text) {
+  for (const [label, pattern] of LINE_LABELS) {
+    if (pattern.test(text)) {
+      return { label, text: text.replace(pattern, '') };
+    }
+  }
+  return { label: null, text };
+}
+
+function splitWords(text) {
+  return text.split(/[,;]/).map(item => TextProcessor.cleanText(item, { keepPunctuation: true })).filter(Boolean);
+}
@@ -1,15 +1,99 @@
 import axios from 'axios';
 import * as cheerio from 'cheerio';
-import { LanguageValidator, RequestHandler } from '../utils/common.js';
+import { AudioExtractor, ErrorHandler, LanguageValidator, PronunciationExtractor, RequestHandler, SuggestionExtractor, TextProcessor } from '../utils/common.js';
+import { UnsupportedLanguageError, UnsupportedPairError, WordNotFoundError, ParseError, errorFields } from '../utils/errors.js';
+import { THESAURUS_PAGES } from './wordreference-synonyms.js';
+
+// WordReference site codes that differ from ISO 639-1
+const SITE_CODES = { cs: 'cz', el: 'gr' };
+
+const FEATURES = ['audio', 'pronunciation', 'examples', 'grammatical-types'];
+
+// Header elements holding the IPA transcriptions, e.g. "UK:/haʊs/ US:/haʊs/"
+const PRONUNCIATION_SELECTORS = ['#pronunciation_widget', '#pronWR', '.pronWR', '.pronWidget'];
+
+// Spelling suggestions on the "No translation found" page
+const SUGGESTION_SELECTORS = ['#noEntryFound a', '#SpellCheck a', '.spellcheck a'];
+
+/**
+ * Section kinds a WordReference result can contain, in the order the site lists them
+ */
+export const SECTION_TYPES = ['principal', 'additional', 'phrasal-verb', 'compound', 'idiom'];
+
+// Stable markers in table ids and data-ph attributes (e.g. data-ph="sMainMeanings"), checked first
+const SECTION_IDS = [
+  ['phrasal-verb', /phrasal/i],
+  ['compound', /cmpd|compound/i],
+  ['idiom', /idiom|locution/i],
+  ['additional', /addl|additional/i],
+  ['principal', /main|principal/i]
+];
+
+// Section titles in the interface languages, used when a table has no marker
+const SECTION_TITLES = [
+  ['phrasal-verb', /phrasal|verbos? frasal|verbes? à particule|verbi frasali/i],
+  ['compound', /compound|compuest|compos[ée]|zusammengesetzt|compost/i],
+  ['idiom', /idiom|locuci[oó]n|locution|modismo|expression|Redewendung|espressioni/i],
+  ['additional', /additional|adicional|suppl[ée]mentaire|zus[äa]tzlich|aggiuntiv|outras/i],
+  ['principal', /principal|main|haupt/i]
+];
+
+// Dictionaries WordReference publishes: English to/from each language, plus Spanish to/from a few
+const ENGLISH_PAIRS = ['es', 'fr', 'it', 'de', 'pt', 'nl', 'sv', 'ru', 'pl', 'ro', 'cs', 'el', 'tr', 'zh', 'ja', 'ko', 'ar'];
+const SPANISH_PAIRS = ['fr', 'pt', 'it', 'de'];
+
+function buildPairs() {
+  const pairs = {};
+  const add = (from, to, features) => {
+    const code = `${SITE_CODES[from] || from}${SITE_CODES[to] || to}`;
+    // synonyms() covers the source word when the site has a thesaurus for its language
+    pairs[`${from}-${to}`] = { path: `${code}/{word}`, features: THESAURUS_PAGES[from] ? [...features, 'synonyms'] : features };
+  };
+
+  for (const lang of ENGLISH_PAIRS) {
+    // Pronunciation (IPA) is only shown for English headwords
+    add('en', lang, FEATURES);
+    add(lang, 'en', FEATURES.filter(feature => feature !== 'pronunciation'));
+  }
+  for (const lang of SPANISH_PAIRS) {
+    add('es', lang, FEATURES.filter(feature => feature !== 'pronunciation'));
+    add(lang, 'es', FEATURES.filter(feature => feature !== 'pronunciation'));
+  }
+
+  pairs['en-es'].path = 'es/translation.asp?tranword={word}';
+  pairs['es-en'].path = 'es/en/translation.asp?spen={word}';
+  return pairs;
+}
+
+/**
+ * WordReference capability matrix - 'from-to' => { path, features }
+ * Only listed directions exist on the site; anything else is rejected before a request is made
+ */
+export const WORDREFERENCE_PAIRS = buildPairs();
+
+/**
+ * Builds the WordReference URL for a supported pair
+ * @param {string} word - Word to translate
+ * @param {string} from - Normalized source language
+ * @param {string} to - Normalized target language
+ * @returns {string|null} URL or null if WordReference has no such dictionary
+ */
+export function buildWordReferenceURL(word, from, to) {
+  const pair = WORDREFERENCE_PAIRS[`${from}-${to}`];
+  if (!pair) return null;
+
+  return `https://www.wordreference.com/${pair.path.replace('{word}', encodeURIComponent(word))}`;
+}
 
 /**
  * Scrapes WordReference for translations with CORS handling and language validation
  * @param {string} word - Word to translate
  * @param {string} from - Source language code (short or long form)
  * @param {string} to - Target language code (short or long form)
- * @returns {Promise<Object>} Translation result
+ * @param {Object} options - Request options (timeout, retries, retryDelay)
+ * @returns {Promise<Object>} Translation result (not-found results list the site's spelling suggestions)
  */
-export async function scrapeWordReference(word, from = 'en', to = 'es') {
+export async function scrapeWordReference(word, from = 'en', to = 'es', options = {}) {
   // Validate and normalize language codes
   const validation = LanguageValidator.validatePair(from, to);
   if (validation.error) {
@@ -17,81 +101,95 @@ export async function scrapeWordReference(word, from = 'en', to = 'es') {
       inputWord: word,
       sections: [],
       audioLinks: [],
+      audio: [],
       source: 'wordreference',
       timestamp: new Date().toISOString(),
-      error: validation.error
+      ...errorFields(new UnsupportedLanguageError(validation.error, { source: 'wordreference', word, language: validation.language, suggestions: validation.suggestions }), options.locale)
     };
   }
 
   const normalizedFrom = validation.from;
   const normalizedTo = validation.to;
-  
-  // Try multiple language code formats
-  const fromAlternatives = LanguageValidator.getAlternatives(from);
-  const toAlternatives = LanguageValidator.getAlternatives(to);
-  
-  let lastError = null;
-  
-  // Try different combinations of language codes
-  for (const fromCode of fromAlternatives) {
-    for (const toCode of toAlternatives) {
-      try {
-        // Special URL formatting for certain language pairs
-        let url;
-        const pair = `${fromCode}${toCode}`;
-        
-        // Handle special cases based on the example provided
-        if (/enes/.test(pair) && fromCode === 'en') {
-          url = `https://www.wordreference.com/es/translation.asp?tranword=${encodeURIComponent(word)}`;
-        } else if (/esen/.test(pair) && fromCode === 'es') {
-          url = `https://www.wordreference.com/es/en/translation.asp?spen=${encodeURIComponent(word)}`;
-        } else {
-          // Default format
-          url = `https://www.wordreference.com/${fromCode}${toCode}/${encodeURIComponent(word)}`;
-        }
-        
-        console.log(`Trying URL: ${url}`);
-        
-        const html = await RequestHandler.makeRequest(url);
+  const languagePair = `${normalizedFrom}-${normalizedTo}`;
 
-        const result = processHTML(html, word);
-        
-        // Check if we got valid results
-        if (result.sections && result.sections.length > 0) {
-          return {
-            ...result,
-            languagePair: `${fromCode}-${toCode}`,
-            normalizedFrom,
-            normalizedTo,
-            url: url // Include the successful URL for debugging
-          };
-        }
-      } catch (error) {
-        lastError = error;
-        console.warn(`Failed with ${fromCode}-${toCode}:`, error.message);
-        continue;
-      }
+  const url = buildWordReferenceURL(word, normalizedFrom, normalizedTo);
+  if (!url) {
+    return {
+      inputWord: word,
+      sections: [],
+      audioLinks: [],
+      audio: [],
+      source: 'wordreference',
+      timestamp: new Date().toISOString(),
+      ...errorFields(new UnsupportedPairError(`WordReference has no ${validation.fromName} to ${validation.toName} dictionary`, { source: 'wordreference', word, from: normalizedFrom, to: normalizedTo }), options.locale),
+      attemptedLanguagePairs: []
+    };
+  }
+
+  const requestStats = { requests: 0, retries: 0, rateLimitWaitMs: 0 };
+  let failure;
+
+  try {
+    const html = await RequestHandler.makeRequest(url, { ...RequestHandler.pickOptions(options), stats: requestStats });
+
+    let result;
+    try {
+      result = processHTML(html, word);
+    } catch (error) {
+      throw new ParseError(`Could not parse WordReference page ${url}: ${error.message}`, { source: 'wordreference', word, cause: error });
+    }
+
+    // Check if we got valid results
+    if (result.sections && result.sections.length > 0) {
+      return {
+        ...result,
+        languagePair,
+        normalizedFrom,
+        normalizedTo,
+        url: url, // Include the URL for debugging
+        requestStats
+      };
+    }
+
+    failure = new WordNotFoundError(notFoundMessage(word, validation, result.suggestions), { source: 'wordreference', word, suggestions: result.suggestions });
+  } catch (error) {
+    console.warn(`Failed with ${languagePair}:`, error.message);
+    failure = ErrorHandler.toDictionaryError(error, 'wordreference', word);
+
+    // A 404 page can still carry suggestions
+    if (failure.code === 'NOT_FOUND' && typeof error.response?.data === 'string') {
+      failure.suggestions = SuggestionExtractor.extract(cheerio.load(error.response.data), SUGGESTION_SELECTORS, word);
     }
   }
 
-  // If all attempts failed, return error result
   return {
     inputWord: word,
     sections: [],
     audioLinks: [],
+    audio: [],
     source: 'wordreference',
     timestamp: new Date().toISOString(),
-    error: lastError?.message || `No translations found for "${word}" from ${validation.fromName} to ${validation.toName}`,
-    attemptedLanguagePairs: fromAlternatives.flatMap(f => toAlternatives.map(t => `${f}-${t}`))
+    ...errorFields(failure, options.locale),
+    ...(failure.code === 'NOT_FOUND' && { suggestions: failure.suggestions }),
+    attemptedLanguagePairs: [languagePair],
+    requestStats
   };
 }
 
+function notFoundMessage(word, validation, suggestions) {
+  const message = `No translations found for "${word}" from ${validation.fromName} to ${validation.toName}`;
+  return suggestions.length > 0 ? `${message}. Did you mean "${suggestions[0]}"?` : message;
+}
+
 function processHTML(html, inputWord) {
   const $ = cheerio.load(html);
+  const audio = AudioExtractor.extractWordReferenceAudioEntries(html);
   const result = {
     inputWord,
     sections: [],
-    audioLinks: extractAudioFiles(html),
+    audioLinks: audio.map(entry => entry.url),
+    audio,
+    pronunciations: PronunciationExtractor.extract($, null, PRONUNCIATION_SELECTORS),
     source: 'wordreference',
     timestamp: new Date().toISOString()
   };
@@ -100,13 +198,50 @@ function processHTML(html, inputWord) {
   tables.each((_, table) => {
     const section = processWRDTable($(table), $);
     if (section.title || section.translations.length > 0) {
+      section.type = classifySection($(table), section, result.sections.length);
       result.sections.push(section);
     }
   });
 
+  if (result.sections.length === 0) {
+    result.suggestions = SuggestionExtractor.extract($, SUGGESTION_SELECTORS, inputWord);
+  }
+
   return result;
 }
 
+/**
+ * Detects the kind of a WordReference section
+ * Table ids and data-ph markers are tried first since titles change with the interface
+ * language; without either, the rows decide (phrasal POS, multi-word headwords, position)
+ * @param {Cheerio} $table - table.WRD element
+ * @param {Object} section - Parsed section { title, translations }
+ * @param {number} index - Position among the sections already parsed
+ * @returns {string} One of SECTION_TYPES
+ */
+function classifySection($table, section, index) {
+  const markers = [
+    $table.attr('id'),
+    $table.attr('data-ph'),
+    ...$table.find('tr.wrtopsection, tr.wrtopsection [data-ph]').toArray().map(element => element.attribs['data-ph'])
+  ].filter(Boolean).join(' ');
+
+  const match = (SECTION_IDS.find(([, pattern]) => pattern.test(markers)) ||
+    SECTION_TITLES.find(([, pattern]) => section.title && pattern.test(section.title)));
+  if (match) {
+    return match[0];
+  }
+
+  const headwords = section.translations.map(translation => translation.word);
+  if (headwords.length > 0 && headwords.every(word => /phrasal/i.test(word.pos))) {
+    return 'phrasal-verb';
+  }
+  if (index > 0 && headwords.length > 0 && headwords.every(word => /[\s-]/.test(word.word.trim()))) {
+    return 'compound';
+  }
+  return index === 0 ? 'principal' : 'additional';
+}
+
 function processWRDTable($table, $) {
   const result = {
     title: '',
@@ -267,23 +402,86 @@ function processWRDTable($table, $) {
   return result;
 }
 
-function extractAudioFiles(html) {
-  const audioFiles = [];
-  const audioFilesRegex = /audioFiles\s*=\s*\{([^}]+)\}/;
-  const audioFilesMatch = html.match(audioFilesRegex);
-
-  if (audioFilesMatch) {
-    const audioContent = audioFilesMatch[1];
-    const urlMatches = audioContent.match(/['"]([^'"]*\/audio\/[^'"]*\.mp3)['"]?/g);
-    if (urlMatches) {
-      urlMatches.forEach(match => {
-        const cleanMatch = match.replace(/['"]/g, '');
-        if (!audioFiles.includes(cleanMatch)) {
-          audioFiles.push(cleanMatch);
-        }
+/**
+ * Maps a WordReference result into the normalized entry/sense/translation/example schema
+ * @param {Object} result - Result from scrapeWordReference
+ * @returns {Object} Normalized result
+ */
+export function normalizeWordReferenceResult(result) {
+  // Results cached before audio entries existed only hold audioLinks, and older ones still hold site-relative paths
+  const recordings = Array.isArray(result.audio) && result.audio.length > 0
+    ? result.audio
+    : (result.audioLinks || []).map(url => ({ url, region: null, accent: null, format: AudioExtractor.getFormat(url) }));
+  const audioEntries = recordings
+    .map(entry => ({ ...entry, url: AudioExtractor.resolveUrl(entry.url, 'https://www.wordreference.com') }))
+    .filter(entry => entry.url);
+  const audio = audioEntries.map(entry => entry.url);
+  const entries = [];
+
+  for (const section of result.sections || []) {
+    let entry = null;
+
+    for (const translation of section.translations) {
+      const headword = translation.word.word;
+      const posRaw = translation.word.pos;
+
+      // Consecutive rows for the same headword and POS are senses of one entry
+      if (!entry || entry.headword !== headword || entry.posRaw !== posRaw) {
+        entry = {
+          headword,
+          pos: TextProcessor.extractGrammaticalType(posRaw),
+          posRaw,
+          section: section.title || null,
+          sectionType: section.type || null,
+          audio: entries.length === 0 ? audio : [],
+          audioEntries: entries.length === 0 ? audioEntries : [],
+          senses: []
+        };
+        entries.push(entry);
+      }
+
+      entry.senses.push({
+        gloss: translation.definition || '',
+        context: translation.word.sense || '',
+        translations: translation.meanings.map(meaning => ({
+          text: meaning.word.trim(),
+          pos: TextProcessor.extractGrammaticalType(meaning.pos),
+          posRaw: meaning.pos,
+          sense: meaning.sense || '',
+          frequency: 'unknown',
+          verified: false
+        })),
+        examples: translation.examples.map(example => ({
+          text: example.phrase,
+          translations: example.translations,
+          verified: false,
+          external: false
+        }))
       });
     }
   }
 
-  return audioFiles;
+  return {
+    format: 'normalized',
+    source: 'wordreference',
+    inputWord: result.inputWord,
+    fromLang: result.normalizedFrom,
+    toLang: result.normalizedTo,
+    entries,
+    audio,
+    audioEntries,
+    pronunciations: result.pronunciations || [],
+    ...(result.error && { error: result.error })
+  };
 }
+
+// Provider definition used by the dictionary registry
+export const wordReferenceProvider = {
+  name: 'WordReference',
+  aliases: ['wr'],
+  pairs: WORDREFERENCE_PAIRS,
+  features: [...FEATURES, 'synonyms'],
+  priority: 1,
+  scrape: scrapeWordReference,
+  normalize: normalizeWordReferenceResult
+};
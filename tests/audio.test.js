@@ -0,0 +1,86 @@
+import { translateWith } from '../index.js';
+import { AudioExtractor, LiteralParser, RequestHandler } from '../utils/common.js';
+
+const WORDREFERENCE_HTML = `
+<html><body>
+<script>var audioFiles = {'us': '/audio/en/us/us/en042472.mp3', 'uk': '/audio/en/uk/general/en042472.mp3', 'rp': '/audio/en/uk/rp/en042472.mp3', 'irish': '/audio/en/irish/en042472.mp3',};</script>
+<table class="WRD">
+  <tr class="wrtopsection"><td colspan="3"><span class="ph">Principal Translations</span></td></tr>
+  <tr class="even"><td class="FrWrd"><strong>house</strong> <em class="POS2">n</em></td><td>(building)</td><td class="ToWrd">casa <em class="POS2">nf</em></td></tr>
+</table>
+</body></html>`;
+
+const LINGUEE_HTML = `
+<html><body><div id="dictionary">
+  <div class="lemma">
+    <h2 class="line lemma_desc"><span class="tag_lemma"><a class="dictLink">house</a><a class="audio" onclick='playSound(this,"EN_US/5f/5f7fd46b4d0f2d2f-101","EN_UK/9c/9c1e7a1b2b4e4a55-200");'></a> <span class="tag_wordtype">noun</span></span></h2>
+    <div class="translation"><span class="tag_trans"><a class="dictLink">casa</a><a class="audio" onclick='playSound(this,"ES_ES/1a/1a2b3c-101");'></a> <span class="tag_type">noun, feminine</span></span></div>
+  </div>
+</div></body></html>`;
+
+describe('LiteralParser', () => {
+  test('should parse plain literals', () => {
+    expect(LiteralParser.parse(`{ us: '/a.mp3', "n": -1.5e2, list: [1, 'two', null,], ok: true, }`)).toEqual({
+      us: '/a.mp3',
+      n: -150,
+      list: [1, 'two', null],
+      ok: true
+    });
+    expect(LiteralParser.parse(`'caf\\u00e9 \\'au\\' lait'`)).toBe("café 'au' lait");
+  });
+
+  test('should never run code', () => {
+    globalThis.audioPwned = false;
+    expect(() => LiteralParser.parse('{ us: (globalThis.audioPwned = true) }')).toThrow(SyntaxError);
+    expect(() => LiteralParser.parse('{ us: fetch("http://example.com") }')).toThrow(SyntaxError);
+    expect(() => LiteralParser.parse("{ us: '/a.mp3' } + 1")).toThrow(SyntaxError);
+    expect(AudioExtractor.extractWordReferenceAudio('<script>var audioFiles = {us: globalThis.audioPwned = true};</script>')).toEqual([]);
+    expect(globalThis.audioPwned).toBe(false);
+
+    const parsed = LiteralParser.parse('{ "__proto__": { polluted: true } }');
+    expect(parsed.polluted).toBeUndefined();
+    expect(Object.keys(parsed)).toEqual(['__proto__']);
+  });
+});
+
+describe('Structured audio', () => {
+  const originalMakeRequest = RequestHandler.makeRequest;
+
+  afterEach(() => {
+    RequestHandler.makeRequest = originalMakeRequest;
+  });
+
+  test('should keep WordReference accents and resolve absolute URLs', async () => {
+    RequestHandler.makeRequest = async () => WORDREFERENCE_HTML;
+
+    const result = await translateWith('wr', 'house', 'en', 'es', { cache: false });
+    expect(result.audio).toEqual([
+      { url: 'https://www.wordreference.com/audio/en/us/us/en042472.mp3', region: 'US', accent: 'American', format: 'mp3' },
+      { url: 'https://www.wordreference.com/audio/en/uk/general/en042472.mp3', region: 'UK', accent: 'British', format: 'mp3' },
+      { url: 'https://www.wordreference.com/audio/en/uk/rp/en042472.mp3', region: 'UK', accent: 'British (RP)', format: 'mp3' },
+      { url: 'https://www.wordreference.com/audio/en/irish/en042472.mp3', region: 'IE', accent: 'Irish', format: 'mp3' }
+    ]);
+    expect(result.audioLinks).toEqual(result.audio.map(entry => entry.url));
+
+    const normalized = await translateWith('wr', 'house', 'en', 'es', { cache: false, format: 'normalized' });
+    expect(normalized.audio).toEqual(result.audioLinks);
+    expect(normalized.audioEntries).toEqual(result.audio);
+    expect(normalized.entries[0].audioEntries).toEqual(result.audio);
+  });
+
+  test('should read Linguee playSound variants of the headword', async () => {
+    RequestHandler.makeRequest = async () => LINGUEE_HTML;
+
+    const result = await translateWith('lg', 'house', 'en', 'es', { cache: false });
+    expect(result.audio).toEqual([
+      { url: 'https://www.linguee.com/mp3/EN_US/5f/5f7fd46b4d0f2d2f-101.mp3', region: 'US', accent: 'American', format: 'mp3' },
+      { url: 'https://www.linguee.com/mp3/EN_UK/9c/9c1e7a1b2b4e4a55-200.mp3', region: 'UK', accent: 'British', format: 'mp3' }
+    ]);
+    expect(result.translations[0].audio).toBe(result.audio[0].url);
+    expect(result.translations[0].audioEntries).toEqual(result.audio);
+
+    const normalized = await translateWith('lg', 'house', 'en', 'es', { cache: false, format: 'normalized' });
+    expect(normalized.entries[0].audio).toEqual([result.audio[0].url]);
+    expect(normalized.audioEntries).toEqual(result.audio);
+  });
+});
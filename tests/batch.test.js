@@ -0,0 +1,142 @@
+import {
+  registerDictionary,
+  unregisterDictionary,
+  translateMany,
+  translateStream,
+  createTranslateStream,
+  configure,
+  configureCache,
+  MemoryStore,
+  InvalidOptionError
+} from '../index.js';
+
+describe('Batch translation', () => {
+  let active;
+  let peak;
+
+  beforeAll(() => {
+    configureCache({ enabled: false });
+  });
+
+  afterAll(() => {
+    configureCache({ enabled: true });
+  });
+
+  beforeEach(() => {
+    active = 0;
+    peak = 0;
+    registerDictionary('slow', {
+      name: 'Slow',
+      languages: ['fi', 'hu'],
+      scrape: async (word) => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setTimeout(resolve, word.length));
+        active--;
+        return { inputWord: word, translations: [word.split('').reverse().join('')] };
+      }
+    });
+  });
+
+  afterEach(() => {
+    unregisterDictionary('slow');
+  });
+
+  test('should return results in input order with bounded concurrency', async () => {
+    const words = ['aaaaaaaaaa', 'b', 'cccccc', 'dd', 'eeee'];
+    const progress = [];
+
+    const results = await translateMany(words, 'fi', 'hu', {
+      concurrency: 2,
+      onProgress: ({ completed, total }) => progress.push(`${completed}/${total}`)
+    });
+
+    expect(results.map(item => item.word)).toEqual(words);
+    expect(results.every(item => item.success)).toBe(true);
+    expect(results[2].result.dictionaries.slow.translations).toEqual(['cccccc']);
+    expect(peak).toBe(2);
+    expect(progress).toEqual(['1/5', '2/5', '3/5', '4/5', '5/5']);
+  });
+
+  test('should isolate per-word failures', async () => {
+    configureCache({ enabled: true, store: new MemoryStore() });
+    await translateMany(['good'], 'fi', 'hu');
+    configure({ offline: true });
+
+    try {
+      const results = await translateMany(['good', 'bad'], 'fi', 'hu', { dictionaries: ['slow'] });
+
+      expect(results[0]).toMatchObject({ word: 'good', success: true });
+      expect(results[0].result.dictionaries.slow.fromCache).toBe(true);
+      expect(results[1]).toMatchObject({ word: 'bad', success: false, code: 'NOT_CACHED' });
+    } finally {
+      configure({ offline: false, cache: { enabled: false } });
+    }
+  });
+
+  test('should reject invalid language pairs before translating', async () => {
+    await expect(translateMany(['a'], 'xx', 'hu')).rejects.toThrow('Unsupported source language');
+  });
+
+  test('should stream results in completion order', async () => {
+    const seen = [];
+    for await (const item of translateStream(['aaaaaaaaaaaaaaaaaaaa', 'b', 'cc'], 'fi', 'hu', { concurrency: 3 })) {
+      seen.push(item.index);
+    }
+
+    expect(seen).toEqual([1, 2, 0]);
+  });
+
+  test('should only pull words the consumer can handle', async () => {
+    let pulled = 0;
+    function* endlessWords() {
+      while (true) {
+        pulled++;
+        yield `word${pulled}`;
+      }
+    }
+
+    const received = [];
+    for await (const item of translateStream(endlessWords(), 'fi', 'hu', { concurrency: 2 })) {
+      received.push(item.word);
+      if (received.length === 3) break;
+    }
+
+    expect(received).toHaveLength(3);
+    expect(pulled).toBeLessThanOrEqual(5);
+  });
+
+  test('should expose a Readable stream in object mode', async () => {
+    const stream = await createTranslateStream(['ab', 'cd'], 'fi', 'hu');
+    const items = [];
+    for await (const item of stream) {
+      items.push(item);
+    }
+
+    expect(stream.readableObjectMode).toBe(true);
+    expect(items.map(item => item.result.dictionaries.slow.translations[0]).sort()).toEqual(['ba', 'dc']);
+  });
+
+  test('should reject invalid streams eagerly', () => {
+    expect(() => translateStream(['a'], 'en', 'xx')).toThrow('Unsupported target language');
+    expect(() => translateStream(42, 'fi', 'hu')).toThrow('iterable');
+    expect(() => translateStream(['a'], 'fi', 'hu', { concurrency: 0 })).toThrow(InvalidOptionError);
+  });
+
+  test('should report invalid batch options as typed errors', async () => {
+    await expect(translateMany('go', 'fi', 'hu')).rejects.toBeInstanceOf(InvalidOptionError);
+    await expect(translateMany(['a', 'b'], 'fi', 'hu', { concurrency: 0 })).rejects.toMatchObject({ code: 'INVALID_OPTION', option: 'concurrency' });
+
+    const results = await translateMany(['a', 'b'], 'fi', 'hu', { concurrency: 0, errors: 'result' });
+    expect(results).toEqual([
+      expect.objectContaining({ word: 'a', index: 0, success: false, code: 'INVALID_OPTION' }),
+      expect.objectContaining({ word: 'b', index: 1, success: false, code: 'INVALID_OPTION' })
+    ]);
+
+    const items = [];
+    for await (const item of translateStream(['a', 'b'], 'fi', 'hu', { concurrency: -1, errors: 'result' })) {
+      items.push(item);
+    }
+    expect(items.map(item => [item.word, item.code])).toEqual([['a', 'INVALID_OPTION'], ['b', 'INVALID_OPTION']]);
+  });
+});
@@ -0,0 +1,80 @@
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { registerDictionary, unregisterDictionary, translateWith, configureCache, MemoryStore, FileStore } from '../index.js';
+
+describe('Result cache', () => {
+  let calls;
+
+  beforeEach(() => {
+    calls = 0;
+    configureCache({ enabled: true, store: new MemoryStore(), ttl: 60 * 1000 });
+    registerDictionary('counter', {
+      name: 'Counter',
+      languages: ['en', 'es'],
+      scrape: async (word) => {
+        calls++;
+        return word === 'missing' ? { inputWord: word, error: 'No translations found' } : { inputWord: word, translations: [word.toUpperCase()] };
+      }
+    });
+  });
+
+  afterEach(() => {
+    unregisterDictionary('counter');
+  });
+
+  test('should serve repeated lookups from the cache', async () => {
+    const first = await translateWith('counter', 'House', 'en', 'es');
+    const second = await translateWith('counter', '  house ', 'english', 'spanish');
+
+    expect(calls).toBe(1);
+    expect(first.fromCache).toBe(false);
+    expect(second.fromCache).toBe(true);
+    expect(second.translations).toEqual(['HOUSE']);
+  });
+
+  test('should not cache error results', async () => {
+    await translateWith('counter', 'missing', 'en', 'es');
+    const second = await translateWith('counter', 'missing', 'en', 'es');
+
+    expect(calls).toBe(2);
+    expect(second.fromCache).toBe(false);
+  });
+
+  test('should respect per-call bypass and expired entries', async () => {
+    await translateWith('counter', 'house', 'en', 'es');
+    await translateWith('counter', 'house', 'en', 'es', { cache: false });
+    expect(calls).toBe(2);
+
+    configureCache({ ttl: 1 });
+    await translateWith('counter', 'dog', 'en', 'es');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await translateWith('counter', 'dog', 'en', 'es');
+    expect(calls).toBe(4);
+  });
+
+  test('should evict least recently used entries', async () => {
+    const store = new MemoryStore({ maxEntries: 2 });
+    await store.set('a', 1);
+    await store.set('b', 2);
+    await store.get('a');
+    await store.set('c', 3);
+
+    expect(await store.get('b')).toBeUndefined();
+    expect(await store.get('a')).toBe(1);
+    expect(store.size).toBe(2);
+  });
+
+  test('should persist results with the file store', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'mds-cache-'));
+    try {
+      await translateWith('counter', 'house', 'en', 'es', { cache: { store: new FileStore({ dir }) } });
+      const cached = await translateWith('counter', 'house', 'en', 'es', { cache: { store: new FileStore({ dir }) } });
+
+      expect(calls).toBe(1);
+      expect(cached.fromCache).toBe(true);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,107 @@
+import { conjugate, UnsupportedLanguageError, WordNotFoundError } from '../index.js';
+import { RequestHandler } from '../utils/common.js';
+import { buildConjugationURL } from '../scrapers/wordreference-conjugation.js';
+
+const TENER = `
+<html><body>
+<div id="conjtable">
+  <div class="aa">
+    <h4>formas impersonales</h4>
+    <table class="neoConj">
+      <tr><th>gerundio</th></tr>
+      <tr><td>teniendo</td></tr>
+    </table>
+  </div>
+  <div class="aa">
+    <h4>indicativo</h4>
+    <table class="neoConj">
+      <tr><th colspan="2">presente</th></tr>
+      <tr><th scope="row">yo</th><td><i class="irreg">tengo</i></td></tr>
+      <tr><th scope="row">tú</th><td><i class="irreg">tienes</i></td></tr>
+      <tr><th scope="row">nosotros</th><td>tenemos</td></tr>
+    </table>
+    <table class="neoConj">
+      <tr><th colspan="2">pretérito imperfecto</th></tr>
+      <tr><th scope="row">yo</th><td>tenía</td></tr>
+    </table>
+  </div>
+  <div class="aa">
+    <h4>subjuntivo</h4>
+    <table class="neoConj">
+      <tr><th colspan="2">pretérito imperfecto</th></tr>
+      <tr><th scope="row">yo</th><td><i class="irreg">tuviera</i><br><i class="irreg">tuviese</i></td></tr>
+    </table>
+  </div>
+</div>
+</body></html>`;
+
+const NOT_A_VERB = `
+<html><body>
+<div id="conjtable"><p>'tenr' no se encontró. Quisiste decir: <a href="/conj/esverbs.aspx?v=tener">tener</a></p></div>
+</body></html>`;
+
+describe('conjugate()', () => {
+  const originalMakeRequest = RequestHandler.makeRequest;
+  let urls;
+
+  beforeEach(() => {
+    urls = [];
+    RequestHandler.makeRequest = async url => {
+      urls.push(url);
+      return url.endsWith('v=tener') ? TENER : NOT_A_VERB;
+    };
+  });
+
+  afterEach(() => {
+    RequestHandler.makeRequest = originalMakeRequest;
+  });
+
+  test('should build conjugator URLs', () => {
+    expect(buildConjugationURL('être', 'fr')).toBe('https://www.wordreference.com/conj/frverbs.aspx?v=%C3%AAtre');
+    expect(buildConjugationURL('haben', 'de')).toBeNull();
+  });
+
+  test('should return mood, tense and person tables', async () => {
+    const result = await conjugate('tener', 'spanish', { cache: false });
+
+    expect(urls).toEqual(['https://www.wordreference.com/conj/esverbs.aspx?v=tener']);
+    expect(result.language).toBe('es');
+    expect(result.irregular).toBe(true);
+    expect(Object.keys(result.moods)).toEqual(['formas impersonales', 'indicativo', 'subjuntivo']);
+    expect(result.moods.indicativo.presente).toEqual({
+      yo: { form: 'tengo', irregular: true },
+      'tú': { form: 'tienes', irregular: true },
+      nosotros: { form: 'tenemos', irregular: false }
+    });
+    expect(result.moods.indicativo['pretérito imperfecto'].yo.irregular).toBe(false);
+    expect(result.moods.subjuntivo['pretérito imperfecto'].yo).toEqual({ form: 'tuviera', irregular: true, alternatives: ['tuviese'] });
+    expect(result.moods['formas impersonales'].gerundio).toEqual({ 0: { form: 'teniendo', irregular: false } });
+  });
+
+  test('should report unknown verbs with suggestions', async () => {
+    const result = await conjugate('tenr', 'es', { cache: false });
+
+    expect(result.code).toBe('NOT_FOUND');
+    expect(result.suggestions).toEqual(['tener']);
+
+    const error = await conjugate('tenr', 'es', { cache: false, errors: 'throw' }).catch(error => error);
+    expect(error).toBeInstanceOf(WordNotFoundError);
+    expect(error.suggestions).toEqual(['tener']);
+  });
+
+  test('should reject languages without a conjugator before any request', async () => {
+    await expect(conjugate('haben', 'de')).rejects.toBeInstanceOf(UnsupportedLanguageError);
+    await expect(conjugate('tener', 'spansh')).rejects.toMatchObject({ code: 'UNSUPPORTED_LANGUAGE', suggestions: ['es'] });
+    await expect(conjugate('haben', 'de', { errors: 'result' })).resolves.toMatchObject({ code: 'UNSUPPORTED_LANGUAGE', moods: {} });
+    expect(urls).toEqual([]);
+  });
+
+  test('should cache conjugations', async () => {
+    const first = await conjugate('tener', 'es');
+    const second = await conjugate('tener', 'es');
+
+    expect(first.fromCache).toBe(false);
+    expect(second.fromCache).toBe(true);
+    expect(urls).toHaveLength(1);
+  });
+});
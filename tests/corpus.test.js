@@ -0,0 +1,112 @@
+import { translateWith, InvalidOptionError } from '../index.js';
+import { RequestHandler } from '../utils/common.js';
+
+const LINGUEE_HTML = `
+<html><body>
+<div id="dictionary">
+  <div class="lemma">
+    <h2 class="line lemma_desc"><span class="tag_lemma"><a class="dictLink">house</a> <span class="tag_wordtype">noun</span></span></h2>
+    <div class="translation"><span class="tag_trans"><a class="dictLink">casa</a> <span class="tag_type">noun, feminine</span></span></div>
+  </div>
+</div>
+<div id="result_table">
+  <table class="result_table">
+    <tr>
+      <td class="sentence left"><div class="wrap"><div class="source_url_spacer">europarl.europa.eu</div><div class="inner"><div class="source_url"><a href="http://www.europarl.europa.eu/sides/getDoc.do?id=1" rel="nofollow">europarl.europa.eu</a></div>The <b>house</b> was   built in 1900.</div></div></td>
+      <td class="sentence right2"><div class="wrap"><div class="inner"><div class="source_url"><a href="http://www.europarl.europa.eu/sides/getDoc.do?id=1&amp;l=es" rel="nofollow">europarl.europa.eu</a></div>La <b>casa</b> se construyó en 1900.</div></div></td>
+    </tr>
+    <tr>
+      <td class="sentence left"><div class="wrap"><div class="inner"><div class="source_url"><a href="//www.un.org/en/doc" rel="nofollow"></a></div>A house for everyone.</div></div></td>
+      <td class="sentence right2"><div class="wrap"><div class="inner">Una casa para todos.</div></div></td>
+    </tr>
+    <tr>
+      <td class="sentence left"><div class="wrap"><div class="inner">House prices rose.</div></div></td>
+      <td class="sentence right2"><div class="wrap"><div class="inner">Subieron los precios de la vivienda.</div></div></td>
+    </tr>
+  </table>
+</div>
+</body></html>`;
+
+// A phrase Linguee has no dictionary entry for, only sentence pairs
+const CORPUS_ONLY_HTML = `
+<html><body>
+<div id="dictionary"></div>
+<div id="result_table">
+  <table class="result_table">
+    <tr>
+      <td class="sentence left"><div class="wrap"><div class="inner"><div class="source_url"><a href="https://www.un.org/en/doc" rel="nofollow">un.org</a></div>A house for everyone.</div></div></td>
+      <td class="sentence right2"><div class="wrap"><div class="inner">Una casa para todos.</div></div></td>
+    </tr>
+    <tr>
+      <td class="sentence left"><div class="wrap"><div class="inner">A house for the family.</div></div></td>
+      <td class="sentence right2"><div class="wrap"><div class="inner">Una casa para la familia.</div></div></td>
+    </tr>
+  </table>
+</div>
+</body></html>`;
+
+describe('Linguee corpus examples', () => {
+  const originalMakeRequest = RequestHandler.makeRequest;
+
+  beforeEach(() => {
+    RequestHandler.makeRequest = async () => LINGUEE_HTML;
+  });
+
+  afterEach(() => {
+    RequestHandler.makeRequest = originalMakeRequest;
+  });
+
+  test('should read sentence pairs with their source site', async () => {
+    const result = await translateWith('lg', 'house', 'en', 'es', { cache: false });
+
+    expect(result.corpusExamples).toEqual([
+      {
+        source: 'The house was built in 1900.',
+        target: 'La casa se construyó en 1900.',
+        sourceDomain: 'europarl.europa.eu',
+        url: 'http://www.europarl.europa.eu/sides/getDoc.do?id=1'
+      },
+      { source: 'A house for everyone.', target: 'Una casa para todos.', sourceDomain: 'www.un.org', url: 'https://www.un.org/en/doc' },
+      { source: 'House prices rose.', target: 'Subieron los precios de la vivienda.', sourceDomain: null, url: null }
+    ]);
+    expect(result.translations[0].contexts).toEqual([]);
+  });
+
+  test('should limit examples after the cache', async () => {
+    const limited = await translateWith('lg', 'house', 'en', 'es', { maxExamples: 1 });
+    const full = await translateWith('lg', 'house', 'en', 'es');
+    const normalized = await translateWith('lg', 'house', 'en', 'es', { maxExamples: 2, format: 'normalized' });
+
+    expect(limited.corpusExamples).toHaveLength(1);
+    expect(full.fromCache).toBe(true);
+    expect(full.corpusExamples).toHaveLength(3);
+    expect(normalized.corpusExamples.map(example => example.source)).toEqual(['The house was built in 1900.', 'A house for everyone.']);
+  });
+
+  test('should keep the corpus examples of pages without dictionary entries', async () => {
+    RequestHandler.makeRequest = async () => CORPUS_ONLY_HTML;
+
+    const result = await translateWith('lg', 'a house for', 'en', 'es', { cache: false });
+    const limited = await translateWith('lg', 'a house for', 'en', 'es', { cache: false, maxExamples: 1, format: 'normalized' });
+
+    expect(result.code).toBe('NOT_FOUND');
+    expect(result.translations).toEqual([]);
+    expect(result.corpusExamples).toEqual([
+      { source: 'A house for everyone.', target: 'Una casa para todos.', sourceDomain: 'un.org', url: 'https://www.un.org/en/doc' },
+      { source: 'A house for the family.', target: 'Una casa para la familia.', sourceDomain: null, url: null }
+    ]);
+    expect(limited.code).toBe('NOT_FOUND');
+    expect(limited.corpusExamples.map(example => example.source)).toEqual(['A house for everyone.']);
+  });
+
+  test('should reject an invalid maxExamples', async () => {
+    await expect(translateWith('lg', 'house', 'en', 'es', { maxExamples: -1 })).rejects.toThrow('maxExamples must be a non-negative integer');
+    await expect(translateWith('lg', 'house', 'en', 'es', { maxExamples: -1, errors: 'throw' })).rejects.toMatchObject({ name: 'InvalidOptionError', option: 'maxExamples' });
+    await expect(translateWith('lg', 'house', 'en', 'es', { maxExamples: 'all' })).rejects.toBeInstanceOf(InvalidOptionError);
+    await expect(translateWith('lg', 'house', 'en', 'es', { maxExamples: 1.5, errors: 'result' })).resolves.toMatchObject({
+      error: expect.stringContaining('maxExamples'),
+      code: 'INVALID_OPTION',
+      retryable: false
+    });
+  });
+});
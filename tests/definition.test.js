@@ -0,0 +1,106 @@
+import { define, UnsupportedLanguageError, WordNotFoundError } from '../index.js';
+import { RequestHandler } from '../utils/common.js';
+import { buildDefinitionURL } from '../scrapers/wordreference-definition.js';
+
+const RUN = `
+<html><body>
+<div id="article">
+  <div class="rh_me">
+    <span class="rh_hw">run</span> <span class="rh_pron">/rʌn/</span>
+    <div class="rh_empos">
+      <span class="rh_pos">v.</span>
+      <ol>
+        <li>to go quickly by moving the legs more rapidly than at a walk: <span class="rh_ex">She ran to the store.</span></li>
+        <li><span class="rh_lab">[Informal]</span> to campaign for office:
+          <ol>
+            <li>to be a candidate: <span class="rh_ex">He ran for mayor.</span> <span class="rh_ex">She is running again.</span></li>
+            <li><span class="rh_lab">Brit.</span> to stand for election.</li>
+          </ol>
+        </li>
+      </ol>
+    </div>
+    <div class="rh_empos">
+      <span class="rh_pos">n.</span>
+      <ol>
+        <li>an act or instance of running.</li>
+      </ol>
+    </div>
+  </div>
+</div>
+</body></html>`;
+
+const NOT_A_WORD = `
+<html><body>
+<div id="noEntryFound">No se encontró "csa". Quizás quiso decir: <a href="/definicion/casa">casa</a> <a href="/definicion/cosa">cosa</a></div>
+</body></html>`;
+
+describe('define()', () => {
+  const originalMakeRequest = RequestHandler.makeRequest;
+  let urls;
+
+  beforeEach(() => {
+    urls = [];
+    RequestHandler.makeRequest = async url => {
+      urls.push(url);
+      return url.endsWith('/run') ? RUN : NOT_A_WORD;
+    };
+  });
+
+  afterEach(() => {
+    RequestHandler.makeRequest = originalMakeRequest;
+  });
+
+  test('should build definition URLs', () => {
+    expect(buildDefinitionURL('niño', 'es')).toBe('https://www.wordreference.com/definicion/ni%C3%B1o');
+    expect(buildDefinitionURL('maison', 'fr')).toBeNull();
+  });
+
+  test('should return entries with numbered senses, labels and examples', async () => {
+    const result = await define('run', 'english', { cache: false });
+
+    expect(urls).toEqual(['https://www.wordreference.com/definition/run']);
+    expect(result.language).toBe('en');
+    expect(result.entries.map(entry => [entry.headword, entry.posRaw])).toEqual([['run', 'v.'], ['run', 'n.']]);
+    expect(result.entries[0].pronunciations).toEqual([{ ipa: 'rʌn', region: null }]);
+
+    const [walk, campaign] = result.entries[0].senses;
+    expect(walk).toEqual({
+      number: '1',
+      definition: 'to go quickly by moving the legs more rapidly than at a walk',
+      labels: [],
+      examples: ['She ran to the store.'],
+      subsenses: []
+    });
+    expect(campaign).toMatchObject({ number: '2', definition: 'to campaign for office', labels: ['Informal'] });
+    expect(campaign.subsenses).toEqual([
+      { number: '2a', definition: 'to be a candidate', labels: [], examples: ['He ran for mayor.', 'She is running again.'], subsenses: [] },
+      { number: '2b', definition: 'to stand for election.', labels: ['Brit.'], examples: [], subsenses: [] }
+    ]);
+  });
+
+  test('should report unknown words with suggestions', async () => {
+    const result = await define('csa', 'es', { cache: false });
+
+    expect(result.code).toBe('NOT_FOUND');
+    expect(result.entries).toEqual([]);
+    expect(result.suggestions).toEqual(['casa', 'cosa']);
+
+    const error = await define('csa', 'es', { cache: false, errors: 'throw' }).catch(error => error);
+    expect(error).toBeInstanceOf(WordNotFoundError);
+  });
+
+  test('should reject languages without a definition dictionary before any request', async () => {
+    await expect(define('maison', 'fr')).rejects.toBeInstanceOf(UnsupportedLanguageError);
+    await expect(define('maison', 'fr', { errors: 'result' })).resolves.toMatchObject({ code: 'UNSUPPORTED_LANGUAGE', entries: [] });
+    expect(urls).toEqual([]);
+  });
+
+  test('should cache definitions', async () => {
+    const first = await define('run', 'en');
+    const second = await define('run', 'en');
+
+    expect(first.fromCache).toBe(false);
+    expect(second.fromCache).toBe(true);
+    expect(urls).toHaveLength(1);
+  });
+});
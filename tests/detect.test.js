@@ -0,0 +1,188 @@
+import { configure, registerDictionary, unregisterDictionary, translate, translateWith, translateMany, detectLanguage } from '../index.js';
+import { LanguageValidator } from '../utils/common.js';
+
+// Fake single-pair provider answering from a word list
+function glossary(pair, words) {
+  return {
+    name: `Glossary ${pair}`,
+    pairs: [pair],
+    scrape: async word => (words[word]
+      ? { inputWord: word, translations: words[word] }
+      : { inputWord: word, error: 'Word not found', code: 'NOT_FOUND' }),
+    normalize: result => ({
+      format: 'normalized',
+      entries: (result.translations || []).map(text => ({
+        headword: result.inputWord,
+        pos: 'n',
+        senses: [{ gloss: '', context: '', translations: [{ text }], examples: [] }]
+      }))
+    })
+  };
+}
+
+describe('Language detection', () => {
+  test('should detect single-language scripts', () => {
+    expect(detectLanguage('사랑')).toMatchObject({ language: 'ko', method: 'script', script: 'hangul', confidence: 0.95 });
+    expect(detectLanguage('שלום').language).toBe('he');
+    expect(detectLanguage('σπίτι').language).toBe('el');
+    expect(detectLanguage('ひらがな').language).toBe('ja');
+    expect(detectLanguage('съёмка').language).toBe('ru');
+  });
+
+  test('should rank Latin-script languages by letters and n-grams', () => {
+    expect(detectLanguage('niño').language).toBe('es');
+    expect(detectLanguage('Straße').language).toBe('de');
+    expect(detectLanguage('coração').language).toBe('pt');
+    expect(detectLanguage('zażółć').language).toBe('pl');
+
+    const detection = detectLanguage('house');
+    expect(detection).toMatchObject({ language: 'en', method: 'ngram', script: 'latin' });
+    expect(detection.confidence).toBeLessThan(0.5);
+    expect(detection.candidates[0]).toEqual({ language: 'en', confidence: detection.confidence });
+  });
+
+  test('should restrict candidates and report text without letters', () => {
+    expect(detectLanguage('casa', { languages: ['italian', 'pt'] }).candidates.map(c => c.language)).toEqual(['it', 'pt']);
+    expect(detectLanguage('123')).toEqual({ language: null, confidence: 0, method: null, script: null, reliable: false, candidates: [] });
+  });
+
+  test('should recognize short common words', () => {
+    const cases = {
+      en: ['hello world', 'the dog', 'water', 'cheese'],
+      de: ['Haus', 'Hund', 'danke', 'der Hund'],
+      es: ['perro', 'gracias', 'el gato', 'buenos días'],
+      fr: ['maison', 'bonjour', 'le chat', 'merci']
+    };
+
+    for (const [language, words] of Object.entries(cases)) {
+      for (const word of words) {
+        expect([word, detectLanguage(word).language]).toEqual([word, language]);
+        expect([word, detectLanguage(word).reliable]).toEqual([word, true]);
+      }
+    }
+  });
+
+  test('should not trust n-grams alone for words outside the word lists', () => {
+    for (const word of ['computer', 'Fenster', 'Schmetterling', 'window', 'ventana', 'fenêtre']) {
+      expect([word, detectLanguage(word).reliable]).toEqual([word, false]);
+    }
+    expect(detectLanguage('computer').language).toBe('fr');
+  });
+
+  test('should flag ambiguous words as unreliable', () => {
+    const detection = detectLanguage('casa');
+
+    expect(detection.reliable).toBe(false);
+    expect(detection.confidence).toBeLessThan(0.3);
+    expect(detection.candidates.slice(0, 3).map(candidate => candidate.language).sort()).toEqual(['es', 'it', 'pt']);
+  });
+
+  test('should accept auto only when allowed', () => {
+    expect(LanguageValidator.validatePair('auto', 'en').error).toContain('Unsupported source language');
+    expect(LanguageValidator.validatePair('auto', 'en', { allowAuto: true })).toMatchObject({ from: 'auto', to: 'en' });
+  });
+});
+
+describe('translate() with from: auto', () => {
+  beforeAll(() => {
+    registerDictionary('esth', glossary('es-th', { perro: ['สุนัข'] }));
+    registerDictionary('itth', glossary('it-th', { casa: ['บ้าน'] }));
+    registerDictionary('koth', glossary('ko-th', { '사랑': ['ความรัก'] }));
+  });
+
+  afterAll(() => {
+    ['esth', 'itth', 'koth'].forEach(id => unregisterDictionary(id));
+  });
+
+  test('should translate from the detected language', async () => {
+    const result = await translate('사랑', 'auto', 'th', { cache: false, merge: true });
+
+    expect(result.fromLang).toBe('ko');
+    expect(result.detectedLanguage).toMatchObject({ language: 'ko', method: 'script' });
+    expect(result.merged.map(candidate => candidate.text)).toEqual(['ความรัก']);
+  });
+
+  test('should only guess languages that can reach the target', async () => {
+    const result = await translate('casa', 'auto', 'th', { cache: false, detect: { probe: false } });
+
+    expect(result.detectedLanguage.method).toBe('ngram');
+    expect(result.detectedLanguage.candidates.map(candidate => candidate.language)).toEqual(['es', 'it']);
+    expect(result.fromLang).toBe('es');
+  });
+
+  test('should confirm the guess by probing dictionaries', async () => {
+    const result = await translate('casa', 'auto', 'th', { cache: false, detect: { probe: true } });
+
+    expect(result.fromLang).toBe('it');
+    expect(result.detectedLanguage).toMatchObject({ language: 'it', method: 'probe', confidence: 0.9 });
+    expect(result.dictionaries.itth.translations).toEqual(['บ้าน']);
+  });
+
+  test('should probe unreliable guesses by default', async () => {
+    const result = await translate('casa', 'auto', 'th', { cache: false });
+
+    expect(result.fromLang).toBe('it');
+    expect(result.detectedLanguage).toMatchObject({ language: 'it', method: 'probe', reliable: true });
+  });
+
+  test('should probe guesses backed only by n-grams', async () => {
+    registerDictionary('enth', glossary('en-th', { computer: ['คอมพิวเตอร์'] }));
+    registerDictionary('frth', glossary('fr-th', {}));
+
+    try {
+      const result = await translate('computer', 'auto', 'th', { cache: false });
+      expect(result.fromLang).toBe('en');
+      expect(result.detectedLanguage).toMatchObject({ language: 'en', method: 'probe' });
+    } finally {
+      ['enth', 'frth'].forEach(id => unregisterDictionary(id));
+    }
+  });
+
+  test('should report unreliable guesses that no dictionary confirms', async () => {
+    await expect(translate('cosa', 'auto', 'th', { cache: false })).rejects.toMatchObject({
+      code: 'UNSUPPORTED_LANGUAGE',
+      language: 'auto',
+      message: expect.stringContaining('Could not reliably detect')
+    });
+  });
+
+  test('should report probes that failed with their typed error', async () => {
+    configure({ offline: true });
+    try {
+      await expect(translate('casa', 'auto', 'th', { cache: false, errors: 'result' })).resolves.toMatchObject({ code: 'NOT_CACHED' });
+    } finally {
+      configure({ offline: false });
+    }
+
+    const down = pair => ({
+      name: `Down ${pair}`,
+      pairs: [pair],
+      scrape: async word => ({ inputWord: word, error: 'Server error', code: 'SERVER_ERROR', retryable: true })
+    });
+    registerDictionary('esdown', down('es-th'));
+    registerDictionary('itdown', down('it-th'));
+
+    try {
+      await expect(translate('casa', 'auto', 'th', { cache: false, dictionaries: ['esdown', 'itdown'] })).rejects.toMatchObject({
+        code: 'SERVER_ERROR',
+        retryable: true
+      });
+    } finally {
+      ['esdown', 'itdown'].forEach(id => unregisterDictionary(id));
+    }
+  });
+
+  test('should detect with a single dictionary and per word in batches', async () => {
+    await expect(translateWith('esth', 'perro', 'auto', 'th', { cache: false })).resolves.toMatchObject({
+      translations: ['สุนัข'],
+      detectedLanguage: { language: 'es' }
+    });
+
+    const items = await translateMany(['perro', '사랑'], 'auto', 'th', { cache: false });
+    expect(items.map(item => item.result.fromLang)).toEqual(['es', 'ko']);
+  });
+
+  test('should fail when no language can be detected', async () => {
+    await expect(translate('1234', 'auto', 'th')).rejects.toMatchObject({ code: 'UNSUPPORTED_LANGUAGE', language: 'auto' });
+  });
+});
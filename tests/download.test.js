@@ -0,0 +1,98 @@
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { downloadAudio } from '../index.js';
+import { RequestHandler } from '../utils/common.js';
+
+const WORDREFERENCE_RESULT = {
+  inputWord: 'house',
+  source: 'wordreference',
+  sections: [],
+  audioLinks: [],
+  audio: [
+    { url: 'https://www.wordreference.com/audio/en/us/us/en042472.mp3', region: 'US', accent: 'American', format: 'mp3' },
+    { url: 'https://www.wordreference.com/audio/en/uk/general/en042472.mp3', region: 'UK', accent: 'British', format: 'mp3' },
+    { url: 'https://www.wordreference.com/audio/en/uk/rp/en042472.mp3', region: 'UK', accent: 'British (RP)', format: 'mp3' }
+  ]
+};
+
+const LINGUEE_RESULT = {
+  inputWord: 'house',
+  source: 'linguee',
+  translations: [
+    { from: 'house', audio: 'https://www.linguee.com/mp3/EN_US/5f/5f7f-101.mp3', audioEntries: [{ url: 'https://www.linguee.com/mp3/EN_US/5f/5f7f-101.mp3', region: 'US', accent: 'American', format: 'mp3' }] },
+    { from: 'housing', audio: 'https://www.linguee.com/mp3/EN_US/aa/aa01-101.mp3', audioEntries: [{ url: 'https://www.linguee.com/mp3/EN_US/aa/aa01-101.mp3', region: 'US', accent: 'American', format: 'mp3' }] }
+  ]
+};
+
+describe('downloadAudio()', () => {
+  const originalMakeRequest = RequestHandler.makeRequest;
+  let dir;
+  let requests;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'mds-audio-'));
+    requests = [];
+    RequestHandler.makeRequest = async (url, options) => {
+      requests.push({ url, responseType: options.responseType });
+      if (url.includes('/rp/')) {
+        throw Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+      }
+      return Buffer.from(`ID3 ${url}`);
+    };
+  });
+
+  afterEach(async () => {
+    RequestHandler.makeRequest = originalMakeRequest;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('should save every recording and map word and region to a path', async () => {
+    const manifest = await downloadAudio(WORDREFERENCE_RESULT, { dir });
+
+    expect(requests.map(request => request.responseType)).toEqual(['arraybuffer', 'arraybuffer', 'arraybuffer']);
+    expect(manifest.files.map(file => [file.path && file.path.slice(dir.length + 1), file.status])).toEqual([
+      ['house_american.mp3', 'downloaded'],
+      ['house_british.mp3', 'downloaded'],
+      [null, 'failed']
+    ]);
+    expect(manifest.files[2]).toMatchObject({ accent: 'British (RP)', code: 'NOT_FOUND', retryable: false });
+    expect(manifest.words).toEqual({ house: { US: join(dir, 'house_american.mp3'), UK: join(dir, 'house_british.mp3') } });
+    expect(await readFile(join(dir, 'house_american.mp3'), 'utf8')).toBe('ID3 https://www.wordreference.com/audio/en/us/us/en042472.mp3');
+  });
+
+  test('should skip files that already exist', async () => {
+    await writeFile(join(dir, 'house_american.mp3'), 'cached');
+
+    const manifest = await downloadAudio(WORDREFERENCE_RESULT, { dir });
+
+    expect(manifest.files[0].status).toBe('skipped');
+    expect(requests.map(request => request.url)).not.toContain(WORDREFERENCE_RESULT.audio[0].url);
+    expect(await readFile(join(dir, 'house_american.mp3'), 'utf8')).toBe('cached');
+  });
+
+  test('should name Linguee recordings by headword or with a custom function', async () => {
+    const byWord = await downloadAudio(LINGUEE_RESULT, { dir });
+    expect(Object.keys(byWord.words)).toEqual(['house', 'housing']);
+    expect(byWord.words.housing.US).toBe(join(dir, 'housing_american.mp3'));
+
+    const custom = await downloadAudio(LINGUEE_RESULT, { dir, naming: ({ word, index }) => `../${index}-${word}.mp3`, overwrite: true });
+    expect(custom.files.map(file => file.path)).toEqual([join(dir, '_0-house.mp3'), join(dir, '_1-housing.mp3')]);
+
+    const original = await downloadAudio(LINGUEE_RESULT, { dir, naming: 'original' });
+    expect(original.files.map(file => file.path)).toEqual([join(dir, '5f7f-101.mp3'), join(dir, 'aa01-101.mp3')]);
+  });
+
+  test('should return the bytes without a directory', async () => {
+    const manifest = await downloadAudio({ dictionaries: { linguee: LINGUEE_RESULT } });
+
+    expect(manifest.dir).toBeNull();
+    expect(manifest.files[0]).toMatchObject({ word: 'house', source: 'linguee', path: null, status: 'downloaded' });
+    expect(Buffer.from(manifest.files[0].data).toString()).toContain('5f7f-101.mp3');
+  });
+
+  test('should reject invalid arguments', async () => {
+    await expect(downloadAudio(null)).rejects.toThrow('downloadAudio expects a dictionary result');
+    await expect(downloadAudio(LINGUEE_RESULT, { naming: 'hash' })).rejects.toThrow('Naming must be one of');
+  });
+});
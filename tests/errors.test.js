@@ -0,0 +1,90 @@
+import {
+  translateWith,
+  translate,
+  translateMany,
+  configure,
+  DictionaryError,
+  UnsupportedLanguageError,
+  UnsupportedPairError,
+  WordNotFoundError,
+  RateLimitedError,
+  NetworkError
+} from '../index.js';
+import { MultiDictionaryScraper } from '../multi-scraper.js';
+import { RequestHandler } from '../utils/common.js';
+
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers };
+  return error;
+}
+
+describe('Typed errors and error modes', () => {
+  const originalMakeRequest = RequestHandler.makeRequest;
+
+  afterEach(() => {
+    RequestHandler.makeRequest = originalMakeRequest;
+    configure({ errors: null });
+  });
+
+  test('should throw typed errors for invalid arguments by default', async () => {
+    await expect(translateWith('nope', 'house', 'en', 'es')).rejects.toMatchObject({ code: 'UNKNOWN_DICTIONARY' });
+    await expect(translateWith('wr', 'house', 'en', 'xx')).rejects.toBeInstanceOf(UnsupportedLanguageError);
+    await expect(translateWith('lg', 'house', 'fi', 'hu')).rejects.toBeInstanceOf(UnsupportedPairError);
+    await expect(translate('house', 'xx', 'es')).rejects.toMatchObject({ code: 'UNSUPPORTED_LANGUAGE', language: 'xx' });
+  });
+
+  test('should return lookup failures with a code by default', async () => {
+    RequestHandler.makeRequest = async () => { throw httpError(404); };
+
+    const result = await translateWith('wr', 'qwzx', 'en', 'es', { cache: false });
+
+    expect(result.error).toBeDefined();
+    expect(result.code).toBe('NOT_FOUND');
+    expect(result.retryable).toBe(false);
+  });
+
+  test('should reject lookup failures in throw mode', async () => {
+    RequestHandler.makeRequest = async () => { throw httpError(429, { 'retry-after': '2' }); };
+
+    const error = await translateWith('wr', 'house', 'en', 'es', { cache: false, errors: 'throw' }).catch(e => e);
+
+    expect(error).toBeInstanceOf(RateLimitedError);
+    expect(error).toBeInstanceOf(DictionaryError);
+    expect(error).toMatchObject({ code: 'RATE_LIMITED', source: 'wordreference', word: 'house', retryable: true });
+  });
+
+  test('should resolve every failure in result mode', async () => {
+    configure({ errors: 'result' });
+
+    await expect(translateWith('wr', 'house', 'en', 'xx')).resolves.toMatchObject({ code: 'UNSUPPORTED_LANGUAGE', retryable: false });
+    await expect(translate('house', 'fi', 'hu')).resolves.toMatchObject({ code: 'UNSUPPORTED_PAIR', dictionaries: {} });
+    await expect(new MultiDictionaryScraper().translate('nope', 'house', 'en', 'es')).resolves.toMatchObject({ code: 'UNKNOWN_DICTIONARY' });
+
+    const items = await translateMany(['a', 'b'], 'en', 'xx');
+    expect(items.map(item => [item.success, item.code])).toEqual([[false, 'UNSUPPORTED_LANGUAGE'], [false, 'UNSUPPORTED_LANGUAGE']]);
+  });
+
+  test('should reject translate() only when every dictionary failed in throw mode', async () => {
+    RequestHandler.makeRequest = async () => {
+      const error = new Error('connect ECONNREFUSED');
+      error.code = 'ECONNREFUSED';
+      throw error;
+    };
+
+    await expect(translate('house', 'en', 'es', { cache: false, errors: 'throw' })).rejects.toBeInstanceOf(NetworkError);
+
+    const result = await translate('house', 'en', 'es', { cache: false });
+    expect(Object.values(result.dictionaries).map(entry => entry.code)).toEqual(['NETWORK_ERROR', 'NETWORK_ERROR']);
+  });
+
+  test('should reject unknown error modes', async () => {
+    expect(() => configure({ errors: 'ignore' })).toThrow('Error mode');
+    await expect(translateWith('wr', 'house', 'en', 'es', { errors: 'ignore' })).rejects.toThrow('Error mode');
+  });
+
+  test('should map HTTP failures to error classes', async () => {
+    RequestHandler.makeRequest = async () => { throw httpError(404); };
+    await expect(translateWith('lg', 'house', 'en', 'es', { cache: false, errors: 'throw' })).rejects.toBeInstanceOf(WordNotFoundError);
+  });
+});
@@ -0,0 +1,81 @@
+import {
+  normalizeLanguageCode,
+  parseLanguageTag,
+  checkLanguageSupport,
+  registerDictionary,
+  unregisterDictionary,
+  translate,
+  translateWith,
+  UnsupportedLanguageError
+} from '../index.js';
+import { LanguageCodes, LanguageValidator } from '../utils/common.js';
+
+describe('Language code normalization', () => {
+  test('should accept tags, three-letter codes and names', () => {
+    const inputs = {
+      'pt-BR': 'pt',
+      'en_GB': 'en',
+      'zh-Hant-TW': 'zh',
+      spa: 'es',
+      deu: 'de',
+      ger: 'de',
+      'español': 'es',
+      espanol: 'es',
+      Deutsch: 'de',
+      'Tiếng Việt': 'vi',
+      iw: 'he',
+      nb: 'no',
+      english: 'en',
+      ES: 'es'
+    };
+
+    for (const [input, code] of Object.entries(inputs)) {
+      expect(normalizeLanguageCode(input)).toBe(code);
+    }
+    expect(normalizeLanguageCode('xyz')).toBeNull();
+    expect(normalizeLanguageCode(undefined)).toBeNull();
+  });
+
+  test('should keep script and region subtags', () => {
+    expect(parseLanguageTag('zh-hant-tw')).toEqual({ code: 'zh', script: 'Hant', region: 'TW', tag: 'zh-Hant-TW' });
+    expect(parseLanguageTag('es-419')).toEqual({ code: 'es', script: null, region: '419', tag: 'es-419' });
+    expect(parseLanguageTag('fr-CA-x-quebec')).toEqual({ code: 'fr', script: null, region: 'CA', tag: 'fr-CA' });
+    expect(parseLanguageTag('Deutsch')).toEqual({ code: 'de', script: null, region: null, tag: 'de' });
+  });
+
+  test('should suggest near misses', () => {
+    expect(LanguageCodes.suggest('englsh')).toEqual(['en']);
+    expect(LanguageCodes.suggest('portugese')).toEqual(['pt']);
+    expect(LanguageCodes.suggest('klingon')).toEqual([]);
+
+    const validation = LanguageValidator.validatePair('spansh', 'en');
+    expect(validation.error).toBe("Unsupported source language: spansh. Did you mean 'es' (Spanish)?");
+    expect(validation.suggestions).toEqual(['es']);
+    expect(checkLanguageSupport('en', 'frnch').suggestions).toEqual(['fr']);
+  });
+
+  test('should carry suggestions on UnsupportedLanguageError', async () => {
+    const error = await translateWith('wr', 'house', 'englsh', 'es').catch(error => error);
+
+    expect(error).toBeInstanceOf(UnsupportedLanguageError);
+    expect(error.language).toBe('englsh');
+    expect(error.suggestions).toEqual(['en']);
+  });
+
+  test('should report tags in results', async () => {
+    const support = checkLanguageSupport('en_US', 'pt-BR');
+    expect(support.normalizedTo).toBe('pt');
+    expect(support.toTag).toEqual({ code: 'pt', script: null, region: 'BR', tag: 'pt-BR' });
+
+    registerDictionary('tags', { name: 'Tags', pairs: ['en-pt'], scrape: async word => ({ inputWord: word }) });
+    try {
+      const result = await translate('house', 'eng', 'pt-BR', { dictionaries: ['tags'], cache: false });
+      expect(result.fromLang).toBe('en');
+      expect(result.toLang).toBe('pt');
+      expect(result.toTag.region).toBe('BR');
+      expect(result).not.toHaveProperty('fromTag');
+    } finally {
+      unregisterDictionary('tags');
+    }
+  });
+});
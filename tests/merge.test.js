@@ -0,0 +1,59 @@
+import { translate } from '../index.js';
+import { RequestHandler } from '../utils/common.js';
+import { ResultMerger } from '../utils/merge.js';
+
+const WORDREFERENCE_HTML = `
+<html><body>
+<table class="WRD">
+  <tr class="wrtopsection"><td colspan="3"><span class="ph">Principal Translations</span></td></tr>
+  <tr class="even"><td class="FrWrd"><strong>house</strong> <em class="POS2">n</em></td><td>(building)</td><td class="ToWrd">casa <em class="POS2">nf</em></td></tr>
+  <tr class="odd"><td class="FrWrd"><strong>house</strong> <em class="POS2">vtr</em></td><td>(accommodate)</td><td class="ToWrd">alojar <em class="POS2">vtr</em></td></tr>
+</table>
+</body></html>`;
+
+const LINGUEE_HTML = `
+<html><body><div id="dictionary">
+  <div class="lemma">
+    <span class="tag_lemma"><a class="dictLink">house</a> <span class="tag_wordtype">noun</span></span>
+    <div class="translation"><span class="tag_trans"><a class="dictLink">Casa</a> <span class="tag_type">noun, feminine</span></span><span class="icon_verified"></span></div>
+    <div class="translation"><span class="tag_trans"><a class="dictLink">vivienda</a> <span class="tag_type">noun, feminine</span></span></div>
+  </div>
+</div></body></html>`;
+
+describe('Merged consensus', () => {
+  const originalMakeRequest = RequestHandler.makeRequest;
+
+  beforeEach(() => {
+    RequestHandler.makeRequest = async url => (url.includes('linguee') ? LINGUEE_HTML : WORDREFERENCE_HTML);
+  });
+
+  afterEach(() => {
+    RequestHandler.makeRequest = originalMakeRequest;
+  });
+
+  test('should rank translations both dictionaries agree on first', async () => {
+    const result = await translate('house', 'en', 'es', { merge: true, cache: false });
+
+    expect(result.dictionaries.wordreference.sections).toBeDefined();
+    expect(result.merged.map(candidate => candidate.text)).toEqual(['casa', 'alojar', 'vivienda']);
+
+    const [casa] = result.merged;
+    expect(casa.sources).toEqual(['wordreference', 'linguee']);
+    expect(casa.confidence).toBe(1);
+    expect(casa.provenance[1]).toMatchObject({ dictionary: 'linguee', rank: 0, verified: true, headword: 'house' });
+  });
+
+  test('should leave merged out unless requested', async () => {
+    const result = await translate('house', 'en', 'es', { cache: false });
+    expect(result.merged).toBeUndefined();
+  });
+
+  test('should score agreement, position and quality', () => {
+    const single = { dictionary: 'wordreference', rank: 1, frequency: 'unknown', verified: false };
+    const frequent = { dictionary: 'linguee', rank: 0, frequency: 'high', verified: false };
+
+    expect(ResultMerger.score([single], 2)).toBe(0.4);
+    expect(ResultMerger.score([frequent], 2)).toBe(0.75);
+    expect(ResultMerger.merge({ broken: { error: 'Word not found' } })).toEqual([]);
+  });
+});
@@ -0,0 +1,40 @@
+import { configure, registerErrorMessages, getErrorMessage, translateWith, WordNotFoundError } from '../index.js';
+import { ErrorHandler } from '../utils/common.js';
+import { ErrorMessages } from '../utils/messages.js';
+
+describe('Localized error messages', () => {
+  const notFound = Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+
+  afterEach(() => {
+    configure({ locale: 'en' });
+    delete ErrorMessages.catalogs.fr;
+  });
+
+  test('should default to English', () => {
+    expect(ErrorHandler.handleScrapingError(notFound, 'wordreference', 'house').message).toBe('Word not found');
+  });
+
+  test('should switch locale globally or per call', () => {
+    expect(ErrorHandler.handleScrapingError(notFound, 'wordreference', 'house', { locale: 'es' }).message).toBe('Palabra no encontrada');
+
+    configure({ locale: 'es' });
+    expect(ErrorHandler.handleScrapingError(notFound, 'wordreference', 'house').message).toBe('Palabra no encontrada');
+    expect(getErrorMessage(notFound, { locale: 'en' })).toBe('Word not found');
+  });
+
+  test('should use registered translations with fallbacks', () => {
+    registerErrorMessages('fr', { 'not-found': 'Mot introuvable' });
+
+    expect(getErrorMessage('not-found', { locale: 'fr-CA' })).toBe('Mot introuvable');
+    expect(getErrorMessage('timeout', { locale: 'fr' })).toBe('Request timed out');
+    expect(getErrorMessage(new WordNotFoundError('missing'), { locale: 'fr' })).toBe('Mot introuvable');
+    expect(getErrorMessage({ error: 'missing', code: 'NOT_FOUND' }, { locale: 'es' })).toBe('Palabra no encontrada');
+  });
+
+  test('should add userMessage to error results in the requested locale', async () => {
+    const result = await translateWith('wr', 'house', 'en', 'xx', { errors: 'result', locale: 'es' });
+
+    expect(result.code).toBe('UNSUPPORTED_LANGUAGE');
+    expect(result.userMessage).toBe('Idioma no soportado');
+  });
+});
@@ -0,0 +1,73 @@
+import { translateWith } from '../index.js';
+import { RequestHandler } from '../utils/common.js';
+
+const WORDREFERENCE_HTML = `
+<html><body>
+<script>var audioFiles = {'us':'/audio/en/us/us/en042472.mp3'};</script>
+<table class="WRD">
+  <tr class="wrtopsection"><td colspan="3"><span class="ph">Principal Translations</span></td></tr>
+  <tr class="even"><td class="FrWrd"><strong>house</strong> <em class="POS2">n</em></td><td>(building)</td><td class="ToWrd">casa <em class="POS2">nf</em></td></tr>
+  <tr class="even"><td class="FrEx">They live in a large house.</td></tr>
+  <tr class="even"><td class="ToEx">Viven en una casa grande.</td></tr>
+  <tr class="odd"><td class="FrWrd"><strong>house</strong> <em class="POS2">vtr</em></td><td>(accommodate)</td><td class="ToWrd">alojar <em class="POS2">vtr</em></td></tr>
+</table>
+</body></html>`;
+
+const LINGUEE_HTML = `
+<html><body><div id="dictionary">
+  <div class="lemma">
+    <span class="tag_lemma"><a class="dictLink">house</a> <span class="tag_wordtype">noun</span></span>
+    <div class="translation"><span class="tag_trans"><a class="dictLink">casa</a> <span class="tag_type">noun, feminine</span></span><span class="icon_verified"></span></div>
+    <div class="example"><span class="tag_s">We had to mortgage our house.</span><span class="tag_t">Tuvimos que hipotecar nuestra casa.</span></div>
+  </div>
+</div></body></html>`;
+
+describe('Normalized result format', () => {
+  const originalMakeRequest = RequestHandler.makeRequest;
+
+  afterEach(() => {
+    RequestHandler.makeRequest = originalMakeRequest;
+  });
+
+  test('should map WordReference sections into entries and senses', async () => {
+    RequestHandler.makeRequest = async () => WORDREFERENCE_HTML;
+
+    const result = await translateWith('wr', 'house', 'en', 'es', { format: 'normalized' });
+
+    expect(result.format).toBe('normalized');
+    expect(result.source).toBe('wordreference');
+    expect(result.fromLang).toBe('en');
+    expect(result.audio).toEqual(['https://www.wordreference.com/audio/en/us/us/en042472.mp3']);
+    expect(result.entries).toHaveLength(2);
+
+    const [noun, verb] = result.entries;
+    expect(noun).toMatchObject({ headword: 'house', pos: 'n', section: 'Principal Translations' });
+    expect(noun.senses[0].gloss).toBe('building');
+    expect(noun.senses[0].translations[0]).toMatchObject({ text: 'casa', posRaw: 'nf' });
+    expect(noun.senses[0].examples).toEqual([
+      { text: 'They live in a large house.', translations: ['Viven en una casa grande.'], verified: false, external: false }
+    ]);
+    expect(verb.pos).toBe('vtr');
+  });
+
+  test('should map Linguee lemmas into the same schema', async () => {
+    RequestHandler.makeRequest = async () => LINGUEE_HTML;
+
+    const result = await translateWith('lg', 'house', 'en', 'es', { format: 'normalized' });
+
+    expect(result.format).toBe('normalized');
+    expect(result.entries).toHaveLength(1);
+    expect(result.entries[0]).toMatchObject({ headword: 'house', pos: 'n', posRaw: 'noun', section: null });
+    expect(result.entries[0].senses[0].translations[0]).toMatchObject({ text: 'casa', pos: 'n', verified: true });
+    expect(result.entries[0].senses[0].examples[0].translations).toEqual(['Tuvimos que hipotecar nuestra casa.']);
+  });
+
+  test('should keep the raw shape by default', async () => {
+    RequestHandler.makeRequest = async () => LINGUEE_HTML;
+
+    const result = await translateWith('lg', 'house', 'en', 'es');
+
+    expect(result.format).toBeUndefined();
+    expect(result.translations[0].from).toBe('house');
+  });
+});
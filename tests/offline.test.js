@@ -0,0 +1,59 @@
+import { configure, configureCache, MemoryStore, NotCachedError, translate, translateWith } from '../index.js';
+import { MultiDictionaryScraper } from '../multi-scraper.js';
+import { RequestHandler } from '../utils/common.js';
+
+const LINGUEE_HTML = `
+<div id="dictionary"><div class="lemma">
+  <span class="tag_lemma"><a class="dictLink">house</a></span>
+  <div class="translation"><span class="tag_trans"><a class="dictLink">casa</a></span></div>
+</div></div>`;
+
+describe('Offline mode', () => {
+  const originalSendRequest = RequestHandler.sendRequest;
+  let requests;
+
+  beforeEach(() => {
+    requests = 0;
+    RequestHandler.sendRequest = async () => {
+      requests++;
+      return LINGUEE_HTML;
+    };
+    configureCache({ enabled: true, store: new MemoryStore(), ttl: 0 });
+  });
+
+  afterEach(() => {
+    configure({ offline: false });
+    RequestHandler.sendRequest = originalSendRequest;
+  });
+
+  test('should serve cached results without requests', async () => {
+    await translateWith('linguee', 'house', 'en', 'es');
+    expect(requests).toBe(1);
+
+    configure({ offline: true });
+    const result = await translateWith('linguee', 'house', 'en', 'es');
+
+    expect(result.fromCache).toBe(true);
+    expect(requests).toBe(1);
+  });
+
+  test('should throw NotCachedError on cache misses', async () => {
+    configure({ offline: true });
+
+    await expect(translateWith('linguee', 'house', 'en', 'es')).rejects.toBeInstanceOf(NotCachedError);
+    await expect(translate('house', 'en', 'es')).rejects.toMatchObject({ code: 'NOT_CACHED' });
+    await expect(new MultiDictionaryScraper().translateAuto('house', 'en', 'es')).rejects.toBeInstanceOf(NotCachedError);
+    expect(requests).toBe(0);
+  });
+
+  test('should report partially cached lookups per dictionary', async () => {
+    await translateWith('linguee', 'house', 'en', 'es');
+    configure({ offline: true });
+
+    const result = await translate('house', 'en', 'es');
+
+    expect(result.dictionaries.linguee.fromCache).toBe(true);
+    expect(result.dictionaries.wordreference.code).toBe('NOT_CACHED');
+    expect(requests).toBe(1);
+  });
+});
@@ -0,0 +1,69 @@
+import { translateWith, checkLanguageSupport, getAvailableDictionaries } from '../index.js';
+import { RequestHandler } from '../utils/common.js';
+import { WORDREFERENCE_PAIRS, buildWordReferenceURL } from '../scrapers/wordreference.js';
+import { LINGUEE_PAIRS, buildLingueeURL, isLanguagePairSupported } from '../scrapers/linguee.js';
+
+describe('Language pair matrices', () => {
+  const originalMakeRequest = RequestHandler.makeRequest;
+  let urls;
+
+  beforeEach(() => {
+    urls = [];
+    RequestHandler.makeRequest = async url => {
+      urls.push(url);
+      return '<html></html>';
+    };
+  });
+
+  afterEach(() => {
+    RequestHandler.makeRequest = originalMakeRequest;
+  });
+
+  test('should build URLs from the matrix', () => {
+    expect(buildWordReferenceURL('casa', 'es', 'en')).toBe('https://www.wordreference.com/es/en/translation.asp?spen=casa');
+    expect(buildWordReferenceURL('dům', 'cs', 'en')).toBe('https://www.wordreference.com/czen/d%C5%AFm');
+    expect(buildLingueeURL('maison', 'fr', 'de')).toBe('https://www.linguee.com/french-german/search?source=auto&query=maison');
+    expect(buildWordReferenceURL('dom', 'pl', 'it')).toBeNull();
+    expect(buildLingueeURL('house', 'en', 'ko')).toBeNull();
+  });
+
+  test('should record direction-specific features', () => {
+    expect(WORDREFERENCE_PAIRS['en-fr'].features).toContain('pronunciation');
+    expect(WORDREFERENCE_PAIRS['fr-en'].features).not.toContain('pronunciation');
+    expect(WORDREFERENCE_PAIRS['es-fr'].features).toContain('synonyms');
+    expect(WORDREFERENCE_PAIRS['fr-es'].features).not.toContain('synonyms');
+    expect(LINGUEE_PAIRS['de-fr'].features).toContain('contexts');
+    expect(isLanguagePairSupported('en', 'tr')).toBe(false);
+  });
+
+  test('should request only the matrix URL for a supported pair', async () => {
+    await translateWith('wr', 'house', 'en', 'el', { cache: false });
+
+    expect(urls).toEqual(['https://www.wordreference.com/engr/house']);
+  });
+
+  test('should reject unsupported pairs before any request', async () => {
+    await expect(translateWith('wr', 'dom', 'pl', 'it', { cache: false })).rejects.toMatchObject({ code: 'UNSUPPORTED_PAIR' });
+    await expect(translateWith('lg', 'house', 'en', 'ko', { cache: false, errors: 'result' })).resolves.toMatchObject({ code: 'UNSUPPORTED_PAIR' });
+    expect(urls).toEqual([]);
+  });
+
+  test('should drive checkLanguageSupport', () => {
+    const support = checkLanguageSupport('en', 'ko');
+    expect(support.supportedBy).toEqual(['wordreference']);
+    expect(support.features).toEqual({ wordreference: WORDREFERENCE_PAIRS['en-ko'].features });
+
+    const direct = checkLanguageSupport('pl', 'it');
+    expect(direct.supported).toBe(false);
+    expect(direct.pivotOnly).toBe(true);
+    expect(direct.pivot.firstLeg).toEqual(['wordreference', 'linguee']);
+  });
+
+  test('should list pairs in getAvailableDictionaries', () => {
+    const { wordreference, linguee } = getAvailableDictionaries();
+
+    expect(wordreference.pairs).toContainEqual({ from: 'es', to: 'de', features: WORDREFERENCE_PAIRS['es-de'].features });
+    expect(wordreference.pairs).toHaveLength(Object.keys(WORDREFERENCE_PAIRS).length);
+    expect(linguee.languages).not.toContain('tr');
+  });
+});
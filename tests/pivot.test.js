@@ -0,0 +1,63 @@
+import { registerDictionary, unregisterDictionary, translate, checkLanguageSupport } from '../index.js';
+
+// Fake single-pair provider answering from a word list
+function glossary(pair, words) {
+  return {
+    name: `Glossary ${pair}`,
+    pairs: [pair],
+    scrape: async word => (words[word]
+      ? { inputWord: word, items: words[word] }
+      : { inputWord: word, error: 'Word not found', code: 'NOT_FOUND' }),
+    normalize: result => ({
+      format: 'normalized',
+      entries: [{
+        headword: result.inputWord,
+        pos: 'n',
+        senses: [{ gloss: '', context: '', translations: (result.items || []).map(text => ({ text })), examples: [] }]
+      }]
+    })
+  };
+}
+
+describe('Pivot translation', () => {
+  beforeAll(() => {
+    registerDictionary('vien', glossary('vi-en', { 'nhà': ['house', 'building'] }));
+    registerDictionary('enth', glossary('en-th', { house: ['บ้าน'], building: ['อาคาร', 'บ้าน'] }));
+  });
+
+  afterAll(() => {
+    unregisterDictionary('vien');
+    unregisterDictionary('enth');
+  });
+
+  test('should report pairs reachable only through the hub language', () => {
+    const support = checkLanguageSupport('vi', 'th');
+
+    expect(support.supported).toBe(false);
+    expect(support.pivotOnly).toBe(true);
+    expect(support.pivot).toEqual({ via: 'en', path: ['vi', 'en', 'th'], firstLeg: ['vien'], secondLeg: ['enth'] });
+    expect(checkLanguageSupport('en', 'th').pivotOnly).toBe(false);
+  });
+
+  test('should stay opt-in', async () => {
+    await expect(translate('nhà', 'vi', 'th', { cache: false })).rejects.toMatchObject({ code: 'UNSUPPORTED_PAIR' });
+  });
+
+  test('should chain both legs with lowered confidence and the pivot path', async () => {
+    const result = await translate('nhà', 'vi', 'th', { pivot: true, cache: false });
+
+    expect(result.dictionaries).toEqual({});
+    expect(result.pivot.via).toBe('en');
+    expect(result.pivot.legs).toHaveLength(3);
+    expect(result.merged.map(candidate => candidate.text)).toEqual(['บ้าน', 'อาคาร']);
+
+    const [house] = result.merged;
+    expect(house.pivot).toEqual({ via: 'en', path: ['vi', 'en', 'th'], through: ['house', 'building'] });
+    expect(house.confidence).toBeLessThan(result.pivot.legs[0].merged[0].confidence);
+    expect(house.provenance.map(item => item.leg)).toEqual([1, 2]);
+  });
+
+  test('should fail like a direct lookup when the first leg finds nothing', async () => {
+    await expect(translate('mèo', 'vi', 'th', { pivot: true, cache: false, errors: 'throw' })).rejects.toMatchObject({ code: 'NOT_FOUND' });
+  });
+});
@@ -0,0 +1,71 @@
+import { translateWith } from '../index.js';
+import { PronunciationExtractor, RequestHandler } from '../utils/common.js';
+
+const WORDREFERENCE_HTML = `
+<html><body>
+<div id="articleHead">
+  <h3 class="headerWord">house</h3>
+  <div id="pronunciation_widget"><span class="pronWR tooltip pronWidget">UK:<span>/haʊs/</span></span>, US:<span>/haʊs/</span> <span>(hous)</span></div>
+</div>
+<table class="WRD">
+  <tr class="wrtopsection"><td colspan="3"><span class="ph">Principal Translations</span></td></tr>
+  <tr class="even"><td class="FrWrd"><strong>house</strong> <em class="POS2">n</em></td><td>(building)</td><td class="ToWrd">casa <em class="POS2">nf</em></td></tr>
+</table>
+</body></html>`;
+
+const LINGUEE_HTML = `
+<html><body><div id="dictionary">
+  <div class="lemma">
+    <h2 class="line lemma_desc"><span class="tag_lemma"><a class="dictLink">record</a> <span class="tag_pron">[ˈrekɔːd]</span> <span class="tag_wordtype">noun</span></span></h2>
+    <div class="translation"><span class="tag_trans"><a class="dictLink">registro</a> <span class="tag_type">noun, masculine</span> <span class="tag_pron">[reˈxistɾo]</span></span></div>
+  </div>
+  <div class="lemma">
+    <h2 class="line lemma_desc"><span class="tag_lemma"><a class="dictLink">record</a> <span class="tag_pron">UK [rɪˈkɔːd]</span> <span class="tag_wordtype">verb</span></span></h2>
+    <div class="translation"><span class="tag_trans"><a class="dictLink">grabar</a> <span class="tag_type">verb</span></span></div>
+  </div>
+</div></body></html>`;
+
+describe('IPA pronunciations', () => {
+  const originalMakeRequest = RequestHandler.makeRequest;
+
+  afterEach(() => {
+    RequestHandler.makeRequest = originalMakeRequest;
+  });
+
+  test('should parse transcriptions with region labels', () => {
+    expect(PronunciationExtractor.parse('UK: /ˈwɔːtə/, US: /ˈwɔtər/, /ˈwɑtər/')).toEqual([
+      { ipa: 'ˈwɔːtə', region: 'UK' },
+      { ipa: 'ˈwɔtər', region: 'US' },
+      { ipa: 'ˈwɑtər', region: null }
+    ]);
+    expect(PronunciationExtractor.parse('GB [ɡəʊ]')).toEqual([{ ipa: 'ɡəʊ', region: 'UK' }]);
+    expect(PronunciationExtractor.parse('(hous)')).toEqual([]);
+  });
+
+  test('should read UK and US variants from the WordReference header', async () => {
+    RequestHandler.makeRequest = async () => WORDREFERENCE_HTML;
+
+    const result = await translateWith('wr', 'house', 'en', 'es', { cache: false });
+    expect(result.pronunciations).toEqual([
+      { ipa: 'haʊs', region: 'UK' },
+      { ipa: 'haʊs', region: 'US' }
+    ]);
+
+    const normalized = await translateWith('wr', 'house', 'en', 'es', { cache: false, format: 'normalized' });
+    expect(normalized.pronunciations).toEqual(result.pronunciations);
+  });
+
+  test('should read Linguee lemma headers only', async () => {
+    RequestHandler.makeRequest = async () => LINGUEE_HTML;
+
+    const result = await translateWith('lg', 'record', 'en', 'es', { cache: false });
+    expect(result.translations.map(lemma => lemma.pronunciations)).toEqual([
+      [{ ipa: 'ˈrekɔːd', region: null }],
+      [{ ipa: 'rɪˈkɔːd', region: 'UK' }]
+    ]);
+    expect(result.pronunciations).toEqual([
+      { ipa: 'ˈrekɔːd', region: null },
+      { ipa: 'rɪˈkɔːd', region: 'UK' }
+    ]);
+  });
+});
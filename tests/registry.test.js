@@ -0,0 +1,76 @@
+import {
+  registerDictionary,
+  unregisterDictionary,
+  translate,
+  translateWith,
+  checkLanguageSupport,
+  getAvailableDictionaries
+} from '../index.js';
+import { MultiDictionaryScraper } from '../multi-scraper.js';
+
+describe('Dictionary Registry', () => {
+  const provider = {
+    name: 'Test Glossary',
+    aliases: ['tg'],
+    languages: ['en', 'es'],
+    features: ['examples'],
+    priority: 5,
+    scrape: async (word, from, to) => ({ inputWord: word, fromLang: from, toLang: to, translations: [`${word}-${to}`] })
+  };
+
+  beforeEach(() => {
+    registerDictionary('glossary', provider);
+  });
+
+  afterEach(() => {
+    unregisterDictionary('glossary');
+  });
+
+  test('should list registered dictionaries', () => {
+    const dictionaries = getAvailableDictionaries();
+
+    expect(dictionaries.glossary).toEqual({
+      name: 'Test Glossary',
+      aliases: ['tg'],
+      languages: ['en', 'es'],
+      features: ['examples'],
+      priority: 5
+    });
+    expect(dictionaries.wordreference.aliases).toContain('wr');
+  });
+
+  test('should translate with a registered dictionary by alias', async () => {
+    const result = await translateWith('tg', 'house', 'english', 'spanish');
+
+    expect(result.source).toBe('glossary');
+    expect(result.translations).toEqual(['house-es']);
+    expect(result.timestamp).toBeDefined();
+  });
+
+  test('should reject unsupported pairs before scraping', async () => {
+    await expect(translateWith('glossary', 'house', 'en', 'fr')).rejects.toThrow('not supported by Test Glossary');
+  });
+
+  test('should include registered dictionaries in support checks and the legacy class', () => {
+    expect(checkLanguageSupport('en', 'es').supportedBy).toContain('glossary');
+    expect(checkLanguageSupport('en', 'fr').supportedBy).not.toContain('glossary');
+
+    const scraper = new MultiDictionaryScraper();
+    expect(scraper.getCompatibleDictionaries('en', 'es')).toContain('glossary');
+  });
+
+  test('should fan out to registered dictionaries in translate()', async () => {
+    unregisterDictionary('glossary');
+    registerDictionary('glossary', { ...provider, languages: ['fi', 'hu'] });
+
+    const result = await translate('sun', 'fi', 'hu');
+
+    expect(Object.keys(result.dictionaries)).toEqual(['glossary']);
+    expect(result.dictionaries.glossary.translations).toEqual(['sun-hu']);
+  });
+
+  test('should reject aliases owned by another dictionary', () => {
+    expect(() => registerDictionary('other', { ...provider, aliases: ['wr'] })).toThrow('already used');
+    expect(() => registerDictionary('broken', { name: 'Broken' })).toThrow('scrape');
+  });
+});
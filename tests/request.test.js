@@ -0,0 +1,155 @@
+import { RequestHandler } from '../utils/common.js';
+
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers };
+  return error;
+}
+
+describe('RequestHandler retries', () => {
+  const originalSendRequest = RequestHandler.sendRequest;
+
+  afterEach(() => {
+    RequestHandler.sendRequest = originalSendRequest;
+  });
+
+  test('should not retry by default', async () => {
+    let calls = 0;
+    RequestHandler.sendRequest = async () => {
+      calls++;
+      throw httpError(503);
+    };
+
+    await expect(RequestHandler.makeRequest('https://example.com')).rejects.toThrow('503');
+    expect(calls).toBe(1);
+  });
+
+  test('should retry server errors and timeouts until success', async () => {
+    const failures = [httpError(503), Object.assign(new Error('timeout of 10ms exceeded'), { code: 'ECONNABORTED' })];
+    RequestHandler.sendRequest = async () => {
+      if (failures.length > 0) throw failures.shift();
+      return '<html></html>';
+    };
+
+    await expect(RequestHandler.makeRequest('https://example.com', { retries: 2, retryDelay: 1 })).resolves.toBe('<html></html>');
+  });
+
+  test('should never retry not-found responses', async () => {
+    let calls = 0;
+    RequestHandler.sendRequest = async () => {
+      calls++;
+      throw httpError(404);
+    };
+
+    await expect(RequestHandler.makeRequest('https://example.com', { retries: 3, retryDelay: 1 })).rejects.toThrow('404');
+    expect(calls).toBe(1);
+  });
+
+  test('should stop the retry backoff when cancelled', async () => {
+    let calls = 0;
+    RequestHandler.sendRequest = async () => {
+      calls++;
+      throw httpError(503);
+    };
+
+    const controller = new AbortController();
+    const started = Date.now();
+    const request = RequestHandler.makeRequest('https://backoff.example.com', { retries: 1, retryDelay: 3000, signal: controller.signal });
+    setTimeout(() => controller.abort(), 50);
+
+    await expect(request).rejects.toMatchObject({ code: 'CANCELLED' });
+    expect(Date.now() - started).toBeLessThan(1000);
+    expect(calls).toBe(1);
+  });
+
+  test('should pass the timeout to the HTTP layer', async () => {
+    let received = null;
+    RequestHandler.sendRequest = async (url, options) => {
+      received = options;
+      return '';
+    };
+
+    await RequestHandler.makeRequest('https://example.com', { timeout: 1234, retries: 1 });
+    expect(received).toEqual({ timeout: 1234 });
+  });
+
+  test('should honor Retry-After on rate limits', () => {
+    expect(RequestHandler.getRetryDelay(httpError(429, { 'retry-after': '2' }), 0, 500, 30000)).toBe(2000);
+    expect(RequestHandler.getRetryDelay(httpError(429, { 'retry-after': '120' }), 0, 500, 30000)).toBe(30000);
+  });
+
+  test('should back off exponentially with jitter', () => {
+    for (let attempt = 0; attempt < 4; attempt++) {
+      const delay = RequestHandler.getRetryDelay(httpError(500), attempt, 100, 30000);
+      expect(delay).toBeGreaterThanOrEqual(50 * 2 ** attempt);
+      expect(delay).toBeLessThanOrEqual(100 * 2 ** attempt);
+    }
+  });
+});
+
+describe('RequestHandler rate limiting', () => {
+  const originalSendRequest = RequestHandler.sendRequest;
+
+  afterEach(() => {
+    RequestHandler.sendRequest = originalSendRequest;
+    RequestHandler.configureRateLimits({ 'limited.example.com': false });
+  });
+
+  test('should cap concurrent requests per host', async () => {
+    let active = 0;
+    let peak = 0;
+    RequestHandler.configureRateLimits({ 'limited.example.com': { requestsPerSecond: 1000, burst: 10, maxConcurrent: 2 } });
+    RequestHandler.sendRequest = async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      active--;
+      return '';
+    };
+
+    await Promise.all(Array.from({ length: 6 }, () => RequestHandler.makeRequest('https://limited.example.com/word')));
+    expect(peak).toBe(2);
+  });
+
+  test('should throttle beyond the burst and report the wait', async () => {
+    RequestHandler.configureRateLimits({ 'limited.example.com': { requestsPerSecond: 20, burst: 1, maxConcurrent: 5 } });
+    RequestHandler.sendRequest = async () => '';
+
+    const stats = { requests: 0, retries: 0, rateLimitWaitMs: 0 };
+    const started = Date.now();
+    await Promise.all([1, 2, 3].map(() => RequestHandler.makeRequest('https://limited.example.com/word', { stats })));
+
+    expect(Date.now() - started).toBeGreaterThanOrEqual(90);
+    expect(stats.requests).toBe(3);
+    expect(stats.rateLimitWaitMs).toBeGreaterThan(0);
+  });
+
+  test('should leave the limiter queue without spending a token when cancelled', async () => {
+    let calls = 0;
+    RequestHandler.configureRateLimits({ 'limited.example.com': { requestsPerSecond: 0.5, burst: 1 } });
+    RequestHandler.sendRequest = async () => {
+      calls++;
+      return '';
+    };
+
+    await RequestHandler.makeRequest('https://limited.example.com/first');
+    const limiter = RequestHandler.getRateLimiter('https://limited.example.com/second');
+
+    const controller = new AbortController();
+    const started = Date.now();
+    const request = RequestHandler.makeRequest('https://limited.example.com/second', { signal: controller.signal });
+    setTimeout(() => controller.abort(), 10);
+
+    await expect(request).rejects.toMatchObject({ code: 'CANCELLED' });
+    const tokens = limiter.tokens;
+    expect(Date.now() - started).toBeLessThan(500);
+    expect(calls).toBe(1);
+    expect(limiter.queue).toHaveLength(0);
+    expect(limiter.active).toBe(0);
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(limiter.tokens).toBe(tokens);
+    expect(tokens).toBeGreaterThanOrEqual(0);
+    expect(tokens).toBeLessThan(1);
+  });
+});
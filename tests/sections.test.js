@@ -0,0 +1,75 @@
+import { translateWith, translate, InvalidOptionError } from '../index.js';
+import { RequestHandler } from '../utils/common.js';
+
+// Marked tables, a title-only table (Spanish interface) and an unmarked table
+const WORDREFERENCE_GO = `
+<html><body>
+<table class="WRD" data-dict="enes">
+  <tr class="wrtopsection" data-ph="sMainMeanings"><td colspan="3"><span class="ph" data-ph="sMainMeanings">Traducciones principales</span></td></tr>
+  <tr class="even"><td class="FrWrd"><strong>go</strong> <em class="POS2">vi</em></td><td>(move, travel)</td><td class="ToWrd">ir <em class="POS2">vi</em></td></tr>
+</table>
+<table class="WRD" data-dict="enes">
+  <tr class="wrtopsection" data-ph="sAddlTrans"><td colspan="3"><span class="ph" data-ph="sAddlTrans">Traducciones adicionales</span></td></tr>
+  <tr class="even"><td class="FrWrd"><strong>go</strong> <em class="POS2">n</em></td><td>(attempt)</td><td class="ToWrd">intento <em class="POS2">nm</em></td></tr>
+</table>
+<table class="WRD" data-dict="enes">
+  <tr class="wrtopsection"><td colspan="3"><span class="ph">Verbos frasales</span></td></tr>
+  <tr class="even"><td class="FrWrd"><strong>go out</strong> <em class="POS2">vi phrasal</em></td><td>(leave)</td><td class="ToWrd">salir <em class="POS2">vi</em></td></tr>
+</table>
+<table class="WRD" id="compound_forms" data-dict="enes">
+  <tr class="wrtopsection"><td colspan="3"><span class="ph">Formas compuestas</span></td></tr>
+  <tr class="even"><td class="FrWrd"><strong>go-between</strong> <em class="POS2">n</em></td><td>(intermediary)</td><td class="ToWrd">intermediario <em class="POS2">nm</em></td></tr>
+</table>
+<table class="WRD" data-dict="enes">
+  <tr class="even"><td class="FrWrd"><strong>go for broke</strong> <em class="POS2">v expr</em></td><td>(risk everything)</td><td class="ToWrd">jugárselo todo <em class="POS2">v</em></td></tr>
+</table>
+</body></html>`;
+
+describe('WordReference section types', () => {
+  const originalMakeRequest = RequestHandler.makeRequest;
+
+  beforeEach(() => {
+    RequestHandler.makeRequest = async () => WORDREFERENCE_GO;
+  });
+
+  afterEach(() => {
+    RequestHandler.makeRequest = originalMakeRequest;
+  });
+
+  test('should classify sections from markers, titles and rows', async () => {
+    const result = await translateWith('wr', 'go', 'en', 'es', { cache: false });
+
+    expect(result.sections.map(section => section.type)).toEqual(['principal', 'additional', 'phrasal-verb', 'compound', 'compound']);
+    expect(result.sections[0].title).toBe('Traducciones principales');
+  });
+
+  test('should keep only the requested section types', async () => {
+    const result = await translateWith('wr', 'go', 'en', 'es', { cache: false, sectionTypes: ['principal', 'phrasal-verb'] });
+    expect(result.sections.map(section => section.translations[0].word.word)).toEqual(['go', 'go out']);
+
+    const normalized = await translateWith('wr', 'go', 'en', 'es', { cache: false, format: 'normalized', sectionTypes: ['compound'] });
+    expect(normalized.entries.map(entry => [entry.headword, entry.sectionType])).toEqual([
+      ['go-between', 'compound'],
+      ['go for broke', 'compound']
+    ]);
+  });
+
+  test('should filter cached results without dropping sections from the cache', async () => {
+    const principal = await translate('go', 'en', 'es', { dictionaries: ['wr'], sectionTypes: ['principal'] });
+    const everything = await translate('go', 'en', 'es', { dictionaries: ['wr'] });
+
+    expect(principal.dictionaries.wordreference.sections).toHaveLength(1);
+    expect(everything.dictionaries.wordreference.fromCache).toBe(true);
+    expect(everything.dictionaries.wordreference.sections).toHaveLength(5);
+  });
+
+  test('should reject unknown section types', async () => {
+    await expect(translate('go', 'en', 'es', { sectionTypes: ['principle'] })).rejects.toThrow('Section types must be among');
+    await expect(translateWith('wr', 'go', 'en', 'es', { sectionTypes: 'idiom' })).rejects.toBeInstanceOf(InvalidOptionError);
+    await expect(translate('go', 'en', 'es', { sectionTypes: ['principle'], errors: 'result' })).resolves.toMatchObject({
+      code: 'INVALID_OPTION',
+      retryable: false,
+      userMessage: 'Invalid option'
+    });
+  });
+});
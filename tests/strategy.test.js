@@ -0,0 +1,119 @@
+import { registerDictionary, unregisterDictionary, translate, InvalidOptionError } from '../index.js';
+
+const calls = [];
+const aborted = [];
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new Error('aborted'));
+    });
+  });
+}
+
+// Fake provider answering after `delay` ms with the given translations (none = not found)
+function fakeProvider(id, priority, delay, translations) {
+  return {
+    name: id,
+    languages: ['fi', 'hu'],
+    priority,
+    scrape: async (word, from, to, options) => {
+      calls.push(id);
+      try {
+        await wait(delay, options.signal);
+      } catch (error) {
+        aborted.push(id);
+        throw error;
+      }
+      return translations.length > 0
+        ? { inputWord: word, items: translations }
+        : { inputWord: word, error: 'Word not found', code: 'NOT_FOUND' };
+    },
+    normalize: result => ({
+      format: 'normalized',
+      entries: (result.items || []).map(text => ({
+        headword: result.inputWord,
+        pos: '',
+        senses: [{ gloss: '', context: '', translations: [{ text }], examples: [] }]
+      }))
+    })
+  };
+}
+
+describe('Multi-dictionary strategies', () => {
+  const ids = [];
+
+  function use(...providers) {
+    providers.forEach(([id, ...args]) => {
+      registerDictionary(id, fakeProvider(id, ...args));
+      ids.push(id);
+    });
+  }
+
+  afterEach(() => {
+    ids.splice(0).forEach(id => unregisterDictionary(id));
+    calls.length = 0;
+    aborted.length = 0;
+  });
+
+  test('should stop at the first usable result in priority order', async () => {
+    use(['empty', 100, 5, []], ['second', 101, 5, ['ház']], ['third', 102, 5, ['otthon']]);
+
+    const result = await translate('talo', 'fi', 'hu', { strategy: 'priority', cache: false });
+
+    expect(result.strategy).toBe('priority');
+    expect(calls).toEqual(['empty', 'second']);
+    expect(Object.keys(result.dictionaries)).toEqual(['empty', 'second']);
+    expect(result.dictionaries.empty.code).toBe('NOT_FOUND');
+  });
+
+  test('should keep the fastest usable response and cancel the rest in race mode', async () => {
+    use(['slow', 100, 300, ['ház']], ['fast', 101, 10, ['otthon']]);
+
+    const result = await translate('talo', 'fi', 'hu', { strategy: 'race', cache: false });
+
+    expect(Object.keys(result.dictionaries)).toEqual(['fast']);
+    expect(aborted).toEqual(['slow']);
+  });
+
+  test('should wait until enough dictionaries agree in quorum mode', async () => {
+    use(['a', 100, 10, ['ház']], ['b', 101, 20, ['otthon']], ['c', 102, 30, ['Ház']], ['d', 103, 300, ['ház']]);
+
+    const result = await translate('talo', 'fi', 'hu', { strategy: 'quorum', quorum: 2, cache: false, merge: true });
+
+    expect(Object.keys(result.dictionaries)).toEqual(['a', 'b', 'c']);
+    expect(aborted).toEqual(['d']);
+    expect(result.merged[0]).toMatchObject({ text: 'ház', sources: ['a', 'c'] });
+  });
+
+  test('should query everything by default', async () => {
+    use(['a', 100, 10, ['ház']], ['b', 101, 20, []]);
+
+    const result = await translate('talo', 'fi', 'hu', { cache: false });
+
+    expect(result.strategy).toBe('all');
+    expect(Object.keys(result.dictionaries)).toEqual(['a', 'b']);
+  });
+
+  test('should reject unknown strategies', async () => {
+    use(['a', 100, 10, ['ház']]);
+    await expect(translate('talo', 'fi', 'hu', { strategy: 'fastest' })).rejects.toThrow('Strategy must be one of');
+    await expect(translate('talo', 'fi', 'hu', { strategy: 'fastest' })).rejects.toBeInstanceOf(InvalidOptionError);
+  });
+
+  test('should report invalid strategy options in result mode', async () => {
+    use(['a', 100, 10, ['ház']]);
+
+    await expect(translate('talo', 'fi', 'hu', { strategy: 'bogus', errors: 'result' })).resolves.toMatchObject({
+      code: 'INVALID_OPTION',
+      retryable: false,
+      error: expect.stringContaining('Strategy must be one of')
+    });
+    await expect(translate('talo', 'fi', 'hu', { strategy: 'quorum', quorum: 0, errors: 'result' })).resolves.toMatchObject({
+      code: 'INVALID_OPTION',
+      error: expect.stringContaining('Quorum must be a positive integer')
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import { translateWith, translate, WordNotFoundError } from '../index.js';
+import { RequestHandler } from '../utils/common.js';
+
+const WORDREFERENCE_NO_RESULT = `
+<html><body>
+<div id="noEntryFound">No English translation found for 'housse' in the English-Spanish Dictionary.</div>
+<p>Did you mean: <a href="/es/translation.asp?tranword=house">house</a>, <a href="/es/translation.asp?tranword=houses">houses</a>, <a href="/es/translation.asp?tranword=housse">housse</a></p>
+</body></html>`;
+
+const WORDREFERENCE_HOUSE = `
+<html><body>
+<table class="WRD">
+  <tr class="wrtopsection"><td colspan="3"><span class="ph">Principal Translations</span></td></tr>
+  <tr class="even"><td class="FrWrd"><strong>house</strong> <em class="POS2">n</em></td><td>(building)</td><td class="ToWrd">casa <em class="POS2">nf</em></td></tr>
+</table>
+</body></html>`;
+
+const LINGUEE_NO_RESULT = `
+<html><body>
+<h1 class="noresults">Linguee Dictionary</h1>
+<div class="didyoumean">Did you mean <a href="/english-spanish/search?query=receive">receive</a>?</div>
+</body></html>`;
+
+describe('Spelling suggestions', () => {
+  const originalMakeRequest = RequestHandler.makeRequest;
+  let urls;
+
+  beforeEach(() => {
+    urls = [];
+    RequestHandler.makeRequest = async url => {
+      urls.push(url);
+      if (url.includes('linguee')) return LINGUEE_NO_RESULT;
+      return url.endsWith('tranword=house') ? WORDREFERENCE_HOUSE : WORDREFERENCE_NO_RESULT;
+    };
+  });
+
+  afterEach(() => {
+    RequestHandler.makeRequest = originalMakeRequest;
+  });
+
+  test('should parse WordReference suggestions on a no-result page', async () => {
+    const result = await translateWith('wr', 'housse', 'en', 'es', { cache: false });
+
+    expect(result.code).toBe('NOT_FOUND');
+    expect(result.suggestions).toEqual(['house', 'houses']);
+    expect(result.error).toContain('Did you mean "house"?');
+  });
+
+  test('should parse Linguee suggestions on a no-result page', async () => {
+    const result = await translateWith('lg', 'recieve', 'en', 'es', { cache: false, format: 'normalized' });
+
+    expect(result.code).toBe('NOT_FOUND');
+    expect(result.suggestions).toEqual(['receive']);
+  });
+
+  test('should carry suggestions on WordNotFoundError', async () => {
+    const error = await translateWith('wr', 'housse', 'en', 'es', { cache: false, errors: 'throw' }).catch(error => error);
+
+    expect(error).toBeInstanceOf(WordNotFoundError);
+    expect(error.suggestions).toEqual(['house', 'houses']);
+  });
+
+  test('should retry with the top suggestion in autoCorrect mode', async () => {
+    const result = await translateWith('wr', 'housse', 'en', 'es', { cache: false, autoCorrect: true });
+
+    expect(result.error).toBeUndefined();
+    expect(result.sections[0].translations[0].meanings[0].word).toBe('casa');
+    expect(result.autoCorrected).toEqual({ original: 'housse', corrected: 'house', suggestions: ['house', 'houses'] });
+    expect(urls).toHaveLength(2);
+  });
+
+  test('should keep the original failure when the correction finds nothing', async () => {
+    const result = await translate('recieve', 'en', 'es', { cache: false, autoCorrect: true, dictionaries: ['lg'] });
+
+    expect(result.dictionaries.linguee.code).toBe('NOT_FOUND');
+    expect(result.dictionaries.linguee.autoCorrected).toBeUndefined();
+    expect(urls).toHaveLength(2);
+  });
+
+  test('should not correct without autoCorrect', async () => {
+    await translateWith('wr', 'housse', 'en', 'es', { cache: false });
+    expect(urls).toHaveLength(1);
+  });
+});
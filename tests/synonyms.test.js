@@ -0,0 +1,104 @@
+import { synonyms, getAvailableDictionaries, UnsupportedLanguageError } from '../index.js';
+import { RequestHandler } from '../utils/common.js';
+import { buildSynonymsURL } from '../scrapers/wordreference-synonyms.js';
+
+const HAPPY = `
+<html><body>
+<div class="engthes">
+  <h3>happy</h3>
+  <div class="clickable">
+    <ul>
+      <li>Sense: Adjective: content</li>
+      <li>Synonyms: cheerful, glad, joyful</li>
+      <li>Antonyms: sad, unhappy</li>
+    </ul>
+    <ul>
+      <li>Sense: Adjective: lucky</li>
+      <li>Synonyms: fortunate, favorable</li>
+    </ul>
+  </div>
+</div>
+</body></html>`;
+
+const FELIZ = `
+<html><body>
+<div class="trans clickable">
+  <h3>feliz</h3>
+  <ul>
+    <li>contento, alegre, dichoso <span class="antonyms">Antónimos: triste, desgraciado</span></li>
+  </ul>
+  <ul>
+    <li>acertado, oportuno</li>
+  </ul>
+</div>
+</body></html>`;
+
+const NOT_A_WORD = `
+<html><body>
+<div id="noEntryFound">No entry found for "hapy". Did you mean: <a href="/synonyms/happy">happy</a></div>
+</body></html>`;
+
+describe('synonyms()', () => {
+  const originalMakeRequest = RequestHandler.makeRequest;
+  let urls;
+
+  beforeEach(() => {
+    urls = [];
+    RequestHandler.makeRequest = async url => {
+      urls.push(url);
+      if (url.endsWith('/happy')) return HAPPY;
+      if (url.endsWith('/feliz')) return FELIZ;
+      return NOT_A_WORD;
+    };
+  });
+
+  afterEach(() => {
+    RequestHandler.makeRequest = originalMakeRequest;
+  });
+
+  test('should build thesaurus URLs', () => {
+    expect(buildSynonymsURL('feliz', 'es')).toBe('https://www.wordreference.com/sinonimos/feliz');
+    expect(buildSynonymsURL('heureux', 'fr')).toBeNull();
+  });
+
+  test('should return synonym groups per sense with antonyms', async () => {
+    const result = await synonyms('happy', 'en', { cache: false });
+
+    expect(urls).toEqual(['https://www.wordreference.com/synonyms/happy']);
+    expect(result.groups).toEqual([
+      { sense: 'content', pos: 'adj', synonyms: ['cheerful', 'glad', 'joyful'], antonyms: ['sad', 'unhappy'] },
+      { sense: 'lucky', pos: 'adj', synonyms: ['fortunate', 'favorable'], antonyms: [] }
+    ]);
+  });
+
+  test('should read unlabelled Spanish lists', async () => {
+    const result = await synonyms('feliz', 'spanish', { cache: false });
+
+    expect(result.language).toBe('es');
+    expect(result.groups).toEqual([
+      { sense: null, pos: null, synonyms: ['contento', 'alegre', 'dichoso'], antonyms: ['triste', 'desgraciado'] },
+      { sense: null, pos: null, synonyms: ['acertado', 'oportuno'], antonyms: [] }
+    ]);
+  });
+
+  test('should report unknown words with suggestions', async () => {
+    const result = await synonyms('hapy', 'en', { cache: false });
+
+    expect(result.code).toBe('NOT_FOUND');
+    expect(result.suggestions).toEqual(['happy']);
+  });
+
+  test('should reject languages without a thesaurus before any request', async () => {
+    await expect(synonyms('heureux', 'fr')).rejects.toBeInstanceOf(UnsupportedLanguageError);
+    await expect(synonyms('heureux', 'fr', { errors: 'result' })).resolves.toMatchObject({ code: 'UNSUPPORTED_LANGUAGE', groups: [] });
+    expect(urls).toEqual([]);
+  });
+
+  test('should advertise the thesaurus languages as a feature', () => {
+    const { wordreference } = getAvailableDictionaries();
+    const languages = new Set(wordreference.pairs.filter(pair => pair.features.includes('synonyms')).map(pair => pair.from));
+
+    expect(wordreference.features).toContain('synonyms');
+    expect([...languages]).toEqual(['en', 'es']);
+  });
+});
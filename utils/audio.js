@@ -0,0 +1,171 @@
+import { AudioExtractor, ErrorHandler, RequestHandler } from './common.js';
+import { mapWithConcurrency } from './batch.js';
+
+/**
+ * Audio downloader - saves the pronunciation recordings of a dictionary result
+ * Requests go through RequestHandler (rate limits, retries, CORS proxy in browsers)
+ */
+export class AudioDownloader {
+    static NAMINGS = ['word', 'original'];
+
+    /**
+     * Downloads every recording of a result
+     * Files already on disk are skipped without a request. Failures are isolated per file
+     * and reported in the manifest
+     * @param {Object} result - WordReference, Linguee or translate() result
+     * @param {Object} options - Download options
+     * @param {string} options.dir - Directory for the files (Node.js); without it the bytes are returned in data
+     * @param {string|Function} options.naming - 'word' (default, e.g. house_british-rp.mp3), 'original' (file name
+     *   from the URL) or ({ word, region, accent, url, format, index }) => file name
+     * @param {boolean} options.overwrite - Download again even if the file exists (default false)
+     * @param {number} options.concurrency - Downloads in flight (default 4; rate limits still apply per host)
+     * @returns {Promise<Object>} Manifest { dir, files: [{ word, source, region, accent, url, format, path, status, bytes }], words }
+     */
+    static async download(result, options = {}) {
+        if (!result || typeof result !== 'object') {
+            throw new Error('downloadAudio expects a dictionary result');
+        }
+        this.validateNaming(options.naming);
+
+        const recordings = this.collect(result);
+        const names = this.assignNames(recordings, options.naming);
+        const path = options.dir ? await import('path') : null;
+
+        const files = await mapWithConcurrency(recordings, options.concurrency, async (recording, index) =>
+            await this.fetchRecording(recording, options.dir ? path.join(options.dir, names[index]) : null, options)
+        );
+
+        // First recording of each region per word (see files for every accent)
+        const words = {};
+        for (const file of files) {
+            if (file.status === 'failed') continue;
+            words[file.word] = words[file.word] || {};
+            words[file.word][file.region ?? 'default'] ??= file.path;
+        }
+
+        return { dir: options.dir ?? null, files, words };
+    }
+
+    /**
+     * Lists the recordings of a result with the word they pronounce
+     * @param {Object} result - WordReference, Linguee, normalized or translate() result
+     * @returns {Array<Object>} { word, source, url, region, accent, format } without duplicate URLs
+     */
+    static collect(result) {
+        const recordings = [];
+        const add = (word, entry) => {
+            const recording = typeof entry === 'string'
+                ? { url: entry, region: null, accent: null, format: AudioExtractor.getFormat(entry) }
+                : entry;
+            if (recording?.url && !recordings.some(existing => existing.url === recording.url)) {
+                recordings.push({
+                    word,
+                    source: recording.source ?? result.source ?? null,
+                    url: recording.url,
+                    region: recording.region,
+                    accent: recording.accent,
+                    format: recording.format
+                });
+            }
+        };
+
+        if (result.dictionaries) {
+            Object.values(result.dictionaries).forEach(dictionary => this.collect(dictionary).forEach(recording => add(recording.word, recording)));
+            return recordings;
+        }
+
+        // Linguee lemmas: one headword each
+        for (const lemma of result.translations || []) {
+            (lemma.audioEntries || (lemma.audio ? [lemma.audio] : [])).forEach(entry => add(lemma.from, entry));
+        }
+
+        // Normalized entries (structured audio first, then plain URLs of older results)
+        for (const entry of result.entries || []) {
+            (entry.audioEntries || entry.audio || []).forEach(recording => add(entry.headword, recording));
+        }
+
+        // WordReference (structured audio first, then plain links of older results)
+        const word = result.inputWord;
+        (Array.isArray(result.audio) ? result.audio : []).forEach(entry => add(word, entry));
+        (result.audioLinks || []).forEach(url => add(word, AudioExtractor.resolveUrl(url, 'https://www.wordreference.com')));
+
+        return recordings;
+    }
+
+    static async fetchRecording(recording, file, options) {
+        const base = { ...recording, path: file };
+
+        if (file && !options.overwrite && await this.exists(file)) {
+            return { ...base, status: 'skipped' };
+        }
+
+        try {
+            const data = await RequestHandler.makeRequest(recording.url, { ...RequestHandler.pickOptions(options), responseType: 'arraybuffer' });
+            const bytes = data.byteLength;
+
+            if (!file) {
+                return { ...base, status: 'downloaded', bytes, data };
+            }
+
+            const [fs, path] = await Promise.all([import('fs/promises'), import('path')]);
+            await fs.mkdir(path.dirname(file), { recursive: true });
+
+            // Write then rename so an interrupted download never looks complete
+            const tmpFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+            await fs.writeFile(tmpFile, new Uint8Array(data));
+            await fs.rename(tmpFile, file);
+            return { ...base, status: 'downloaded', bytes };
+        } catch (error) {
+            const typed = ErrorHandler.toDictionaryError(error, recording.source, recording.word);
+            return { ...base, path: null, status: 'failed', error: typed.message, code: typed.code, retryable: typed.retryable };
+        }
+    }
+
+    // File names for every recording, unique within the download
+    static assignNames(recordings, naming = 'word') {
+        const used = new Set();
+
+        return recordings.map((recording, index) => {
+            let name;
+            if (typeof naming === 'function') {
+                name = String(naming({ ...recording, index }));
+            } else if (naming === 'original') {
+                name = decodeURIComponent(new URL(recording.url).pathname.split('/').pop());
+            } else {
+                name = `${this.slug(recording.word)}_${this.slug(recording.accent || recording.region || 'audio')}.${recording.format || 'mp3'}`;
+            }
+
+            // Names never leave the target directory
+            name = name.replace(/[\\/]/g, '_').replace(/^\.+/, '') || `audio-${index}.mp3`;
+
+            const dot = name.lastIndexOf('.');
+            const [stem, extension] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+            let unique = name;
+            for (let n = 2; used.has(unique); n++) {
+                unique = `${stem}-${n}${extension}`;
+            }
+            used.add(unique);
+            return unique;
+        });
+    }
+
+    static slug(text) {
+        return String(text || '').normalize('NFC').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'audio';
+    }
+
+    static async exists(file) {
+        const fs = await import('fs/promises');
+        try {
+            await fs.access(file);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    static validateNaming(naming) {
+        if (naming !== undefined && typeof naming !== 'function' && !this.NAMINGS.includes(naming)) {
+            throw new Error(`Naming must be one of ${this.NAMINGS.join(', ')} or a function, got ${naming}`);
+        }
+    }
+}
@@ -0,0 +1,95 @@
+import { InvalidOptionError } from './errors.js';
+
+/**
+ * Batch helpers - run async work over many items with bounded concurrency
+ */
+
+/**
+ * Maps items through an async worker with at most `concurrency` calls in flight
+ * Results keep the input order; a worker rejection rejects the whole map, so
+ * callers that need per-item isolation must catch inside the worker
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum workers in flight (default 4)
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapWithConcurrency(items, concurrency, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runners = Array.from({ length: Math.min(normalizeConcurrency(concurrency), items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+
+    await Promise.all(runners);
+    return results;
+}
+
+/**
+ * Validates a concurrency setting
+ * @param {number} concurrency - Requested concurrency
+ * @returns {number} Positive integer concurrency (default 4)
+ * @throws {InvalidOptionError} When it is not a positive number
+ */
+export function normalizeConcurrency(concurrency) {
+    if (concurrency === undefined || concurrency === null) {
+        return 4;
+    }
+
+    const value = Math.floor(Number(concurrency));
+    if (!Number.isFinite(value) || value < 1) {
+        throw new InvalidOptionError(`Concurrency must be a positive integer, got ${concurrency}`, { option: 'concurrency' });
+    }
+    return value;
+}
+
+/**
+ * Streams results of an async worker over a (sync or async) iterable
+ * Results are yielded in completion order. New items are only pulled from the
+ * source while fewer than `concurrency` are in flight, and nothing new starts
+ * while the consumer is not asking for results (backpressure)
+ * @param {Iterable|AsyncIterable} source - Items to process
+ * @param {number} concurrency - Maximum workers in flight (default 4)
+ * @param {Function} worker - async (item, index) => result
+ * @returns {AsyncGenerator} Worker results as they complete
+ */
+export async function* streamWithConcurrency(source, concurrency, worker) {
+    const limit = normalizeConcurrency(concurrency);
+    const iterator = typeof source?.[Symbol.asyncIterator] === 'function'
+        ? source[Symbol.asyncIterator]()
+        : source[Symbol.iterator]();
+    const pending = new Map();
+    let index = 0;
+    let exhausted = false;
+
+    try {
+        while (true) {
+            while (!exhausted && pending.size < limit) {
+                const next = await iterator.next();
+                if (next.done) {
+                    exhausted = true;
+                    break;
+                }
+
+                const id = index++;
+                pending.set(id, Promise.resolve(worker(next.value, id)).then(value => ({ id, value })));
+            }
+
+            if (pending.size === 0) {
+                return;
+            }
+
+            const { id, value } = await Promise.race(pending.values());
+            pending.delete(id);
+            yield value;
+        }
+    } finally {
+        // Consumer stopped early: let the source clean up
+        if (!exhausted && typeof iterator.return === 'function') {
+            await iterator.return();
+        }
+    }
+}
@@ -0,0 +1,263 @@
+/**
+ * Result cache - stores dictionary results keyed by dictionary, language pair and word
+ * Any object with async get(key) / set(key, value) / delete(key) can be used as a store
+ */
+
+/**
+ * In-memory least-recently-used store
+ */
+export class MemoryStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {number} options.maxEntries - Maximum number of cached results (default 500)
+     */
+    constructor({ maxEntries = 500 } = {}) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        if (!this.entries.has(key)) {
+            return undefined;
+        }
+
+        // Re-insert to mark as most recently used
+        const value = this.entries.get(key);
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        return value;
+    }
+
+    async set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, value);
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    async delete(key) {
+        return this.entries.delete(key);
+    }
+
+    async clear() {
+        this.entries.clear();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
+
+/**
+ * JSON-on-disk store (Node.js only) - one file per cached result
+ */
+export class FileStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {string} options.dir - Cache directory (default '.cache/multi-dictionary-scraper' in the working directory)
+     */
+    constructor({ dir } = {}) {
+        this.dir = dir || null;
+    }
+
+    async get(key) {
+        const fs = await import('fs/promises');
+        try {
+            const content = await fs.readFile(await this.pathFor(key), 'utf8');
+            return JSON.parse(content);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return undefined;
+            }
+            throw error;
+        }
+    }
+
+    async set(key, value) {
+        const fs = await import('fs/promises');
+        const file = await this.pathFor(key);
+        await fs.mkdir(await this.getDir(), { recursive: true });
+
+        // Write then rename so concurrent readers never see a partial file
+        const tmpFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+        await fs.writeFile(tmpFile, JSON.stringify(value), 'utf8');
+        await fs.rename(tmpFile, file);
+    }
+
+    async delete(key) {
+        const fs = await import('fs/promises');
+        try {
+            await fs.unlink(await this.pathFor(key));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    async clear() {
+        const fs = await import('fs/promises');
+        await fs.rm(await this.getDir(), { recursive: true, force: true });
+    }
+
+    async getDir() {
+        if (!this.dir) {
+            const path = await import('path');
+            this.dir = path.join(process.cwd(), '.cache', 'multi-dictionary-scraper');
+        }
+        return this.dir;
+    }
+
+    async pathFor(key) {
+        const [path, crypto] = await Promise.all([import('path'), import('crypto')]);
+        const hash = crypto.createHash('sha1').update(key).digest('hex');
+        return path.join(await this.getDir(), `${hash}.json`);
+    }
+}
+
+export class ResultCache {
+    static settings = {
+        enabled: true,
+        store: new MemoryStore(),
+        ttl: 60 * 60 * 1000 // 1 hour
+    };
+
+    /**
+     * Updates the global cache configuration
+     * @param {Object} options - Cache options
+     * @param {boolean} options.enabled - Enable or disable caching
+     * @param {Object} options.store - Store implementing get/set/delete
+     * @param {number} options.ttl - Time to live in milliseconds (0 = never expires)
+     * @returns {Object} Current cache configuration
+     */
+    static configure(options = {}) {
+        if (options.store !== undefined) {
+            this.assertStore(options.store);
+        }
+
+        this.settings = { ...this.settings, ...options };
+        return { ...this.settings };
+    }
+
+    /**
+     * Builds the cache key for a lookup
+     * @param {string} dictionary - Dictionary identifier
+     * @param {string} from - Normalized source language
+     * @param {string} to - Normalized target language
+     * @param {string} word - Word as typed by the caller
+     * @returns {string} Cache key
+     */
+    static key(dictionary, from, to, word) {
+        return `${dictionary}:${from}-${to}:${this.normalizeWord(word)}`;
+    }
+
+    static normalizeWord(word) {
+        return String(word).normalize('NFC').trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    /**
+     * Resolves the effective settings for a call
+     * @param {boolean|Object} callOption - options.cache from the caller (false disables, true enables, object overrides)
+     * @returns {Object|null} Effective settings or null when caching is off
+     */
+    static resolve(callOption) {
+        if (callOption === false) {
+            return null;
+        }
+
+        if (callOption === true) {
+            return this.settings;
+        }
+
+        // A per-call object opts in unless it says enabled: false
+        if (typeof callOption === 'object' && callOption !== null) {
+            if (callOption.store !== undefined) {
+                this.assertStore(callOption.store);
+            }
+            return callOption.enabled === false ? null : { ...this.settings, ...callOption };
+        }
+
+        return this.settings.enabled ? this.settings : null;
+    }
+
+    /**
+     * Reads a cached result, dropping it if expired
+     * @param {Object} settings - Effective settings from resolve()
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|undefined>} Cached result
+     */
+    static async read(settings, key) {
+        try {
+            const record = await settings.store.get(key);
+            if (!record) {
+                return undefined;
+            }
+
+            if (record.expiresAt && record.expiresAt <= Date.now()) {
+                await settings.store.delete(key);
+                return undefined;
+            }
+
+            return record.value;
+        } catch (error) {
+            console.warn(`Cache read failed for ${key}:`, error.message);
+            return undefined;
+        }
+    }
+
+    /**
+     * Stores a result
+     * @param {Object} settings - Effective settings from resolve()
+     * @param {string} key - Cache key
+     * @param {Object} value - Result to cache
+     */
+    static async write(settings, key, value) {
+        try {
+            await settings.store.set(key, {
+                value,
+                expiresAt: settings.ttl > 0 ? Date.now() + settings.ttl : null
+            });
+        } catch (error) {
+            console.warn(`Cache write failed for ${key}:`, error.message);
+        }
+    }
+
+    /**
+     * Returns a cached result or loads, caches and returns a fresh one
+     * Results with an error are never cached
+     * @param {Object} lookup - { dictionary, from, to, word }
+     * @param {boolean|Object} callOption - options.cache from the caller
+     * @param {Function} loader - async () => fresh result
+     * @returns {Promise<Object>} Result flagged with fromCache
+     */
+    static async fetch({ dictionary, from, to, word }, callOption, loader) {
+        const settings = this.resolve(callOption);
+        if (!settings) {
+            return { ...(await loader()), fromCache: false };
+        }
+
+        const key = this.key(dictionary, from, to, word);
+        const cached = await this.read(settings, key);
+        if (cached) {
+            return { ...cached, fromCache: true };
+        }
+
+        const result = await loader();
+        if (!result.error) {
+            await this.write(settings, key, result);
+        }
+        return { ...result, fromCache: false };
+    }
+
+    static assertStore(store) {
+        for (const method of ['get', 'set', 'delete']) {
+            if (!store || typeof store[method] !== 'function') {
+                throw new Error('Cache store must implement get(key), set(key, value) and delete(key)');
+            }
+        }
+    }
+}
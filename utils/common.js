@@ -1,66 +1,159 @@
 // Utilidades comunes para todos los scrapers
+import {
+    NotCachedError,
+    DictionaryError,
+    UnsupportedLanguageError,
+    WordNotFoundError,
+    RateLimitedError,
+    NetworkError,
+    CorsBlockedError
+} from './errors.js';
+import { ErrorMessages } from './messages.js';
+
 export class LanguageCodes {
     static codes = {
-        // ISO 639-1 codes with long forms
-        'en': { name: 'English', native: 'English', long: 'english' },
-        'es': { name: 'Spanish', native: 'Español', long: 'spanish' },
-        'fr': { name: 'French', native: 'Français', long: 'french' },
-        'de': { name: 'German', native: 'Deutsch', long: 'german' },
-        'it': { name: 'Italian', native: 'Italiano', long: 'italian' },
-        'pt': { name: 'Portuguese', native: 'Português', long: 'portuguese' },
-        'ru': { name: 'Russian', native: 'Русский', long: 'russian' },
-        'ar': { name: 'Arabic', native: 'العربية', long: 'arabic' },
-        'zh': { name: 'Chinese', native: '中文', long: 'chinese' },
-        'ja': { name: 'Japanese', native: '日本語', long: 'japanese' },
-        'ko': { name: 'Korean', native: '한국어', long: 'korean' },
-        'nl': { name: 'Dutch', native: 'Nederlands', long: 'dutch' },
-        'pl': { name: 'Polish', native: 'Polski', long: 'polish' },
-        'sv': { name: 'Swedish', native: 'Svenska', long: 'swedish' },
-        'no': { name: 'Norwegian', native: 'Norsk', long: 'norwegian' },
-        'da': { name: 'Danish', native: 'Dansk', long: 'danish' },
-        'fi': { name: 'Finnish', native: 'Suomi', long: 'finnish' },
-        'cs': { name: 'Czech', native: 'Čeština', long: 'czech' },
-        'ro': { name: 'Romanian', native: 'Română', long: 'romanian' },
-        'tr': { name: 'Turkish', native: 'Türkçe', long: 'turkish' },
-        'he': { name: 'Hebrew', native: 'עברית', long: 'hebrew' },
-        'hi': { name: 'Hindi', native: 'हिन्दी', long: 'hindi' },
-        'th': { name: 'Thai', native: 'ไทย', long: 'thai' },
-        'vi': { name: 'Vietnamese', native: 'Tiếng Việt', long: 'vietnamese' },
-        'el': { name: 'Greek', native: 'Ελληνικά', long: 'greek' },
-        'hu': { name: 'Hungarian', native: 'Magyar', long: 'hungarian' },
-        'bg': { name: 'Bulgarian', native: 'Български', long: 'bulgarian' },
-        'hr': { name: 'Croatian', native: 'Hrvatski', long: 'croatian' },
-        'sk': { name: 'Slovak', native: 'Slovenčina', long: 'slovak' },
-        'sl': { name: 'Slovenian', native: 'Slovenščina', long: 'slovenian' },
-        'et': { name: 'Estonian', native: 'Eesti', long: 'estonian' },
-        'lv': { name: 'Latvian', native: 'Latviešu', long: 'latvian' },
-        'lt': { name: 'Lithuanian', native: 'Lietuvių', long: 'lithuanian' },
-        'mt': { name: 'Maltese', native: 'Malti', long: 'maltese' }
+        // ISO 639-1 codes with long forms and ISO 639-2 (B/T) / 639-3 codes
+        'en': { name: 'English', native: 'English', long: 'english', iso3: ['eng'] },
+        'es': { name: 'Spanish', native: 'Español', long: 'spanish', iso3: ['spa'] },
+        'fr': { name: 'French', native: 'Français', long: 'french', iso3: ['fra', 'fre'] },
+        'de': { name: 'German', native: 'Deutsch', long: 'german', iso3: ['deu', 'ger'] },
+        'it': { name: 'Italian', native: 'Italiano', long: 'italian', iso3: ['ita'] },
+        'pt': { name: 'Portuguese', native: 'Português', long: 'portuguese', iso3: ['por'] },
+        'ru': { name: 'Russian', native: 'Русский', long: 'russian', iso3: ['rus'] },
+        'ar': { name: 'Arabic', native: 'العربية', long: 'arabic', iso3: ['ara'] },
+        'zh': { name: 'Chinese', native: '中文', long: 'chinese', iso3: ['zho', 'chi', 'cmn'] },
+        'ja': { name: 'Japanese', native: '日本語', long: 'japanese', iso3: ['jpn'] },
+        'ko': { name: 'Korean', native: '한국어', long: 'korean', iso3: ['kor'] },
+        'nl': { name: 'Dutch', native: 'Nederlands', long: 'dutch', iso3: ['nld', 'dut'] },
+        'pl': { name: 'Polish', native: 'Polski', long: 'polish', iso3: ['pol'] },
+        'sv': { name: 'Swedish', native: 'Svenska', long: 'swedish', iso3: ['swe'] },
+        'no': { name: 'Norwegian', native: 'Norsk', long: 'norwegian', iso3: ['nor', 'nob', 'nno'] },
+        'da': { name: 'Danish', native: 'Dansk', long: 'danish', iso3: ['dan'] },
+        'fi': { name: 'Finnish', native: 'Suomi', long: 'finnish', iso3: ['fin'] },
+        'cs': { name: 'Czech', native: 'Čeština', long: 'czech', iso3: ['ces', 'cze'] },
+        'ro': { name: 'Romanian', native: 'Română', long: 'romanian', iso3: ['ron', 'rum'] },
+        'tr': { name: 'Turkish', native: 'Türkçe', long: 'turkish', iso3: ['tur'] },
+        'he': { name: 'Hebrew', native: 'עברית', long: 'hebrew', iso3: ['heb'] },
+        'hi': { name: 'Hindi', native: 'हिन्दी', long: 'hindi', iso3: ['hin'] },
+        'th': { name: 'Thai', native: 'ไทย', long: 'thai', iso3: ['tha'] },
+        'vi': { name: 'Vietnamese', native: 'Tiếng Việt', long: 'vietnamese', iso3: ['vie'] },
+        'el': { name: 'Greek', native: 'Ελληνικά', long: 'greek', iso3: ['ell', 'gre'] },
+        'hu': { name: 'Hungarian', native: 'Magyar', long: 'hungarian', iso3: ['hun'] },
+        'bg': { name: 'Bulgarian', native: 'Български', long: 'bulgarian', iso3: ['bul'] },
+        'hr': { name: 'Croatian', native: 'Hrvatski', long: 'croatian', iso3: ['hrv'] },
+        'sk': { name: 'Slovak', native: 'Slovenčina', long: 'slovak', iso3: ['slk', 'slo'] },
+        'sl': { name: 'Slovenian', native: 'Slovenščina', long: 'slovenian', iso3: ['slv'] },
+        'et': { name: 'Estonian', native: 'Eesti', long: 'estonian', iso3: ['est', 'ekk'] },
+        'lv': { name: 'Latvian', native: 'Latviešu', long: 'latvian', iso3: ['lav', 'lvs'] },
+        'lt': { name: 'Lithuanian', native: 'Lietuvių', long: 'lithuanian', iso3: ['lit'] },
+        'mt': { name: 'Maltese', native: 'Malti', long: 'maltese', iso3: ['mlt'] }
     };
 
+    // Deprecated or individual-language codes that map to a supported code
+    static ALIASES = { iw: 'he', nb: 'no', nn: 'no' };
+
     /**
      * Normalizes language code to short form (ISO 639-1)
-     * @param {string} code - Language code (short or long form)
+     * Accepts ISO 639-1/2/3 codes ('es', 'spa'), BCP-47 tags ('pt-BR', 'en_GB', 'zh-Hant-TW'),
+     * English names ('Spanish') and native names ('español', 'Deutsch')
+     * @param {string} code - Language code, tag or name
      * @returns {string|null} Normalized short code or null if not found
      */
     static normalize(code) {
-        const lowerCode = code.toLowerCase();
-        
-        // Check if it's already a short code
-        if (this.codes[lowerCode]) {
-            return lowerCode;
+        return this.parse(code)?.code ?? null;
+    }
+
+    /**
+     * Parses a language code or tag, keeping script and region subtags as metadata
+     * Variant and extension subtags are ignored
+     * @param {string} input - Language code, tag or name
+     * @returns {Object|null} { code, script, region, tag } (e.g., { code: 'pt', script: null, region: 'BR', tag: 'pt-BR' }) or null
+     */
+    static parse(input) {
+        if (typeof input !== 'string' || !input.trim()) {
+            return null;
         }
-        
-        // Check if it's a long form
-        for (const [shortCode, data] of Object.entries(this.codes)) {
-            if (data.long === lowerCode || data.name.toLowerCase() === lowerCode) {
-                return shortCode;
+
+        // Whole input first, so names with spaces ('Tiếng Việt') still match
+        const named = this.lookup(input.trim());
+        if (named) {
+            return { code: named, script: null, region: null, tag: named };
+        }
+
+        const [primary, ...subtags] = input.trim().split(/[-_]/);
+        const code = this.lookup(primary);
+        if (!code) {
+            return null;
+        }
+
+        let script = null;
+        let region = null;
+        for (const subtag of subtags) {
+            // Extensions and private use ('-u-...', '-x-...') end the part we read
+            if (subtag.length === 1) break;
+
+            if (!script && !region && /^[a-z]{4}$/i.test(subtag)) {
+                script = subtag[0].toUpperCase() + subtag.slice(1).toLowerCase();
+            } else if (!region && /^([a-z]{2}|\d{3})$/i.test(subtag)) {
+                region = subtag.toUpperCase();
+            }
+        }
+
+        return { code, script, region, tag: [code, script, region].filter(Boolean).join('-') };
+    }
+
+    /**
+     * Suggests supported languages for an unrecognized input ("did you mean")
+     * @param {string} input - Unrecognized language code or name
+     * @param {number} limit - Maximum suggestions (default 3)
+     * @returns {Array<string>} Short codes, closest first
+     */
+    static suggest(input, limit = 3) {
+        if (typeof input !== 'string') {
+            return [];
+        }
+
+        const folded = this.fold(input.trim().split(/[-_]/)[0]);
+        if (!folded) {
+            return [];
+        }
+
+        // Allow one typo per four letters (at least one)
+        const maxDistance = Math.max(1, Math.floor(folded.length / 4));
+
+        return Object.entries(this.codes)
+            .map(([code, data]) => [code, Math.min(...[code, ...data.iso3, data.long, data.name, data.native]
+                .map(form => TextProcessor.editDistance(folded, this.fold(form))))])
+            .filter(([, distance]) => distance <= maxDistance)
+            .sort((a, b) => a[1] - b[1])
+            .slice(0, limit)
+            .map(([code]) => code);
+    }
+
+    // Supported code for a single code or name, or null
+    static lookup(value) {
+        const lower = value.toLowerCase();
+        if (this.codes[lower]) {
+            return lower;
+        }
+        if (this.ALIASES[lower]) {
+            return this.ALIASES[lower];
+        }
+
+        const folded = this.fold(value);
+        for (const [code, data] of Object.entries(this.codes)) {
+            if (data.iso3.includes(lower) || data.long === lower || this.fold(data.name) === folded || this.fold(data.native) === folded) {
+                return code;
             }
         }
-        
         return null;
     }
 
+    // Lower-cased, without diacritics ('Español' -> 'espanol')
+    static fold(text) {
+        return text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+    }
+
     static getName(code) {
         return this.codes[code]?.name || code;
     }
@@ -78,7 +171,188 @@ export class LanguageCodes {
     }
 }
 
+/**
+ * Safe parser for JavaScript literals embedded in scraped pages (e.g. var audioFiles = {...})
+ * Accepts objects, arrays, single- or double-quoted strings, numbers, true, false, null and
+ * unquoted keys; anything else (identifiers, calls, expressions) is a SyntaxError, so page
+ * scripts are never executed
+ */
+export class LiteralParser {
+    static KEYWORDS = { true: true, false: false, null: null, undefined: undefined };
+
+    static ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+    static MAX_DEPTH = 32;
+
+    /**
+     * Parses a literal
+     * @param {string} source - Literal source text
+     * @returns {*} Parsed value
+     * @throws {SyntaxError} If the text is not a plain literal
+     */
+    static parse(source) {
+        const state = { text: String(source), index: 0 };
+        const value = this.parseValue(state, 0);
+        this.skipWhitespace(state);
+        if (state.index < state.text.length) {
+            throw this.error(state, 'Unexpected input after literal');
+        }
+        return value;
+    }
+
+    static parseValue(state, depth) {
+        if (depth > this.MAX_DEPTH) {
+            throw this.error(state, 'Literal is nested too deeply');
+        }
+
+        this.skipWhitespace(state);
+        const char = state.text[state.index];
+
+        if (char === '{') return this.parseObject(state, depth);
+        if (char === '[') return this.parseArray(state, depth);
+        if (char === '"' || char === "'") return this.parseString(state);
+
+        const rest = state.text.slice(state.index);
+        const number = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/.exec(rest);
+        if (number) {
+            state.index += number[0].length;
+            return Number(number[0]);
+        }
+
+        const word = /^[A-Za-z_$][\w$]*/.exec(rest);
+        if (word && Object.hasOwn(this.KEYWORDS, word[0])) {
+            state.index += word[0].length;
+            return this.KEYWORDS[word[0]];
+        }
+
+        throw this.error(state, `Unexpected ${char === undefined ? 'end of input' : `'${char}'`}`);
+    }
+
+    static parseObject(state, depth) {
+        const result = {};
+        state.index++;
+
+        while (!this.consume(state, '}')) {
+            this.skipWhitespace(state);
+            const char = state.text[state.index];
+            let key;
+            if (char === '"' || char === "'") {
+                key = this.parseString(state);
+            } else {
+                const name = /^[\w$]+/.exec(state.text.slice(state.index));
+                if (!name) {
+                    throw this.error(state, 'Expected a property name');
+                }
+                key = name[0];
+                state.index += key.length;
+            }
+
+            if (!this.consume(state, ':')) {
+                throw this.error(state, "Expected ':'");
+            }
+
+            // defineProperty so keys like __proto__ stay plain data
+            Object.defineProperty(result, key, { value: this.parseValue(state, depth + 1), enumerable: true, writable: true, configurable: true });
+
+            if (!this.consume(state, ',') && !this.peek(state, '}')) {
+                throw this.error(state, "Expected ',' or '}'");
+            }
+        }
+
+        return result;
+    }
+
+    static parseArray(state, depth) {
+        const result = [];
+        state.index++;
+
+        while (!this.consume(state, ']')) {
+            result.push(this.parseValue(state, depth + 1));
+            if (!this.consume(state, ',') && !this.peek(state, ']')) {
+                throw this.error(state, "Expected ',' or ']'");
+            }
+        }
+
+        return result;
+    }
+
+    static parseString(state) {
+        const quote = state.text[state.index++];
+        let value = '';
+
+        while (state.index < state.text.length) {
+            const char = state.text[state.index++];
+            if (char === quote) {
+                return value;
+            }
+            if (char !== '\\') {
+                value += char;
+                continue;
+            }
+
+            const escaped = state.text[state.index++];
+            const hex = escaped === 'u' ? 4 : escaped === 'x' ? 2 : 0;
+            if (hex) {
+                const digits = state.text.slice(state.index, state.index + hex);
+                if (!new RegExp(`^[0-9a-fA-F]{${hex}}$`).test(digits)) {
+                    throw this.error(state, 'Invalid escape sequence');
+                }
+                value += String.fromCharCode(parseInt(digits, 16));
+                state.index += hex;
+            } else if (escaped !== undefined) {
+                value += this.ESCAPES[escaped] ?? escaped;
+            }
+        }
+
+        throw this.error(state, 'Unterminated string');
+    }
+
+    static skipWhitespace(state) {
+        while (/\s/.test(state.text[state.index] || '')) {
+            state.index++;
+        }
+    }
+
+    static consume(state, char) {
+        this.skipWhitespace(state);
+        if (state.text[state.index] === char) {
+            state.index++;
+            return true;
+        }
+        return false;
+    }
+
+    static peek(state, char) {
+        this.skipWhitespace(state);
+        return state.text[state.index] === char;
+    }
+
+    static error(state, message) {
+        return new SyntaxError(`${message} at position ${state.index}`);
+    }
+}
+
 export class AudioExtractor {
+    // Variantes de pronunciación: claves de audioFiles, carpetas de las rutas y códigos de Linguee (EN_US)
+    static ACCENTS = {
+        us: { region: 'US', accent: 'American' },
+        south: { region: 'US', accent: 'Southern US' },
+        uk: { region: 'UK', accent: 'British' },
+        gb: { region: 'UK', accent: 'British' },
+        rp: { region: 'UK', accent: 'British (RP)' },
+        yorkshire: { region: 'UK', accent: 'Yorkshire' },
+        scot: { region: 'UK', accent: 'Scottish' },
+        irish: { region: 'IE', accent: 'Irish' },
+        aus: { region: 'AU', accent: 'Australian' },
+        jamaica: { region: 'JM', accent: 'Jamaican' },
+        canada: { region: 'CA', accent: 'Canadian' },
+        spain: { region: 'ES', accent: 'Castilian' },
+        mexico: { region: 'MX', accent: 'Mexican' },
+        argentina: { region: 'AR', accent: 'Rioplatense' }
+    };
+
+    static FORMATS = { 'audio/mpeg': 'mp3', 'audio/ogg': 'ogg', 'audio/wav': 'wav', 'audio/mp4': 'm4a' };
+
     /**
      * Extrae enlaces de audio de diferentes fuentes
      * @param {string} html - HTML del sitio
@@ -97,24 +371,7 @@ export class AudioExtractor {
     }
 
     static extractWordReferenceAudio(html) {
-        const audioLinks = [];
-
-        // Patrón para archivos de audio en JavaScript
-        const audioPattern = /var\s+audioFiles\s*=\s*({[^}]+})/g;
-        const match = audioPattern.exec(html);
-
-        if (match) {
-            try {
-                const audioObj = eval(`(${match[1]})`);
-                for (const [key, value] of Object.entries(audioObj)) {
-                    if (typeof value === 'string' && value.startsWith('/')) {
-                        audioLinks.push(`https://www.wordreference.com${value}`);
-                    }
-                }
-            } catch (error) {
-                console.warn('Error parsing audio object:', error);
-            }
-        }
+        const audioLinks = this.extractWordReferenceAudioEntries(html).map(entry => entry.url);
 
         // Patrón alternativo para enlaces directos
         const directPattern = /\/audio\/[^"'\s]+\.mp3/g;
@@ -129,6 +386,124 @@ export class AudioExtractor {
         return audioLinks;
     }
 
+    /**
+     * Extrae los audios de WordReference con su variante de pronunciación
+     * Lee el literal `audioFiles = {...}` (u array) con LiteralParser, nunca con eval
+     * @param {string} html - HTML de WordReference
+     * @returns {Array<Object>} { url, region, accent, format } con URLs absolutas
+     */
+    static extractWordReferenceAudioEntries(html) {
+        const match = /audioFiles\s*=\s*(\{[^}]*\}|\[[^\]]*\])/.exec(html);
+        if (!match) {
+            return [];
+        }
+
+        let files;
+        try {
+            files = LiteralParser.parse(match[1]);
+        } catch (error) {
+            console.warn('Error parsing audio object:', error.message);
+            return [];
+        }
+
+        const entries = [];
+        for (const [key, value] of Object.entries(files)) {
+            if (typeof value !== 'string' || !/\/audio\//.test(value)) {
+                continue;
+            }
+
+            const url = this.resolveUrl(value, 'https://www.wordreference.com');
+            if (url && !entries.some(entry => entry.url === url)) {
+                // Las carpetas tras /audio/<idioma>/ y la clave del objeto indican la variante
+                const folders = new URL(url).pathname.split('/').slice(3, -1);
+                const tokens = Array.isArray(files) ? folders : [...folders, ...key.split(/[^a-zA-Z]+/)];
+                entries.push({ url, ...this.describeAccent(tokens), format: this.getFormat(url) });
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Extrae los audios de un lema de Linguee (elementos <audio> y llamadas playSound)
+     * @param {CheerioAPI} $ - Página cargada
+     * @param {Cheerio} $scope - Elemento donde buscar
+     * @returns {Array<Object>} { url, region, accent, format } con URLs absolutas
+     */
+    static extractLingueeAudioEntries($, $scope) {
+        const sources = [];
+
+        $scope.find('audio source').each((_, element) => {
+            sources.push({ path: $(element).attr('src'), type: $(element).attr('type') });
+        });
+
+        // playSound(this, "EN_US/5f/5f7f...-101", "EN_UK/...")
+        $scope.find('[onclick*="playSound"]').each((_, element) => {
+            const args = $(element).attr('onclick').match(/"([^"]+)"|'([^']+)'/g) || [];
+            for (const arg of args) {
+                const path = arg.slice(1, -1);
+                if (/^[A-Z]{2}_[A-Z]{2}\//.test(path) || path.includes('.mp3')) {
+                    sources.push({ path });
+                }
+            }
+        });
+
+        const entries = [];
+        for (const { path, type } of sources) {
+            if (!path) continue;
+
+            const relative = /^[A-Z]{2}_[A-Z]{2}\//.test(path) && !/\.\w{3,4}$/.test(path) ? `${path}.mp3` : path;
+            const url = this.resolveUrl(relative, 'https://www.linguee.com/mp3/');
+            if (!url || entries.some(entry => entry.url === url)) continue;
+
+            const code = /(?:^|\/)[A-Z]{2}_([A-Z]{2})\//.exec(path)?.[1];
+            const accent = code ? this.describeAccent([code]) : { region: null, accent: null };
+            entries.push({
+                url,
+                region: accent.region ?? code?.replace('GB', 'UK') ?? null,
+                accent: accent.accent,
+                format: this.FORMATS[type] || this.getFormat(url)
+            });
+        }
+
+        return entries;
+    }
+
+    /**
+     * Región y acento a partir de las etiquetas de una ruta o clave; las más específicas
+     * (posteriores) prevalecen, p. ej. ['uk', 'rp'] => British (RP)
+     * @param {Array<string>} tokens - Etiquetas
+     * @returns {Object} { region, accent } (null si no se reconoce ninguna)
+     */
+    static describeAccent(tokens) {
+        let described = { region: null, accent: null };
+        for (const token of tokens) {
+            const accent = this.ACCENTS[String(token).toLowerCase()];
+            if (accent) {
+                described = accent;
+            }
+        }
+        return { ...described };
+    }
+
+    /**
+     * Convierte una ruta relativa en URL absoluta
+     * @param {string} url - URL o ruta
+     * @param {string} base - URL base del sitio
+     * @returns {string|null} URL absoluta o null si no es válida
+     */
+    static resolveUrl(url, base) {
+        try {
+            return new URL(url, base).href;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static getFormat(url) {
+        return /\.(mp3|ogg|wav|m4a|aac|webm)(?:[?#]|$)/i.exec(url)?.[1].toLowerCase() ?? null;
+    }
+
     static extractCambridgeAudio(html) {
         const audioLinks = [];
         const pattern = /data-src-mp3="([^"]+)"/g;
@@ -146,14 +521,18 @@ export class TextProcessor {
     /**
      * Limpia y normaliza texto extraído de HTML
      * @param {string} text - Texto a limpiar
+     * @param {Object} options - keepPunctuation: solo normaliza los espacios (definiciones, ejemplos, listas)
      * @returns {string} Texto limpio
      */
-    static cleanText(text) {
+    static cleanText(text, { keepPunctuation = false } = {}) {
         if (!text) return '';
 
-        return text
+        const spaced = text
             .replace(/\s+/g, ' ')           // Múltiples espacios a uno solo
-            .replace(/^\s+|\s+$/g, '')      // Eliminar espacios al inicio y final
+            .replace(/^\s+|\s+$/g, '');     // Eliminar espacios al inicio y final
+        if (keepPunctuation) return spaced;
+
+        return spaced
             .replace(/[^\w\s\u00C0-\u017F\u0400-\u04FF\u4E00-\u9FFF\u3040-\u309F\u30A0-\u30FF\u0590-\u05FF\u0600-\u06FF]/g, '') // Mantener solo caracteres válidos
             .trim();
     }
@@ -201,6 +580,27 @@ export class TextProcessor {
         return normalized;
     }
 
+    /**
+     * Distancia de edición (Levenshtein) entre dos textos
+     * @param {string} a - Primer texto
+     * @param {string} b - Segundo texto
+     * @returns {number} Inserciones, borrados o sustituciones necesarias
+     */
+    static editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
     /**
      * Divide texto en oraciones
      * @param {string} text - Texto a dividir
@@ -216,12 +616,113 @@ export class TextProcessor {
     }
 }
 
+/**
+ * Spelling suggestions ("did you mean") on dictionary no-result pages
+ */
+export class SuggestionExtractor {
+    // Labels that introduce a suggestion list, in the languages the sites are served in
+    static LABELS = /did you mean|similar words|quisiste decir|quiso decir|vouliez-vous dire|meinten sie|intendevi|você quis dizer/i;
+
+    static MAX_SUGGESTIONS = 10;
+
+    /**
+     * Collects suggested words from a parsed page
+     * Links matched by the site selectors come first, then links inside any element
+     * whose own text is a "did you mean" label
+     * @param {CheerioAPI} $ - Loaded page
+     * @param {Array<string>} selectors - Site-specific selectors for suggestion links
+     * @param {string} inputWord - Word that was looked up (never suggested back)
+     * @returns {Array<string>} Unique suggestions in page order
+     */
+    static extract($, selectors, inputWord) {
+        const links = $(selectors.join(', ')).toArray();
+
+        $('body *').each((_, element) => {
+            const ownText = $(element).contents().filter((__, node) => node.type === 'text').text();
+            if (this.LABELS.test(ownText)) {
+                links.push(...$(element).find('a').toArray());
+            }
+        });
+
+        const input = String(inputWord || '').trim().toLowerCase();
+        const suggestions = [];
+        for (const link of links) {
+            const text = $(link).text().replace(/\s+/g, ' ').trim();
+            if (text && text.length <= 50 && text.toLowerCase() !== input && !suggestions.includes(text)) {
+                suggestions.push(text);
+            }
+        }
+
+        return suggestions.slice(0, this.MAX_SUGGESTIONS);
+    }
+}
+
+export class PronunciationExtractor {
+    // Optional region label ("UK:", "US") followed by a transcription between slashes or brackets
+    static PATTERN = /(?:\b(UK|GB|US|AU|IE|CA)\b\s*:?\s*)?[\/\[]([^\/\[\]]+)[\/\]]/g;
+
+    /**
+     * Parses IPA transcriptions out of a pronunciation header
+     * e.g. "UK: /haʊs/, US: /haʊs/" => [{ ipa: 'haʊs', region: 'UK' }, { ipa: 'haʊs', region: 'US' }]
+     * @param {string} text - Header text
+     * @returns {Array<Object>} { ipa, region } in page order; region is null when unlabelled
+     */
+    static parse(text) {
+        const pronunciations = [];
+        for (const [, label, transcription] of String(text || '').matchAll(this.PATTERN)) {
+            const ipa = transcription.replace(/\s+/g, ' ').trim();
+            if (ipa) {
+                pronunciations.push({ ipa, region: label ? label.toUpperCase().replace('GB', 'UK') : null });
+            }
+        }
+        return pronunciations;
+    }
+
+    /**
+     * Collects pronunciations from the elements matched by the selectors, without duplicates
+     * @param {CheerioAPI} $ - Loaded page
+     * @param {Cheerio|null} $scope - Element to search in (null for the whole page)
+     * @param {Array<string>} selectors - Site-specific pronunciation selectors
+     * @returns {Array<Object>} { ipa, region }
+     */
+    static extract($, $scope, selectors) {
+        const elements = $scope ? $scope.find(selectors.join(', ')) : $(selectors.join(', '));
+        const pronunciations = [];
+
+        // Nested matches (a widget and its inner span) are read once through the outermost element
+        elements.filter((_, element) => $(element).parents(selectors.join(', ')).length === 0).each((_, element) => {
+            for (const pronunciation of this.parse($(element).text())) {
+                if (!pronunciations.some(p => p.ipa === pronunciation.ipa && p.region === pronunciation.region)) {
+                    pronunciations.push(pronunciation);
+                }
+            }
+        });
+
+        return pronunciations;
+    }
+}
+
 export class RateLimiter {
-    constructor(requestsPerSecond = 1) {
-        this.requestsPerSecond = requestsPerSecond;
-        this.lastRequestTime = 0;
+    /**
+     * Token bucket rate limiter with an optional concurrency cap
+     * @param {number|Object} requestsPerSecond - Requests per second, or an options object
+     * @param {Object} options - Limiter options
+     * @param {number} options.burst - Requests allowed back-to-back before throttling (default 1)
+     * @param {number} options.maxConcurrent - Maximum requests in flight (default unlimited)
+     */
+    constructor(requestsPerSecond = 1, options = {}) {
+        const settings = typeof requestsPerSecond === 'object'
+            ? requestsPerSecond
+            : { ...options, requestsPerSecond };
+
+        this.requestsPerSecond = settings.requestsPerSecond ?? 1;
+        this.burst = Math.max(1, settings.burst ?? 1);
+        this.maxConcurrent = settings.maxConcurrent ?? Infinity;
+        this.tokens = this.burst;
+        this.lastRefill = Date.now();
+        this.active = 0;
         this.queue = [];
-        this.processing = false;
+        this.timer = null;
     }
 
     /**
@@ -230,43 +731,92 @@ export class RateLimiter {
      * @returns {Promise} Resultado de la función
      */
     async execute(fn) {
+        const { release } = await this.acquire();
+        try {
+            return await fn();
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Waits for a token and a concurrency slot
+     * Aborting the signal while waiting leaves the queue and rejects with a CANCELLED error
+     * without spending a token or a slot
+     * @param {AbortSignal} signal - Optional signal that cancels the wait
+     * @returns {Promise<Object>} { waitMs, release } - call release() when the request finishes
+     */
+    acquire(signal) {
+        const queuedAt = Date.now();
         return new Promise((resolve, reject) => {
-            this.queue.push({ fn, resolve, reject });
+            if (signal?.aborted) {
+                reject(RateLimiter.cancelledError());
+                return;
+            }
+
+            const onAbort = () => {
+                const index = this.queue.indexOf(grant);
+                if (index !== -1) {
+                    this.queue.splice(index, 1);
+                    reject(RateLimiter.cancelledError());
+                }
+            };
+
+            const grant = () => {
+                signal?.removeEventListener('abort', onAbort);
+                let released = false;
+                resolve({
+                    waitMs: Date.now() - queuedAt,
+                    release: () => {
+                        if (released) return;
+                        released = true;
+                        this.active--;
+                        this.processQueue();
+                    }
+                });
+            };
+
+            signal?.addEventListener('abort', onAbort, { once: true });
+            this.queue.push(grant);
             this.processQueue();
         });
     }
 
-    async processQueue() {
-        if (this.processing || this.queue.length === 0) {
+    static cancelledError() {
+        return new DictionaryError('Request was cancelled while waiting for the rate limiter', { code: 'CANCELLED' });
+    }
+
+    refill() {
+        if (!Number.isFinite(this.requestsPerSecond) || this.requestsPerSecond <= 0) {
+            this.tokens = this.burst;
             return;
         }
 
-        this.processing = true;
-
-        while (this.queue.length > 0) {
-            const now = Date.now();
-            const timeSinceLastRequest = now - this.lastRequestTime;
-            const minInterval = 1000 / this.requestsPerSecond;
-
-            if (timeSinceLastRequest < minInterval) {
-                await new Promise(resolve =>
-                    setTimeout(resolve, minInterval - timeSinceLastRequest)
-                );
-            }
+        const now = Date.now();
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.lastRefill) * this.requestsPerSecond / 1000);
+        this.lastRefill = now;
+    }
 
-            const { fn, resolve, reject } = this.queue.shift();
+    processQueue() {
+        while (this.queue.length > 0 && this.active < this.maxConcurrent) {
+            this.refill();
 
-            try {
-                const result = await fn();
-                resolve(result);
-            } catch (error) {
-                reject(error);
+            if (this.tokens < 1) {
+                // Wake up when the next token is available
+                if (!this.timer) {
+                    const delay = Math.ceil((1 - this.tokens) * 1000 / this.requestsPerSecond);
+                    this.timer = setTimeout(() => {
+                        this.timer = null;
+                        this.processQueue();
+                    }, delay);
+                }
+                return;
             }
 
-            this.lastRequestTime = Date.now();
+            this.tokens--;
+            this.active++;
+            this.queue.shift()();
         }
-
-        this.processing = false;
     }
 }
 
@@ -276,38 +826,75 @@ export class ErrorHandler {
      * @param {Error} error - Error a manejar
      * @param {string} source - Fuente del error
      * @param {string} word - Palabra que se estaba procesando
+     * @param {Object} options - Opciones
+     * @param {string} options.locale - Idioma del mensaje (por defecto ErrorMessages.locale)
      * @returns {Object} Objeto de error estandarizado
      */
-    static handleScrapingError(error, source, word) {
+    static handleScrapingError(error, source, word, options = {}) {
         let errorType = 'unknown';
-        let userMessage = 'Error desconocido';
 
-        if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
+        if (error instanceof DictionaryError && ErrorMessages.typeForCode(error.code)) {
+            errorType = ErrorMessages.typeForCode(error.code);
+        } else if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
             errorType = 'network';
-            userMessage = 'Error de conexión de red';
         } else if (error.response?.status === 404) {
             errorType = 'not-found';
-            userMessage = 'Palabra no encontrada';
         } else if (error.response?.status === 429) {
             errorType = 'rate-limit';
-            userMessage = 'Demasiadas solicitudes, intenta más tarde';
         } else if (error.response?.status >= 500) {
             errorType = 'server-error';
-            userMessage = 'Error del servidor';
-        } else if (error.message.includes('timeout')) {
+        } else if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || error.message.includes('timeout')) {
             errorType = 'timeout';
-            userMessage = 'Tiempo de espera agotado';
         }
 
         return {
             type: errorType,
-            message: userMessage,
+            message: ErrorMessages.get(errorType, options.locale),
             originalError: error.message,
             source: source,
             word: word,
             timestamp: new Date().toISOString()
         };
     }
+
+    /**
+     * Converts a request or scraping error into its typed DictionaryError
+     * @param {Error} error - Error to convert
+     * @param {string} source - Dictionary identifier
+     * @param {string} word - Word being processed
+     * @returns {DictionaryError} Typed error (DictionaryErrors keep their class)
+     */
+    static toDictionaryError(error, source, word) {
+        if (error instanceof DictionaryError) {
+            return error;
+        }
+
+        const details = { source, word, cause: error, status: error.response?.status ?? null };
+        if (error.code === 'ERR_CANCELED') {
+            return new DictionaryError(error.message, { ...details, code: 'CANCELLED' });
+        }
+        if (/CORS|cross-origin/i.test(error.message)) {
+            return new CorsBlockedError(error.message, details);
+        }
+
+        switch (this.handleScrapingError(error, source, word).type) {
+            case 'not-found':
+                return new WordNotFoundError(error.message, details);
+            case 'rate-limit':
+                return new RateLimitedError(error.message, {
+                    ...details,
+                    retryAfter: RequestHandler.parseRetryAfter(error.response?.headers?.['retry-after'])
+                });
+            case 'timeout':
+                return new NetworkError(error.message, { ...details, code: 'TIMEOUT' });
+            case 'server-error':
+                return new NetworkError(error.message, { ...details, code: 'SERVER_ERROR' });
+            case 'network':
+                return new NetworkError(error.message, details);
+            default:
+                return new DictionaryError(error.message, details);
+        }
+    }
 }
 
 /**
@@ -322,23 +909,233 @@ export class RequestHandler {
         'https://api.codetabs.com/v1/proxy?quest='
     ];
 
+    // Retry defaults: no retries unless requested, exponential backoff from 500ms
+    static RETRY_DEFAULTS = {
+        retries: 0,
+        retryDelay: 500,
+        maxRetryDelay: 30000
+    };
+
+    // Error categories (from ErrorHandler.handleScrapingError) worth retrying
+    static RETRYABLE_ERRORS = ['timeout', 'server-error', 'rate-limit'];
+
+    // Offline mode: no network requests at all, results come only from the cache
+    static offline = false;
+
+    // Polite per-host limits; 'default' applies to every other host (including CORS proxies)
+    static DEFAULT_RATE_LIMITS = {
+        default: { requestsPerSecond: 2, burst: 2, maxConcurrent: 4 },
+        'www.wordreference.com': { requestsPerSecond: 2, burst: 3, maxConcurrent: 2 },
+        'www.linguee.com': { requestsPerSecond: 1, burst: 1, maxConcurrent: 1 }
+    };
+
+    static rateLimits = { ...this.DEFAULT_RATE_LIMITS };
+    static rateLimiters = new Map();
+
+    /**
+     * Updates per-host rate limits
+     * @param {Object} limits - Host (or 'default') => { requestsPerSecond, burst, maxConcurrent }, or false to disable
+     * @returns {Object} Current rate limits
+     */
+    static configureRateLimits(limits = {}) {
+        for (const [host, limit] of Object.entries(limits)) {
+            this.rateLimits[host] = limit ? { ...this.rateLimits[host], ...limit } : false;
+        }
+
+        // Limiters are rebuilt lazily with the new settings
+        this.rateLimiters.clear();
+        return { ...this.rateLimits };
+    }
+
+    /**
+     * Gets the rate limiter for a URL's host
+     * @param {string} url - Request URL
+     * @returns {RateLimiter|null} Limiter or null if the host is not limited
+     */
+    static getRateLimiter(url) {
+        const host = new URL(url).host;
+        if (!this.rateLimiters.has(host)) {
+            const limit = this.rateLimits[host] ?? this.rateLimits.default;
+            this.rateLimiters.set(host, limit ? new RateLimiter(limit) : null);
+        }
+        return this.rateLimiters.get(host);
+    }
+
+    /**
+     * Runs a request once the host's rate limiter allows it
+     * @param {string} url - Request URL (its host selects the limiter)
+     * @param {Object} stats - Optional stats object; rateLimitWaitMs is incremented
+     * @param {Function} fn - async () => response
+     * @param {AbortSignal} signal - Optional signal that cancels the wait for the limiter
+     * @returns {Promise<*>} Result of fn
+     */
+    static async withRateLimit(url, stats, fn, signal) {
+        const limiter = this.getRateLimiter(url);
+        if (!limiter) {
+            return await fn();
+        }
+
+        const { waitMs, release } = await limiter.acquire(signal);
+        if (stats) {
+            stats.rateLimitWaitMs = (stats.rateLimitWaitMs || 0) + waitMs;
+        }
+
+        try {
+            return await fn();
+        } finally {
+            release();
+        }
+    }
+
     /**
      * Makes a simple HTTP request without headers, with CORS fallback for browsers
+     * Failed requests are retried with exponential backoff and jitter when options.retries > 0
      * @param {string} url - Target URL
      * @param {Object} options - Request options (optional)
-     * @returns {Promise<string>} Response HTML
+     * @param {number} options.timeout - Request timeout in milliseconds (default 10000)
+     * @param {number} options.retries - Retry attempts for timeouts, server errors and rate limits (default 0)
+     * @param {number} options.retryDelay - Base backoff delay in milliseconds (default 500)
+     * @param {number} options.maxRetryDelay - Upper bound for a single backoff delay in milliseconds (default 30000)
+     * @param {Object} options.stats - Optional object that receives requests, retries and rateLimitWaitMs counters
+     * @param {AbortSignal} options.signal - Cancels the request (also while waiting for the rate limiter or a retry)
+     * @param {string} options.responseType - 'arraybuffer' for binary files (audio)
+     * @returns {Promise<string|ArrayBuffer|Buffer>} Response HTML, or the bytes for responseType 'arraybuffer'
      */
     static async makeRequest(url, options = {}) {
+        if (this.offline) {
+            throw new NotCachedError(`Offline mode is enabled, refusing to request ${url}`);
+        }
+
+        const { retries, retryDelay, maxRetryDelay, stats, ...requestOptions } = { ...this.RETRY_DEFAULTS, ...options };
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.withRateLimit(url, stats, () => {
+                    if (requestOptions.signal?.aborted) {
+                        throw new DictionaryError(`Request to ${url} was cancelled`, { code: 'CANCELLED' });
+                    }
+                    if (stats) stats.requests = (stats.requests || 0) + 1;
+                    return this.sendRequest(url, { ...requestOptions, stats });
+                }, requestOptions.signal);
+            } catch (error) {
+                const delay = attempt < retries ? this.getRetryDelay(error, attempt, retryDelay, maxRetryDelay) : null;
+                if (delay === null) {
+                    throw error;
+                }
+
+                if (stats) stats.retries = (stats.retries || 0) + 1;
+
+                console.warn(`Retrying ${url} in ${delay}ms (attempt ${attempt + 1}/${retries}): ${error.message}`);
+                await this.sleep(delay, requestOptions.signal, url);
+            }
+        }
+    }
+
+    /**
+     * Waits before a retry; aborting the signal ends the wait with a CANCELLED error
+     * @param {number} delay - Delay in milliseconds
+     * @param {AbortSignal} signal - Optional cancellation signal
+     * @param {string} url - Request URL (for the error message)
+     * @returns {Promise<void>}
+     */
+    static sleep(delay, signal, url) {
+        return new Promise((resolve, reject) => {
+            const cancel = () => {
+                clearTimeout(timer);
+                reject(new DictionaryError(`Request to ${url} was cancelled`, { code: 'CANCELLED' }));
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', cancel);
+                resolve();
+            }, delay);
+
+            if (signal?.aborted) {
+                cancel();
+            } else {
+                signal?.addEventListener('abort', cancel, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Picks the HTTP-layer settings out of translate options so unrelated
+     * options (format, dictionaries...) never reach axios
+     * @param {Object} options - Translate options
+     * @returns {Object} Request options for makeRequest
+     */
+    static pickOptions(options = {}) {
+        const picked = {};
+        for (const key of ['timeout', 'retries', 'retryDelay', 'maxRetryDelay', 'signal']) {
+            if (options[key] !== undefined) {
+                picked[key] = options[key];
+            }
+        }
+        return picked;
+    }
+
+    /**
+     * Computes how long to wait before retrying a failed request
+     * @param {Error} error - Request error
+     * @param {number} attempt - Zero-based attempt that failed
+     * @param {number} baseDelay - Base backoff delay in milliseconds
+     * @param {number} maxDelay - Maximum delay in milliseconds
+     * @returns {number|null} Delay in milliseconds, or null if the error must not be retried
+     */
+    static getRetryDelay(error, attempt, baseDelay, maxDelay) {
+        const { type } = ErrorHandler.handleScrapingError(error);
+        if (!this.RETRYABLE_ERRORS.includes(type)) {
+            return null;
+        }
+
+        if (type === 'rate-limit') {
+            const retryAfter = this.parseRetryAfter(error.response?.headers?.['retry-after']);
+            if (retryAfter !== null) {
+                return Math.min(retryAfter, maxDelay);
+            }
+        }
+
+        // Exponential backoff with "equal jitter": half fixed, half random
+        const exponential = Math.min(baseDelay * 2 ** attempt, maxDelay);
+        return Math.round(exponential / 2 + Math.random() * exponential / 2);
+    }
+
+    /**
+     * Parses a Retry-After header (delay in seconds or HTTP date)
+     * @param {string} value - Header value
+     * @returns {number|null} Delay in milliseconds or null if missing/invalid
+     */
+    static parseRetryAfter(value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Sends a single HTTP request (no retries)
+     * @param {string} url - Target URL
+     * @param {Object} options - Axios request options
+     * @returns {Promise<string>} Response HTML
+     */
+    static async sendRequest(url, options = {}) {
+        const { stats, ...axiosOptions } = options;
         const config = {
-            timeout: options.timeout || 10000,
-            ...options
+            timeout: axiosOptions.timeout || 10000,
+            ...axiosOptions
         };
 
         // Check if running in browser environment
         if (typeof window !== 'undefined' && typeof window.document !== 'undefined') {
             // Browser environment - try CORS proxy for Linguee only
             if (url.includes('linguee.com')) {
-                return await this.makeRequestWithCorsProxy(url, config);
+                return await this.makeRequestWithCorsProxy(url, config, stats);
             }
         }
 
@@ -352,27 +1149,35 @@ export class RequestHandler {
      * Makes request through CORS proxy for browser environment with multiple fallbacks
      * @param {string} url - Target URL
      * @param {Object} config - Request config
-     * @returns {Promise<string>} Response HTML
+     * @param {Object} stats - Optional stats object (see makeRequest)
+     * @returns {Promise<string|ArrayBuffer>} Response HTML, or the bytes when config.responseType is 'arraybuffer'
      */
-    static async makeRequestWithCorsProxy(url, config) {
+    static async makeRequestWithCorsProxy(url, config, stats) {
         const errors = [];
         
         // Try each CORS proxy
         for (const proxy of this.CORS_PROXIES) {
             try {
-                const proxyUrl = proxy + encodeURIComponent(url);
+                // Binary downloads (audio) need allorigins' raw endpoint instead of its JSON wrapper
+                const binary = config.responseType === 'arraybuffer';
+                const proxyUrl = (binary ? proxy.replace('/get?', '/raw?') : proxy) + encodeURIComponent(url);
                 const axios = await import('axios');
                 
-                const response = await axios.default.get(proxyUrl, {
+                // Each proxy is rate limited as its own host
+                const response = await this.withRateLimit(proxyUrl, stats, () => axios.default.get(proxyUrl, {
                     timeout: config.timeout || 15000,
+                    signal: config.signal,
+                    ...(binary && { responseType: 'arraybuffer' }),
                     headers: {
-                        'Accept': 'application/json, text/plain, */*'
+                        'Accept': binary ? '*/*' : 'application/json, text/plain, */*'
                     }
-                });
+                }), config.signal);
                 
                 // Handle different proxy response formats
                 let content = null;
-                if (response.data && typeof response.data === 'object') {
+                if (binary) {
+                    content = response.data?.byteLength > 0 ? response.data : null;
+                } else if (response.data && typeof response.data === 'object') {
                     // allorigins.win format
                     content = response.data.contents || response.data.data;
                 } else if (typeof response.data === 'string') {
@@ -392,7 +1197,7 @@ export class RequestHandler {
         }
         
         // If all proxies fail, throw error with details
-        throw new Error(`All CORS proxies failed. Errors: ${errors.join('; ')}. Try running in Node.js environment for direct access.`);
+        throw new CorsBlockedError(`All CORS proxies failed. Errors: ${errors.join('; ')}. Try running in Node.js environment for direct access.`);
     }
 }
 
@@ -404,32 +1209,77 @@ export class LanguageValidator {
      * Validates and normalizes language pair with fallbacks
      * @param {string} from - Source language
      * @param {string} to - Target language
+     * @param {Object} options - Validation options
+     * @param {boolean} options.allowAuto - Accept 'auto' as source language (returned as from: 'auto', detected later)
      * @returns {Object} Normalized language pair or error
      */
-    static validatePair(from, to) {
-        const fromNormalized = LanguageCodes.normalize(from);
-        const toNormalized = LanguageCodes.normalize(to);
+    static validatePair(from, to, options = {}) {
+        const isAuto = options.allowAuto && typeof from === 'string' && from.toLowerCase() === 'auto';
+        const fromTag = isAuto ? null : LanguageCodes.parse(from);
+        const toTag = LanguageCodes.parse(to);
 
-        if (!fromNormalized) {
-            return { 
-                error: `Unsupported source language: ${from}. Try using ISO codes like 'en', 'es', 'fr'` 
-            };
+        if (!isAuto && !fromTag) {
+            return this.unsupported('source', from);
         }
 
-        if (!toNormalized) {
-            return { 
-                error: `Unsupported target language: ${to}. Try using ISO codes like 'en', 'es', 'fr'` 
-            };
+        if (!toTag) {
+            return this.unsupported('target', to);
+        }
+
+        return {
+            from: isAuto ? 'auto' : fromTag.code,
+            to: toTag.code,
+            fromName: isAuto ? 'Auto-detect' : LanguageCodes.getName(fromTag.code),
+            toName: LanguageCodes.getName(toTag.code),
+            fromTag,
+            toTag
+        };
+    }
+
+    /**
+     * Validates and normalizes a single language (for lookups that have no target language)
+     * @param {string} language - Language code, tag or name
+     * @returns {Object} { code, name, tag } or { error, language, suggestions }
+     */
+    static validateLanguage(language) {
+        const tag = LanguageCodes.parse(language);
+        if (!tag) {
+            return this.unsupported('source', language);
         }
+        return { code: tag.code, name: LanguageCodes.getName(tag.code), tag };
+    }
+
+    // Validation error for an unrecognized language, with "did you mean" suggestions
+    static unsupported(role, language) {
+        const suggestions = LanguageCodes.suggest(language);
+        const hint = suggestions.length > 0
+            ? `Did you mean ${suggestions.map(code => `'${code}' (${LanguageCodes.getName(code)})`).join(', ')}?`
+            : `Try using ISO codes like 'en', 'es', 'fr'`;
 
         return {
-            from: fromNormalized,
-            to: toNormalized,
-            fromName: LanguageCodes.getName(fromNormalized),
-            toName: LanguageCodes.getName(toNormalized)
+            error: `Unsupported ${role} language: ${language}. ${hint}`,
+            language,
+            suggestions
         };
     }
 
+    /**
+     * Same as validatePair, but throws instead of returning an error
+     * @param {string} from - Source language
+     * @param {string} to - Target language
+     * @param {Object} details - Extra error details (source, word)
+     * @param {Object} options - Validation options (see validatePair)
+     * @returns {Object} Normalized language pair
+     * @throws {UnsupportedLanguageError} If either language is not supported
+     */
+    static assertPair(from, to, details = {}, options = {}) {
+        const validation = this.validatePair(from, to, options);
+        if (validation.error) {
+            throw new UnsupportedLanguageError(validation.error, { ...details, language: validation.language, suggestions: validation.suggestions });
+        }
+        return validation;
+    }
+
     /**
      * Gets alternative language codes to try if first attempt fails
      * @param {string} code - Language code
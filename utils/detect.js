@@ -0,0 +1,222 @@
+/**
+ * Source language detection - guesses the language of a word or short phrase
+ * from its script, then from common words, letters and character n-grams typical of each language
+ */
+export class LanguageDetector {
+    // Writing systems and the supported languages that use them
+    static SCRIPTS = [
+        { script: 'latin', pattern: /\p{Script=Latin}/u, languages: ['en', 'es', 'fr', 'de', 'it', 'pt', 'nl', 'pl', 'sv', 'no', 'da', 'fi', 'cs', 'sk', 'sl', 'hr', 'ro', 'tr', 'hu', 'et', 'lv', 'lt', 'mt', 'vi'] },
+        { script: 'cyrillic', pattern: /\p{Script=Cyrillic}/u, languages: ['ru', 'bg'] },
+        { script: 'greek', pattern: /\p{Script=Greek}/u, languages: ['el'] },
+        { script: 'arabic', pattern: /\p{Script=Arabic}/u, languages: ['ar'] },
+        { script: 'hebrew', pattern: /\p{Script=Hebrew}/u, languages: ['he'] },
+        { script: 'cjk', pattern: /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u, languages: ['zh', 'ja'] },
+        { script: 'hangul', pattern: /\p{Script=Hangul}/u, languages: ['ko'] },
+        { script: 'thai', pattern: /\p{Script=Thai}/u, languages: ['th'] },
+        { script: 'devanagari', pattern: /\p{Script=Devanagari}/u, languages: ['hi'] }
+    ];
+
+    // Letters and n-grams (' ' marks a word boundary) that point to a language
+    static PROFILES = {
+        en: { chars: null, ngrams: ['th', 'sh', 'wh', 'ck', 'ght', 'ee', 'oo', 'ou', 'w', 'ing ', 'tion ', 'ly ', ' the '] },
+        es: { chars: /[ñáéíóúü¿¡]/u, ngrams: ['ción ', 'll', 'rr', 'ue', 'ie', 'os ', 'as ', 'ado ', 'ar ', 'ir ', 'que', 'a ', 'o '] },
+        fr: { chars: /[àâæçéèêëîïôœùûüÿ]/u, ngrams: ['eau', 'eux ', 'oux ', 'ou', 'ai', 'oi', 'qu', 'our ', 'ette ', 'ment ', 'er '] },
+        de: { chars: /[äöüß]/u, ngrams: ['sch', 'cht', 'ch', 'ei', 'ie', 'tz', 'en ', 'ung ', 'heit ', 'keit '] },
+        it: { chars: /[àèéìíòóù]/u, ngrams: ['zione ', 'gli', 'gn', 'cch', 'cci', 'ggi', 'zz', 'tt', 'etto ', 'ello ', 'are ', 'ere ', 'a ', 'o '] },
+        pt: { chars: /[ãõáâàçéêíóôú]/u, ngrams: ['ção ', 'ões ', 'ão ', 'nh', 'lh', 'inho ', 'mente ', 'a ', 'o '] },
+        nl: { chars: /[ëïé]/u, ngrams: ['ij', 'aa', 'oe', 'ui', 'sch', 'uit', 'lijk ', 'heid ', 'en '] },
+        pl: { chars: /[ąćęłńóśźż]/u, ngrams: ['sz', 'cz', 'rz', 'dz', 'ów ', 'ie'] },
+        sv: { chars: /[åäö]/u, ngrams: ['sj', 'skj', 'tj', 'och', 'ning '] },
+        no: { chars: /[åæø]/u, ngrams: ['hv', 'kk', 'sk', 'ig '] },
+        da: { chars: /[åæø]/u, ngrams: ['hv', 'kk', 'sk', 'ig ', 'else '] },
+        fi: { chars: /[äö]/u, ngrams: ['aa', 'ii', 'uu', 'kk', 'tt', 'nen ', 'ssa ', 'sta ', 'lla '] },
+        cs: { chars: /[áčďéěíňóřšťúůýž]/u, ngrams: ['ch', 'ost ', 'ní '] },
+        sk: { chars: /[áäčďéíĺľňóôŕšťúýž]/u, ngrams: ['ch', 'ost '] },
+        sl: { chars: /[čšž]/u, ngrams: ['lj', 'nj'] },
+        hr: { chars: /[čćđšž]/u, ngrams: ['lj', 'nj', 'ije'] },
+        ro: { chars: /[ăâîșşțţ]/u, ngrams: ['ul ', 'ea', 'ii '] },
+        tr: { chars: /[çğıöşü]/u, ngrams: ['ler ', 'lar ', 'iyor '] },
+        hu: { chars: /[áéíóöőúüű]/u, ngrams: ['sz', 'gy', 'ny', 'zs', 'cs', 'ség '] },
+        et: { chars: /[äõöüšž]/u, ngrams: ['aa', 'ee', 'uu'] },
+        lv: { chars: /[āčēģīķļņšūž]/u, ngrams: [] },
+        lt: { chars: /[ąčęėįšųūž]/u, ngrams: ['as ', 'is ', 'us '] },
+        mt: { chars: /[ċġħżàèìòù]/u, ngrams: ['għ', 'ie'] },
+        vi: { chars: /[ăâđêôơưạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹ]/u, ngrams: [' ng', 'nh', 'ươ'] },
+        ru: { chars: /[ыэё]/u, ngrams: [] },
+        bg: { chars: /[ѝ]/u, ngrams: ['ът', 'ъ '] },
+        zh: { chars: null, ngrams: [] },
+        ja: { chars: /[\p{Script=Hiragana}\p{Script=Katakana}]/u, ngrams: [] }
+    };
+
+    // Function words and everyday vocabulary: a whole-word match outweighs letters and n-grams,
+    // which say little about a short word ('haus' ends like Lithuanian, 'hello' has Spanish 'll')
+    static WORDS = {
+        en: ['the', 'and', 'of', 'to', 'is', 'are', 'was', 'it', 'you', 'that', 'this', 'with', 'for', 'on', 'not', 'what', 'hello', 'hi', 'world',
+            'house', 'home', 'water', 'good', 'day', 'night', 'love', 'dog', 'cat', 'time', 'man', 'woman', 'people', 'book', 'friend', 'yes',
+            'thank', 'thanks', 'please', 'morning', 'cheese', 'bread', 'car', 'city', 'school', 'work', 'run', 'go', 'eat', 'big', 'small'],
+        de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ich', 'du', 'ein', 'eine', 'mit', 'auf', 'für', 'von', 'zu', 'hallo', 'welt', 'haus',
+            'hund', 'katze', 'wasser', 'gut', 'guten', 'tag', 'nacht', 'liebe', 'zeit', 'mann', 'frau', 'buch', 'freund', 'ja', 'nein', 'danke',
+            'bitte', 'morgen', 'brot', 'käse', 'auto', 'stadt', 'schule', 'arbeit', 'essen', 'groß', 'klein', 'kind', 'leben'],
+        es: ['el', 'la', 'los', 'las', 'de', 'del', 'y', 'que', 'es', 'en', 'un', 'una', 'por', 'para', 'con', 'no', 'hola', 'mundo', 'casa',
+            'perro', 'gato', 'agua', 'bueno', 'buenos', 'buenas', 'día', 'noche', 'amor', 'tiempo', 'hombre', 'mujer', 'libro', 'amigo', 'sí',
+            'gracias', 'mañana', 'pan', 'queso', 'coche', 'ciudad', 'escuela', 'trabajo', 'comer', 'grande', 'pequeño', 'niño', 'vida'],
+        fr: ['le', 'la', 'les', 'de', 'des', 'du', 'et', 'est', 'un', 'une', 'je', 'tu', 'il', 'avec', 'pour', 'pas', 'bonjour', 'salut', 'monde',
+            'maison', 'chien', 'chat', 'eau', 'bon', 'bonne', 'jour', 'nuit', 'amour', 'temps', 'homme', 'femme', 'livre', 'ami', 'oui', 'merci',
+            'matin', 'pain', 'fromage', 'voiture', 'ville', 'école', 'travail', 'manger', 'grand', 'petit', 'enfant', 'vie'],
+        it: ['il', 'lo', 'la', 'gli', 'le', 'di', 'e', 'è', 'che', 'un', 'una', 'per', 'con', 'non', 'ciao', 'mondo', 'casa', 'cane', 'gatto',
+            'acqua', 'buono', 'buongiorno', 'giorno', 'notte', 'amore', 'tempo', 'uomo', 'donna', 'libro', 'amico', 'sì', 'grazie', 'pane',
+            'formaggio', 'macchina', 'città', 'scuola', 'lavoro', 'mangiare', 'grande', 'piccolo', 'bambino', 'vita'],
+        pt: ['o', 'a', 'os', 'as', 'de', 'do', 'da', 'e', 'que', 'é', 'um', 'uma', 'com', 'para', 'não', 'olá', 'mundo', 'casa', 'cão', 'gato',
+            'água', 'bom', 'boa', 'dia', 'noite', 'amor', 'tempo', 'homem', 'mulher', 'livro', 'amigo', 'sim', 'obrigado', 'pão', 'queijo',
+            'carro', 'cidade', 'escola', 'trabalho', 'comer', 'grande', 'pequeno', 'criança', 'vida'],
+        nl: ['de', 'het', 'een', 'en', 'is', 'van', 'niet', 'ik', 'je', 'met', 'voor', 'hallo', 'wereld', 'huis', 'hond', 'kat', 'water', 'goed',
+            'goede', 'dag', 'nacht', 'liefde', 'tijd', 'man', 'vrouw', 'boek', 'vriend', 'ja', 'nee', 'dank', 'brood', 'kaas', 'stad', 'school',
+            'werk', 'eten', 'groot', 'klein', 'kind', 'leven']
+    };
+
+    // A common word is worth this many points, split between the languages that share it
+    static WORD_WEIGHT = 4;
+
+    // A Latin-script guess is reliable from this confidence on, when the runner-up scores less than
+    // MAX_RUNNER_UP of it ('casa' is as Italian as it is Spanish) and a common word or a distinctive
+    // letter backs it (n-grams alone make 'computer' French); see translate({ from: 'auto' })
+    static MIN_CONFIDENCE = 0.3;
+    static MAX_RUNNER_UP = 0.6;
+
+    // Small head start for languages most likely to be looked up when nothing else decides
+    static PRIORS = { en: 0.5, es: 0.3, fr: 0.3, de: 0.3, it: 0.2, pt: 0.2, ru: 1, zh: 1, ja: 0.5 };
+
+    // Confidence when a script maps to a single language
+    static SCRIPT_CONFIDENCE = 0.95;
+
+    // Confidence reported once a dictionary confirmed the guess (see translate({ from: 'auto' }))
+    static PROBE_CONFIDENCE = 0.9;
+
+    /**
+     * Detects the language of a word or short phrase
+     * Confidence (0-1) is the best candidate's share of the score, lowered for short
+     * inputs since a few letters say little about a Latin-script language
+     * @param {string} text - Word or phrase
+     * @param {Object} options - Options
+     * @param {Array<string>} options.languages - Only consider these languages (ignored if none of them fit the script)
+     * @returns {Object} { language, confidence, method, script, reliable, candidates: [{ language, confidence }] }
+     *   reliable is false when the confidence is low, a runner-up is close or only n-grams back the guess
+     *   (the guess should be confirmed)
+     */
+    static detect(text, options = {}) {
+        const normalized = String(text ?? '').normalize('NFC').toLowerCase();
+        const letters = [...normalized].filter(char => /\p{L}/u.test(char));
+        const script = this.dominantScript(letters);
+
+        if (!script) {
+            return { language: null, confidence: 0, method: null, script: null, reliable: false, candidates: [] };
+        }
+
+        const allowed = script.languages.filter(language => !options.languages || options.languages.includes(language));
+        const languages = allowed.length > 0 ? allowed : script.languages;
+
+        if (script.languages.length === 1) {
+            const [language] = script.languages;
+            return {
+                language,
+                confidence: this.SCRIPT_CONFIDENCE,
+                method: 'script',
+                script: script.script,
+                reliable: true,
+                candidates: [{ language, confidence: this.SCRIPT_CONFIDENCE }]
+            };
+        }
+
+        const scores = this.score(normalized, letters, languages);
+        const total = scores.reduce((sum, [, score]) => sum + score, 0) || 1;
+        const evidence = 0.5 + 0.5 * Math.min(1, letters.length / 12);
+
+        const candidates = scores
+            .filter(([, score]) => score > 0)
+            .map(([language, score]) => ({ language, confidence: Math.round(score / total * evidence * 1000) / 1000 }));
+
+        const language = candidates[0]?.language ?? languages[0];
+        const confidence = candidates[0]?.confidence ?? 0;
+        return {
+            language,
+            confidence,
+            method: 'ngram',
+            script: script.script,
+            reliable: confidence >= this.MIN_CONFIDENCE &&
+                (candidates[1]?.confidence ?? 0) < confidence * this.MAX_RUNNER_UP &&
+                this.hasEvidence(normalized, letters, language),
+            candidates
+        };
+    }
+
+    /**
+     * Script used by most letters
+     * @param {Array<string>} letters - Lower-cased letters
+     * @returns {Object|null} Entry of SCRIPTS or null if there are no letters
+     */
+    static dominantScript(letters) {
+        const counts = new Map();
+        for (const char of letters) {
+            const script = this.SCRIPTS.find(entry => entry.pattern.test(char));
+            if (script) {
+                counts.set(script, (counts.get(script) || 0) + 1);
+            }
+        }
+
+        let best = null;
+        for (const [script, count] of counts) {
+            if (!best || count > counts.get(best)) {
+                best = script;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Whether one of the language's common words or distinctive letters occurs in the text
+     * @param {string} text - Lower-cased text
+     * @param {Array<string>} letters - Letters of the text
+     * @param {string} language - Candidate language
+     * @returns {boolean} False when only n-grams and priors point to the language
+     */
+    static hasEvidence(text, letters, language) {
+        const words = text.replace(/[^\p{L}]+/gu, ' ').trim().split(' ');
+        return words.some(word => this.WORDS[language]?.includes(word)) ||
+            letters.some(char => this.PROFILES[language]?.chars?.test(char));
+    }
+
+    /**
+     * Scores candidate languages
+     * A common word is worth WORD_WEIGHT points and a distinctive letter 3 points, both split
+     * between the languages that share them; each matching n-gram is worth 1 point
+     * @param {string} text - Lower-cased text
+     * @param {Array<string>} letters - Letters of the text
+     * @param {Array<string>} languages - Candidate languages
+     * @returns {Array<Array>} [language, score] pairs, best first
+     */
+    static score(text, letters, languages) {
+        const scores = new Map(languages.map(language => [language, this.PRIORS[language] || 0]));
+        const padded = ` ${text.replace(/[^\p{L}]+/gu, ' ').trim()} `;
+
+        for (const word of new Set(padded.trim().split(' '))) {
+            const owners = languages.filter(language => this.WORDS[language]?.includes(word));
+            for (const language of owners) {
+                scores.set(language, scores.get(language) + this.WORD_WEIGHT / owners.length);
+            }
+        }
+
+        for (const char of new Set(letters)) {
+            const owners = languages.filter(language => this.PROFILES[language]?.chars?.test(char));
+            for (const language of owners) {
+                scores.set(language, scores.get(language) + 3 / owners.length);
+            }
+        }
+
+        for (const language of languages) {
+            const matches = (this.PROFILES[language]?.ngrams || []).filter(ngram => padded.includes(ngram)).length;
+            scores.set(language, scores.get(language) + matches);
+        }
+
+        return [...scores.entries()].sort((a, b) => b[1] - a[1]);
+    }
+}
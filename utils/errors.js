@@ -0,0 +1,242 @@
+import { ErrorMessages } from './messages.js';
+
+/**
+ * Error types thrown by the dictionary scrapers
+ * Every error carries a machine-readable code, the dictionary (source) and word
+ * involved, and whether retrying the same call may succeed
+ */
+export class DictionaryError extends Error {
+    /**
+     * @param {string} message - Human-readable message
+     * @param {Object} details - Error details
+     * @param {string} details.code - Machine-readable error code
+     * @param {string} details.source - Dictionary identifier
+     * @param {string} details.word - Word being processed
+     * @param {boolean} details.retryable - True if retrying may succeed
+     * @param {Error} details.cause - Underlying error
+     */
+    constructor(message, { code = 'DICTIONARY_ERROR', source = null, word = null, retryable = false, cause } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.source = source;
+        this.word = word;
+        this.retryable = retryable;
+        if (cause) {
+            this.cause = cause;
+        }
+    }
+}
+
+/**
+ * Offline mode is on and the result is not in the cache
+ */
+export class NotCachedError extends DictionaryError {
+    constructor(message, details = {}) {
+        super(message, { ...details, code: 'NOT_CACHED', retryable: false });
+    }
+}
+
+/**
+ * Language code that no dictionary recognizes
+ */
+export class UnsupportedLanguageError extends DictionaryError {
+    /**
+     * @param {string} message - Human-readable message
+     * @param {Object} details - Error details (see DictionaryError) plus language and suggestions
+     */
+    constructor(message, details = {}) {
+        super(message, { ...details, code: 'UNSUPPORTED_LANGUAGE', retryable: false });
+        this.language = details.language ?? null;
+        this.suggestions = details.suggestions ?? [];
+    }
+}
+
+/**
+ * Valid languages that the dictionary (or every dictionary) cannot translate between
+ */
+export class UnsupportedPairError extends DictionaryError {
+    /**
+     * @param {string} message - Human-readable message
+     * @param {Object} details - Error details (see DictionaryError) plus from and to
+     */
+    constructor(message, details = {}) {
+        super(message, { ...details, code: 'UNSUPPORTED_PAIR', retryable: false });
+        this.from = details.from ?? null;
+        this.to = details.to ?? null;
+    }
+}
+
+/**
+ * The dictionary has no entry for the word
+ */
+export class WordNotFoundError extends DictionaryError {
+    /**
+     * @param {string} message - Human-readable message
+     * @param {Object} details - Error details (see DictionaryError) plus suggestions (similar words offered by the dictionary)
+     */
+    constructor(message, details = {}) {
+        super(message, { ...details, code: 'NOT_FOUND', retryable: false });
+        this.suggestions = details.suggestions ?? [];
+    }
+}
+
+/**
+ * The dictionary answered 429 Too Many Requests
+ */
+export class RateLimitedError extends DictionaryError {
+    /**
+     * @param {string} message - Human-readable message
+     * @param {Object} details - Error details (see DictionaryError) plus retryAfter (milliseconds)
+     */
+    constructor(message, details = {}) {
+        super(message, { ...details, code: 'RATE_LIMITED', retryable: true });
+        this.retryAfter = details.retryAfter ?? null;
+    }
+}
+
+/**
+ * Connection failure, timeout (code TIMEOUT) or 5xx response (code SERVER_ERROR)
+ */
+export class NetworkError extends DictionaryError {
+    /**
+     * @param {string} message - Human-readable message
+     * @param {Object} details - Error details (see DictionaryError) plus status
+     */
+    constructor(message, details = {}) {
+        super(message, { retryable: true, ...details, code: details.code || 'NETWORK_ERROR' });
+        this.status = details.status ?? null;
+    }
+}
+
+/**
+ * The page was fetched but its HTML could not be parsed
+ */
+export class ParseError extends DictionaryError {
+    constructor(message, details = {}) {
+        super(message, { ...details, code: 'PARSE_ERROR', retryable: false });
+    }
+}
+
+/**
+ * Browser request blocked by CORS and every proxy failed
+ */
+export class CorsBlockedError extends DictionaryError {
+    constructor(message, details = {}) {
+        super(message, { ...details, code: 'CORS_BLOCKED', retryable: false });
+    }
+}
+
+/**
+ * An option passed to a public function has an invalid value
+ */
+export class InvalidOptionError extends DictionaryError {
+    /**
+     * @param {string} message - Human-readable message
+     * @param {Object} details - Error details (see DictionaryError) plus option (the option's name)
+     */
+    constructor(message, details = {}) {
+        super(message, { ...details, code: 'INVALID_OPTION', retryable: false });
+        this.option = details.option ?? null;
+    }
+}
+
+const ERROR_CLASSES = {
+    NOT_CACHED: NotCachedError,
+    UNSUPPORTED_LANGUAGE: UnsupportedLanguageError,
+    UNSUPPORTED_PAIR: UnsupportedPairError,
+    NOT_FOUND: WordNotFoundError,
+    RATE_LIMITED: RateLimitedError,
+    NETWORK_ERROR: NetworkError,
+    TIMEOUT: NetworkError,
+    SERVER_ERROR: NetworkError,
+    PARSE_ERROR: ParseError,
+    CORS_BLOCKED: CorsBlockedError,
+    INVALID_OPTION: InvalidOptionError
+};
+
+/**
+ * Creates the error class matching a code
+ * @param {string} code - Error code (unknown codes give a plain DictionaryError)
+ * @param {string} message - Human-readable message
+ * @param {Object} details - Error details (see DictionaryError)
+ * @returns {DictionaryError} Typed error
+ */
+export function createError(code, message, details = {}) {
+    const ErrorClass = ERROR_CLASSES[code] || DictionaryError;
+    return new ErrorClass(message, { ...details, code });
+}
+
+/**
+ * Turns a thrown value or an { error, code } result into a DictionaryError
+ * @param {Error|Object} value - Error or failed result
+ * @param {Object} details - Defaults for source and word
+ * @returns {DictionaryError} Typed error (DictionaryErrors are returned unchanged)
+ */
+export function toDictionaryError(value, details = {}) {
+    if (value instanceof DictionaryError) {
+        return value;
+    }
+
+    if (value instanceof Error) {
+        return new DictionaryError(value.message, { ...details, cause: value });
+    }
+
+    return createError(value.code, value.error, {
+        source: value.source ?? details.source,
+        word: value.inputWord ?? details.word,
+        ...(value.retryable !== undefined && { retryable: value.retryable }),
+        ...(value.suggestions && { suggestions: value.suggestions })
+    });
+}
+
+/**
+ * Fields describing an error in result-object mode
+ * @param {DictionaryError} error - Typed error
+ * @param {string} locale - Locale for userMessage (default: the global locale)
+ * @returns {Object} { error, code, retryable, userMessage }
+ */
+export function errorFields(error, locale) {
+    return {
+        error: error.message,
+        code: error.code,
+        retryable: error.retryable,
+        userMessage: ErrorMessages.get(error.code, locale)
+    };
+}
+
+/**
+ * How public functions report failures: 'throw' rejects with a DictionaryError,
+ * 'result' resolves with an { error, code, retryable } object. Without a mode,
+ * invalid arguments throw and lookup failures are returned (the historical behavior)
+ */
+export class ErrorMode {
+    static MODES = ['throw', 'result'];
+    static mode = null;
+
+    /**
+     * Sets the default mode
+     * @param {string|null} mode - 'throw', 'result' or null for the historical behavior
+     * @returns {string|null} Current mode
+     */
+    static configure(mode) {
+        this.mode = this.validate(mode);
+        return this.mode;
+    }
+
+    /**
+     * Effective mode for a call
+     * @param {string} option - options.errors from the caller
+     * @returns {string|null} Mode
+     */
+    static resolve(option) {
+        return option === undefined ? this.mode : this.validate(option);
+    }
+
+    static validate(mode) {
+        if (mode !== null && !this.MODES.includes(mode)) {
+            throw new Error(`Error mode must be one of ${this.MODES.join(', ')} (or null), got ${mode}`);
+        }
+        return mode;
+    }
+}
@@ -0,0 +1,145 @@
+/**
+ * Consensus merge - combines normalized results from several dictionaries into
+ * one deduplicated, ranked list of translation candidates
+ */
+export class ResultMerger {
+    // Weights of the confidence components (sum to 1)
+    static WEIGHTS = {
+        agreement: 0.5,
+        position: 0.3,
+        quality: 0.2
+    };
+
+    // Confidence multiplier for candidates reached through a pivot language
+    static PIVOT_PENALTY = 0.8;
+
+    static FREQUENCY_SCORES = {
+        high: 1,
+        medium: 0.66,
+        low: 0.33
+    };
+
+    /**
+     * Merges normalized results into ranked candidates
+     * Confidence (0-1) combines how many dictionaries agree, how early each
+     * dictionary lists the translation, and Linguee-style frequency/verified flags
+     * @param {Object} results - Dictionary identifier => normalized result
+     * @returns {Array<Object>} Candidates { text, pos, confidence, sources, provenance } sorted by confidence
+     */
+    static merge(results) {
+        const usable = Object.entries(results).filter(([, result]) => result && !result.error && Array.isArray(result.entries));
+        const candidates = new Map();
+
+        for (const [dictionary, result] of usable) {
+            let rank = 0;
+            const seen = new Set();
+
+            for (const entry of result.entries) {
+                for (const sense of entry.senses) {
+                    for (const translation of sense.translations) {
+                        const key = this.key(translation.text);
+                        if (!key || seen.has(key)) continue;
+                        seen.add(key);
+
+                        if (!candidates.has(key)) {
+                            candidates.set(key, { text: translation.text.trim(), pos: translation.pos || entry.pos || '', provenance: [] });
+                        }
+
+                        candidates.get(key).provenance.push({
+                            dictionary,
+                            rank: rank++,
+                            headword: entry.headword,
+                            pos: translation.pos || entry.pos || '',
+                            sense: sense.gloss || sense.context || translation.sense || '',
+                            frequency: translation.frequency || 'unknown',
+                            verified: Boolean(translation.verified)
+                        });
+                    }
+                }
+            }
+        }
+
+        return [...candidates.values()]
+            .map((candidate, order) => ({
+                text: candidate.text,
+                pos: candidate.pos,
+                confidence: this.score(candidate.provenance, usable.length),
+                sources: candidate.provenance.map(item => item.dictionary),
+                provenance: candidate.provenance,
+                order
+            }))
+            .sort((a, b) => b.confidence - a.confidence || a.order - b.order)
+            .map(({ order, ...candidate }) => candidate);
+    }
+
+    /**
+     * Chains two merged lookups through a pivot language (from -> via -> to)
+     * Confidence is the product of both legs times PIVOT_PENALTY; a target reached
+     * through several intermediate words keeps its best confidence
+     * @param {Array<Object>} firstLeg - Merged candidates for from -> via
+     * @param {Array<Array<Object>>} secondLegs - Merged candidates for via -> to, one list per first-leg candidate
+     * @param {Object} pivot - { via, path }
+     * @returns {Array<Object>} Candidates annotated with pivot { via, path, through }, sorted by confidence
+     */
+    static chain(firstLeg, secondLegs, { via, path }) {
+        const candidates = new Map();
+
+        firstLeg.forEach((intermediate, index) => {
+            for (const candidate of secondLegs[index] || []) {
+                const confidence = Math.round(intermediate.confidence * candidate.confidence * this.PIVOT_PENALTY * 1000) / 1000;
+                const key = this.key(candidate.text);
+                const existing = candidates.get(key);
+
+                if (existing) {
+                    existing.pivot.through.push(intermediate.text);
+                    existing.confidence = Math.max(existing.confidence, confidence);
+                    existing.sources = [...new Set([...existing.sources, ...intermediate.sources, ...candidate.sources])];
+                    continue;
+                }
+
+                candidates.set(key, {
+                    text: candidate.text,
+                    pos: candidate.pos,
+                    confidence,
+                    sources: [...new Set([...intermediate.sources, ...candidate.sources])],
+                    provenance: [
+                        ...intermediate.provenance.map(item => ({ ...item, leg: 1 })),
+                        ...candidate.provenance.map(item => ({ ...item, leg: 2 }))
+                    ],
+                    pivot: { via, path, through: [intermediate.text] }
+                });
+            }
+        });
+
+        return [...candidates.values()].sort((a, b) => b.confidence - a.confidence);
+    }
+
+    /**
+     * Confidence score for one candidate
+     * @param {Array<Object>} provenance - One item per dictionary that lists the candidate
+     * @param {number} total - Dictionaries that returned results
+     * @returns {number} Score between 0 and 1 (3 decimals)
+     */
+    static score(provenance, total) {
+        const agreement = provenance.length / Math.max(total, 1);
+        const position = provenance.reduce((sum, item) => sum + 1 / (1 + item.rank), 0) / provenance.length;
+
+        const signals = provenance.flatMap(item => [
+            ...(item.frequency in this.FREQUENCY_SCORES ? [this.FREQUENCY_SCORES[item.frequency]] : []),
+            ...(item.verified ? [1] : [])
+        ]);
+        const quality = signals.length > 0 ? signals.reduce((sum, value) => sum + value, 0) / signals.length : 0;
+
+        const score = this.WEIGHTS.agreement * agreement + this.WEIGHTS.position * position + this.WEIGHTS.quality * quality;
+        return Math.round(score * 1000) / 1000;
+    }
+
+    /**
+     * Deduplication key for a translation
+     * @param {string} text - Translation text
+     * @returns {string} Key (NFC, lower-cased, collapsed whitespace)
+     */
+    static key(text) {
+        return String(text || '').normalize('NFC').trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+}
@@ -0,0 +1,117 @@
+/**
+ * Error message catalog - user-facing messages per error type and locale
+ * English and Spanish are built in; register() adds or overrides any locale
+ */
+export class ErrorMessages {
+    static catalogs = {
+        en: {
+            'network': 'Network connection error',
+            'not-found': 'Word not found',
+            'rate-limit': 'Too many requests, please try again later',
+            'server-error': 'Server error',
+            'timeout': 'Request timed out',
+            'cors': 'Request blocked by the browser (CORS)',
+            'parse-error': 'Could not read the dictionary response',
+            'unsupported-language': 'Unsupported language',
+            'unsupported-pair': 'Language pair not supported',
+            'unknown-dictionary': 'Unknown dictionary',
+            'not-cached': 'Not available offline',
+            'cancelled': 'Request cancelled',
+            'invalid-option': 'Invalid option',
+            'unknown': 'Unknown error'
+        },
+        es: {
+            'network': 'Error de conexión de red',
+            'not-found': 'Palabra no encontrada',
+            'rate-limit': 'Demasiadas solicitudes, intenta más tarde',
+            'server-error': 'Error del servidor',
+            'timeout': 'Tiempo de espera agotado',
+            'cors': 'Solicitud bloqueada por el navegador (CORS)',
+            'parse-error': 'No se pudo leer la respuesta del diccionario',
+            'unsupported-language': 'Idioma no soportado',
+            'unsupported-pair': 'Par de idiomas no soportado',
+            'unknown-dictionary': 'Diccionario desconocido',
+            'not-cached': 'No disponible sin conexión',
+            'cancelled': 'Solicitud cancelada',
+            'invalid-option': 'Opción no válida',
+            'unknown': 'Error desconocido'
+        }
+    };
+
+    static locale = 'en';
+
+    // DictionaryError codes and the catalog type they are reported as
+    static CODE_TYPES = {
+        NETWORK_ERROR: 'network',
+        NOT_FOUND: 'not-found',
+        RATE_LIMITED: 'rate-limit',
+        SERVER_ERROR: 'server-error',
+        TIMEOUT: 'timeout',
+        CORS_BLOCKED: 'cors',
+        PARSE_ERROR: 'parse-error',
+        UNSUPPORTED_LANGUAGE: 'unsupported-language',
+        UNSUPPORTED_PAIR: 'unsupported-pair',
+        UNKNOWN_DICTIONARY: 'unknown-dictionary',
+        NOT_CACHED: 'not-cached',
+        CANCELLED: 'cancelled',
+        INVALID_OPTION: 'invalid-option'
+    };
+
+    /**
+     * Sets the default locale
+     * @param {string} locale - Locale such as 'en', 'es' or 'pt-BR'
+     * @returns {string} Current locale
+     */
+    static setLocale(locale) {
+        if (typeof locale !== 'string' || !locale.trim()) {
+            throw new Error('Locale must be a non-empty string');
+        }
+        this.locale = locale.trim();
+        return this.locale;
+    }
+
+    /**
+     * Adds or overrides messages for a locale; missing types fall back to English
+     * @param {string} locale - Locale such as 'fr' or 'pt-BR'
+     * @param {Object} messages - Error type => message
+     * @returns {Object} Messages now registered for the locale
+     */
+    static register(locale, messages) {
+        if (typeof locale !== 'string' || !locale.trim()) {
+            throw new Error('Locale must be a non-empty string');
+        }
+
+        const key = locale.trim().toLowerCase();
+        this.catalogs[key] = { ...this.catalogs[key], ...messages };
+        return { ...this.catalogs[key] };
+    }
+
+    /**
+     * Gets the message for an error type
+     * Lookup order: exact locale ('pt-br'), base language ('pt'), then English
+     * @param {string} type - Error type (e.g., 'not-found') or DictionaryError code (e.g., 'NOT_FOUND')
+     * @param {string} locale - Locale (default: the global locale)
+     * @returns {string} Localized message
+     */
+    static get(type, locale = this.locale) {
+        const key = this.CODE_TYPES[type] || type;
+        const requested = String(locale || this.locale).toLowerCase();
+
+        for (const candidate of [requested, requested.split(/[-_]/)[0], 'en']) {
+            const message = this.catalogs[candidate]?.[key];
+            if (message) {
+                return message;
+            }
+        }
+        return this.catalogs.en.unknown;
+    }
+
+    /**
+     * Catalog type for a DictionaryError code
+     * @param {string} code - Error code
+     * @returns {string|null} Error type or null if the code is not mapped
+     */
+    static typeForCode(code) {
+        return this.CODE_TYPES[code] || null;
+    }
+}
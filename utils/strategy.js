@@ -0,0 +1,129 @@
+import { InvalidOptionError } from './errors.js';
+
+/**
+ * Multi-dictionary strategies - decide which dictionaries translate() queries
+ * and when it stops waiting for them
+ */
+export class DictionaryStrategy {
+    static STRATEGIES = ['all', 'priority', 'race', 'quorum'];
+
+    /**
+     * Runs a lookup over dictionaries with the given strategy
+     * - all: query every dictionary in parallel and wait for all of them
+     * - priority: query one at a time in priority order, stop at the first usable result
+     * - race: query in parallel, the first usable result wins and the rest are cancelled
+     * - quorum: query in parallel until `quorum` dictionaries agree, then cancel the rest
+     * @param {string} strategy - Strategy name (default 'all')
+     * @param {Array<string>} ids - Dictionary identifiers in priority order
+     * @param {Function} lookup - async (id, signal) => result; must not reject
+     * @param {Object} options - Strategy options
+     * @param {Function} options.isUsable - (id, result) => true if the result has translations
+     * @param {Function} options.agreement - (entries) => highest number of dictionaries agreeing on a translation
+     * @param {number} options.quorum - Agreeing dictionaries needed by 'quorum' (default 2)
+     * @param {AbortSignal} options.signal - Caller signal; aborting it cancels every lookup
+     * @returns {Promise<Array>} [id, result] pairs for the dictionaries that answered, in priority order
+     */
+    static async run(strategy, ids, lookup, options = {}) {
+        const { isUsable = (id, result) => !result.error, agreement, signal } = options;
+
+        switch (this.validate(strategy)) {
+            case 'priority':
+                return await this.sequential(ids, lookup, signal, isUsable);
+            case 'race':
+                return await this.concurrent(ids, lookup, signal, (entries, [id, result]) => isUsable(id, result));
+            case 'quorum': {
+                const quorum = this.normalizeQuorum(options.quorum);
+                return await this.concurrent(ids, lookup, signal, entries => agreement(entries) >= quorum);
+            }
+            default:
+                return await this.concurrent(ids, lookup, signal, () => false);
+        }
+    }
+
+    /**
+     * Queries dictionaries one after another until one is usable
+     * @param {Array<string>} ids - Dictionary identifiers in priority order
+     * @param {Function} lookup - async (id, signal) => result
+     * @param {AbortSignal} signal - Caller signal
+     * @param {Function} isUsable - (id, result) => boolean
+     * @returns {Promise<Array>} [id, result] pairs for the dictionaries tried
+     */
+    static async sequential(ids, lookup, signal, isUsable) {
+        const entries = [];
+        for (const id of ids) {
+            const result = await lookup(id, signal);
+            entries.push([id, result]);
+            if (isUsable(id, result) || signal?.aborted) {
+                break;
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Queries dictionaries in parallel until isDone says stop, then aborts the rest
+     * @param {Array<string>} ids - Dictionary identifiers in priority order
+     * @param {Function} lookup - async (id, signal) => result
+     * @param {AbortSignal} signal - Caller signal
+     * @param {Function} isDone - (entries, latest) => true to stop waiting
+     * @returns {Promise<Array>} [id, result] pairs that completed before stopping, in priority order
+     */
+    static concurrent(ids, lookup, signal, isDone) {
+        if (ids.length === 0) {
+            return Promise.resolve([]);
+        }
+
+        return new Promise(resolve => {
+            const controllers = ids.map(() => new AbortController());
+            const completed = new Map();
+            let finished = false;
+
+            const abortAll = () => controllers.forEach(controller => controller.abort());
+            signal?.addEventListener('abort', abortAll, { once: true });
+            if (signal?.aborted) abortAll();
+
+            const entries = () => ids.filter(id => completed.has(id)).map(id => [id, completed.get(id)]);
+            const finish = () => {
+                finished = true;
+                signal?.removeEventListener('abort', abortAll);
+                ids.forEach((id, index) => {
+                    if (!completed.has(id)) controllers[index].abort();
+                });
+                resolve(entries());
+            };
+
+            ids.forEach((id, index) => {
+                Promise.resolve()
+                    .then(() => lookup(id, controllers[index].signal))
+                    .catch(error => ({ error: error.message }))
+                    .then(result => {
+                        if (finished) return;
+
+                        completed.set(id, result);
+                        if (completed.size === ids.length || isDone(entries(), [id, result])) {
+                            finish();
+                        }
+                    });
+            });
+        });
+    }
+
+    static validate(strategy = 'all') {
+        if (!this.STRATEGIES.includes(strategy)) {
+            throw new InvalidOptionError(`Strategy must be one of ${this.STRATEGIES.join(', ')}, got ${strategy}`, { option: 'strategy' });
+        }
+        return strategy;
+    }
+
+    static normalizeQuorum(quorum) {
+        if (quorum === undefined || quorum === null) {
+            return 2;
+        }
+
+        const value = Math.floor(Number(quorum));
+        if (!Number.isFinite(value) || value < 1) {
+            throw new InvalidOptionError(`Quorum must be a positive integer, got ${quorum}`, { option: 'quorum' });
+        }
+        return value;
+    }
+}